@@ -0,0 +1,5 @@
+import { isMainThread } from "worker_threads";
+import { main } from "../src/cli.js";
+
+// worker threads (--jobs) load this file too; they only take jobs
+if (isMainThread) main(process.argv.slice(2)).then(code => process.exit(code));
@@ -99,10 +99,10 @@ const browserConfig = {
 /**
  * CLI bundle
  */
-const cliConfig = {
-  input: "bin/puz2pdf.js",
+const cliConfig = (name) => ({
+  input: `bin/${name}.js`,
   output: {
-    file: "dist/puz2pdf.mjs",
+    file: `dist/${name}.mjs`,
     format: "es",
     sourcemap: true,
     inlineDynamicImports: true,
@@ -117,7 +117,7 @@ const cliConfig = {
     terser()
   ],
   external: []
-};
+});
 
 /**
  * Export conditionally
@@ -129,7 +129,7 @@ if (!buildTarget || buildTarget === "browser") {
 }
 
 if (!buildTarget || buildTarget === "cli") {
-  configs.push(cliConfig);
+  configs.push(cliConfig("jscrossword"), cliConfig("puz2pdf"));
 }
 
 export default configs;
@@ -0,0 +1,92 @@
+// Benchmark grid numbering and format conversion on a large grid.
+//
+// Compares xwGrid's indexed cell lookup with the old linear search
+// (cells.find for every lookup), then times a few conversions.
+//
+// Usage: npm run bench -- [size]   (default 100, i.e. 100x100)
+
+import JSCrossword from "../src/jscrossword.js";
+import { xwGrid } from "../src/grid.js";
+
+/** xwGrid as it was: a linear search for every cell lookup **/
+class LinearGrid extends xwGrid {
+  cellAt(x, y) {
+    return this.cells.find(cell => cell.x === x && cell.y === y);
+  }
+}
+
+/** A size x size grid with a regular pattern of blocks **/
+function makeCells(size) {
+  const cells = [];
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const block = (x % 6 === 5 && y % 4 === 2) || (y % 6 === 5 && x % 4 === 2);
+      cells.push({
+        x,
+        y,
+        solution: block ? null : String.fromCharCode(65 + (x * 7 + y * 3) % 26),
+        number: null,
+        type: block ? "block" : null
+      });
+    }
+  }
+  return cells;
+}
+
+function makePuzzle(size) {
+  const cells = makeCells(size);
+  const grid = new xwGrid(cells);
+  cells.forEach(c => { c.number = grid.numbers[c.y][c.x] ? String(grid.numbers[c.y][c.x]) : null; });
+  const words = [];
+  const clues = [];
+  [["Across", grid.acrossEntries()], ["Down", grid.downEntries()]].forEach(([title, entries]) => {
+    const list = { title, clue: [] };
+    Object.keys(entries).forEach(number => {
+      const id = String(words.length + 1);
+      words.push({ id, cells: entries[number].cells });
+      list.clue.push({ number, text: `Clue ${number} ${title.toLowerCase()}`, word: id });
+    });
+    clues.push(list);
+  });
+  const metadata = { title: `Benchmark ${size}x${size}`, author: "", copyright: "", description: "", width: size, height: size, crossword_type: "crossword" };
+  return new JSCrossword(metadata, cells, words, clues);
+}
+
+/** Run fn (at least once) and return the mean time in ms **/
+function time(fn, minMs = 200) {
+  const start = performance.now();
+  let runs = 0;
+  do {
+    fn();
+    runs++;
+  } while (performance.now() - start < minMs);
+  return (performance.now() - start) / runs;
+}
+
+function numberGrid(Grid, cells) {
+  const grid = new Grid(cells);
+  grid.acrossEntries();
+  grid.downEntries();
+}
+
+const size = parseInt(process.argv[2] || "100", 10);
+const cells = makeCells(size);
+console.log(`Grid: ${size}x${size} (${cells.length} cells)\n`);
+
+const linear = time(() => numberGrid(LinearGrid, cells), 0);
+numberGrid(xwGrid, cells); // warm up
+const indexed = time(() => numberGrid(xwGrid, cells));
+console.log("Numbering and entries");
+console.log(`  linear lookup:  ${linear.toFixed(1)} ms`);
+console.log(`  indexed lookup: ${indexed.toFixed(1)} ms (${(linear / indexed).toFixed(0)}x faster)\n`);
+
+const xw = makePuzzle(size);
+console.log("Conversions (indexed)");
+[
+  ["ipuz", () => JSCrossword.fromData(new TextEncoder().encode(xw.toIpuzString()))],
+  ["jpz", () => JSCrossword.fromData(new TextEncoder().encode(xw.toJPZString()))],
+  ["xd", () => JSCrossword.fromData(new TextEncoder().encode(xw.toXDString()))],
+  ["validate", () => xw.validate()]
+].forEach(([name, fn]) => {
+  console.log(`  ${name.padEnd(9)} ${time(fn).toFixed(1)} ms`);
+});
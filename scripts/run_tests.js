@@ -1,7 +1,458 @@
 import fs from "fs";
 import path from "path";
+import { execFileSync } from "child_process";
 import JSCrossword from "../src/jscrossword.js";
 import { jscrossword_to_pdf } from "../src/lib/xw_pdf.js";
+import { main as cli } from "../src/cli.js";
+
+/** Throw if a re-read puzzle lost cells, words or clues **/
+function checkRoundTrip(format, original, copy) {
+  const counts = xw => [
+    xw.cells.length,
+    xw.words.length,
+    xw.clues.map(c => c.clue.length).join(",")
+  ].join("/");
+  if (counts(original) !== counts(copy)) {
+    throw new Error(`${format} round-trip mismatch: ${counts(original)} vs ${counts(copy)}`);
+  }
+  original.cells.forEach(c => {
+    const d = copy.cells.find(z => z.x === c.x && z.y === c.y);
+    if (!d || (c.solution || null) !== (d.solution || null)) {
+      throw new Error(`${format} round-trip mismatch at cell (${c.x}, ${c.y})`);
+    }
+  });
+}
+
+/** A small crossword from rows of letters ("#" for blocks); rebus maps "x,y" to a longer answer **/
+function gridPuzzle(rows, rebus = {}) {
+  const cells = [];
+  rows.forEach((row, y) => [...row].forEach((ch, x) => {
+    const block = ch === "#";
+    cells.push({ x, y, solution: block ? null : rebus[`${x},${y}`] || ch, number: null, type: block ? "block" : null });
+  }));
+  const grid = JSCrossword.xwGrid(cells);
+  cells.forEach(c => { c.number = grid.numbers[c.y][c.x] ? String(grid.numbers[c.y][c.x]) : null; });
+  const words = [];
+  const clues = [];
+  [["Across", grid.acrossEntries()], ["Down", grid.downEntries()]].forEach(([title, entries]) => {
+    const list = { title, clue: [] };
+    Object.keys(entries).forEach(number => {
+      const id = String(words.length + 1);
+      words.push({ id, cells: entries[number].cells });
+      list.clue.push({ number, text: `${title} ${number}`, word: id });
+    });
+    clues.push(list);
+  });
+  const metadata = { title: "Test", author: "", copyright: "", description: "", width: rows[0].length, height: rows.length, crossword_type: "crossword" };
+  return new JSCrossword(metadata, cells, words, clues);
+}
+
+const encode = s => new TextEncoder().encode(s);
+
+// Behaviour checks, run after the test files; each throws on failure
+const CHECKS = [
+  ["CFP keeps rebus squares apart from symbols and digits in the grid", () => {
+    const xw = gridPuzzle(["A@C", "1#F", "GHI"], { "0,0": "AB" });
+    const copy = JSCrossword.readCFP(encode(xw.toCFPString()));
+    checkRoundTrip("CFP", xw, copy);
+  }],
+  ["CFP reports dropped features as warnings", () => {
+    const xw = gridPuzzle(["ABC", "D#F", "GHI"]);
+    xw.cells[0]["background-color"] = "#ff0000";
+    const warnings = [];
+    xw.toCFPString({ allowLossy: true, onWarning: w => warnings.push(w) });
+    if (warnings.length !== 1 || !/cell colors/.test(warnings[0].message)) {
+      throw new Error(`unexpected warnings: ${JSON.stringify(warnings)}`);
+    }
+    // a word off the standard numbering is dropped too, not written under its own number
+    xw.words[0].cells = [[0, 0], [1, 0]];
+    warnings.length = 0;
+    const copy = JSCrossword.readCFP(encode(xw.toCFPString({ allowLossy: true, onWarning: w => warnings.push(w) })));
+    if (warnings.length !== 1 || !/standard grid numbering/.test(warnings[0].message)) {
+      throw new Error(`unexpected warnings: ${JSON.stringify(warnings)}`);
+    }
+    if (copy.clues[0].clue.length !== 1) throw new Error(`across clues: ${copy.clues[0].clue.length}`);
+  }],
+  ["XD keeps rebus squares apart from symbols and digits, and keeps blank squares", () => {
+    const xw = gridPuzzle(["A@C", "1#F", "GHI"], { "0,0": "AB" });
+    xw.cells[8].solution = null;
+    const copy = JSCrossword.fromData(encode(xw.toXDString()));
+    checkRoundTrip("XD", xw, copy);
+  }],
+  ["Across Lite text keeps rebus squares apart from digits in the grid", () => {
+    const xw = gridPuzzle(["A@C", "1#F", "GHI"], { "0,0": "AB" });
+    const copy = JSCrossword.readAcrossLiteText(encode(xw.toAcrossLiteText()));
+    checkRoundTrip("Across Lite text", xw, copy);
+  }],
+  ["Across Lite text reports what it drops as warnings", () => {
+    const xw = gridPuzzle(["ABC", "D#F", "GHI"]);
+    xw.cells[0]["right-bar"] = true;
+    const warnings = [];
+    const text = xw.toAcrossLiteText({ onWarning: w => warnings.push(w) });
+    if (typeof text !== "string" || !warnings.some(w => w.code === "bars")) {
+      throw new Error(`unexpected warnings: ${JSON.stringify(warnings)}`);
+    }
+  }],
+  ["fromData records the format it read and says where a broken file fails", () => {
+    const xw = JSCrossword.fromData(new Uint8Array(fs.readFileSync("./test_files/fun.ipuz")));
+    if (xw.metadata.source_format !== "ipuz") throw new Error(`source_format: ${xw.metadata.source_format}`);
+    let error = null;
+    try {
+      JSCrossword.fromData(encode("{\"version\": \"http://ipuz.org/v2\",\n\"kind\": [\"http://ipuz.org/crossword#1\"],\n\"dimensions\": {"));
+    } catch (err) {
+      error = err;
+    }
+    if (!(error instanceof JSCrossword.PuzzleReadError) || error.format !== "ipuz" || error.location?.line !== 3) {
+      throw new Error(`expected an IPUZ error on line 3, got ${error} at ${JSON.stringify(error?.location)}`);
+    }
+  }],
+  ["detectFormat looks at the data each time it's asked", () => {
+    const data = encode(gridPuzzle(["AB", "CD"]).toXDString());
+    if (JSCrossword.detectFormat(data) !== "xd") throw new Error("XD not detected");
+    data.fill(0x20);
+    if (JSCrossword.detectFormat(data) !== null) throw new Error("stale format for a changed buffer");
+  }],
+  ["Custom formats get the sniffed format and read errors say which format failed", () => {
+    const seen = [];
+    JSCrossword.registerFormat({ name: "spy", detect: (data, sniffed) => { seen.push(sniffed); return false; }, read: () => null });
+    try {
+      JSCrossword.detectFormat(encode(gridPuzzle(["AB", "CD"]).toJPZString()));
+      if (seen.join() !== "jpz") throw new Error(`custom detect saw ${JSON.stringify(seen)}`);
+      let error = null;
+      try {
+        JSCrossword.read(encode("<?xml version=\"1.0\"?><crossword-compiler><rectangular-puzzle>"));
+      } catch (err) {
+        error = err;
+      }
+      if (!(error instanceof JSCrossword.PuzzleReadError) || error.format !== "jpz") {
+        throw new Error(`expected a JPZ PuzzleReadError, got ${error}`);
+      }
+    } finally {
+      // there's no unregister; a write-only format is skipped when reading
+      JSCrossword.registerFormat({ name: "spy", write: () => "" });
+    }
+  }],
+  ["PUZ writes pass their warnings to onWarning", () => {
+    const xw = gridPuzzle(["ABC", "D#F", "GHI"]);
+    xw.cells[0]["background-color"] = "#ff0000";
+    const warnings = [];
+    const data = xw.write("puz", { onWarning: w => warnings.push(w) });
+    if (!(data instanceof Uint8Array) || !warnings.some(w => w.code === "colors")) {
+      throw new Error(`unexpected warnings: ${JSON.stringify(warnings)}`);
+    }
+  }],
+  ["CLI info and validate print JSON, and validate fails unreadable files", async () => {
+    const run = async (...args) => {
+      const lines = [];
+      const log = console.log;
+      console.log = line => lines.push(line);
+      try {
+        return { code: await cli(args), output: JSON.parse(lines.join("\n")) };
+      } finally {
+        console.log = log;
+      }
+    };
+    const info = await run("info", "--json", "./test_files/dimensionless.xd");
+    if (info.code !== 0 || info.output.format !== "xd" || !info.output.words || !info.output.grid) {
+      throw new Error(`info: ${JSON.stringify(info)}`);
+    }
+    const valid = await run("validate", "--json", "./test_files/dimensionless.xd", "./test_files/missing.puz");
+    const verdicts = valid.output.map(r => r.valid);
+    if (valid.code !== 1 || verdicts.join() !== "true,false" || valid.output[1].problems[0].code !== "unreadable") {
+      throw new Error(`validate: ${JSON.stringify(valid)}`);
+    }
+  }],
+  ["puz2pdf writes to its second argument, whatever its extension", () => {
+    const out = "./test_output/cli/puz2pdf-out";
+    fs.mkdirSync(path.dirname(out), { recursive: true });
+    execFileSync(process.execPath, ["./bin/puz2pdf.js", "./test_files/dimensionless.xd", out], { stdio: "ignore" });
+    if (!fs.readFileSync(out).subarray(0, 5).equals(Buffer.from("%PDF-"))) throw new Error(`no PDF at ${out}`);
+  }],
+  ["CLI converts on worker threads and fails the files it can't read", async () => {
+    const outDir = "./test_output/cli";
+    const inputs = ["./test_files/fun.ipuz", "./test_files/dimensionless.xd", "./test_files/missing.puz"];
+    const code = await cli(["convert", "--to", "xd", "--out-dir", outDir, "--jobs", "2", ...inputs]);
+    if (code !== 1) throw new Error(`expected exit code 1, got ${code}`);
+    if (!fs.existsSync(path.join(outDir, "fun.xd"))) throw new Error("fun.xd wasn't written");
+    const read = file => JSCrossword.fromData(new Uint8Array(fs.readFileSync(file)));
+    checkRoundTrip("CLI", read(inputs[1]), read(path.join(outDir, "dimensionless.xd")));
+  }],
+  ["validate() reports each problem with its level, code and location", () => {
+    const xw = gridPuzzle(["ABC", "D#F", "GHI"]);
+    const issues = () => xw.validate().map(i => `${i.level}:${i.code}:${JSON.stringify(i.location || null)}`).join(" ");
+    if (issues() !== "warning:empty_author:null") throw new Error(`unexpected issues: ${issues()}`);
+    xw.clues[0].clue.pop();
+    xw.cells.push({ ...xw.cells[0] });
+    const expected = "warning:empty_author:null error:size_mismatch:null error:duplicate_cell:{\"cells\":[[0,0]]} warning:word_without_clue:{\"word\":\"2\"}";
+    if (issues() !== expected) throw new Error(`unexpected issues: ${issues()}`);
+  }],
+  ["PDF pages are the size asked for, named or custom", async () => {
+    const xw = gridPuzzle(["ABC", "D#F", "GHI"]);
+    const size = async page_size => {
+      const page = (await jscrossword_to_pdf(xw, { page_size })).internal.pageSize;
+      return `${Math.round(page.getWidth())}x${Math.round(page.getHeight())}`;
+    };
+    if (await size("a4") !== "595x842") throw new Error(`A4 page is ${await size("a4")}`);
+    if (await size([800, 500]) !== "800x500") throw new Error(`custom page is ${await size([800, 500])}`);
+    let error = null;
+    await jscrossword_to_pdf(xw, { page_size: "quarto" }).catch(err => { error = err; });
+    if (!error || !/Unknown page size/.test(error.message)) throw new Error(`expected an unknown page size error, got ${error}`);
+  }],
+  ["PDF warns when a corner answer key doesn't fit", async () => {
+    const xw = JSCrossword.fromData(new Uint8Array(fs.readFileSync("./test_files/kaidoku.jpz")));
+    const warnings = [];
+    const pages = (await jscrossword_to_pdf(xw, { onWarning: w => warnings.push(w) })).getNumberOfPages();
+    const doc = await jscrossword_to_pdf(xw, { answer_key: "corner", onWarning: w => warnings.push(w) });
+    if (warnings.map(w => w.code).join() !== "answer_key") throw new Error(`unexpected warnings: ${JSON.stringify(warnings)}`);
+    if (doc.getNumberOfPages() !== pages + 1) throw new Error("no solution page instead of the corner key");
+  }],
+  ["PDF adds a solution page for answer_list, except in booklets", async () => {
+    const xw = gridPuzzle(["ABC", "D#F", "GHI"]);
+    const pages = (await jscrossword_to_pdf(xw)).getNumberOfPages();
+    if ((await jscrossword_to_pdf(xw, { answer_list: true })).getNumberOfPages() !== pages + 1) {
+      throw new Error("answer_list didn't add a solution page");
+    }
+    const booklet = async options => (await JSCrossword.booklet([xw, xw], options)).getNumberOfPages();
+    if (await booklet({ answer_list: true }) !== await booklet({})) throw new Error("answer_list added pages to a booklet");
+  }],
+  ["Booklets reject puzzles they can't render", async () => {
+    const bad = gridPuzzle(["AB", "CD"]);
+    bad.metadata.title = "Broken image";
+    bad.metadata.image = "data:image/png;base64,AAAA";
+    let error = null;
+    await JSCrossword.booklet([gridPuzzle(["AB", "CD"]), bad]).catch(err => { error = err; });
+    if (!error || !/Broken image/.test(error.message)) throw new Error(`expected a rejection, got ${error}`);
+  }],
+  ["PDF renders clues with characters outside the BMP", async () => {
+    const xw = gridPuzzle(["AB", "CD"]);
+    xw.clues[0].clue[0].text = "𝔉raktur and 🦊";
+    if (!(await jscrossword_to_pdf(xw))) throw new Error("no PDF");
+  }],
+  ["PDF embeds the TTF from the fonts option", async () => {
+    const xw = gridPuzzle(["AB", "CD"]);
+    const fonts = { regular: new Uint8Array(fs.readFileSync("./test_files/fonts/Lato-Regular.ttf")) };
+    const pdf = (await jscrossword_to_pdf(xw, { fonts })).output();
+    if (!/\/FontFile2/.test(pdf) || !/Lato/.test(pdf)) throw new Error("Lato isn't embedded");
+    if (/\/FontFile2/.test((await jscrossword_to_pdf(xw)).output())) throw new Error("a font was embedded without the fonts option");
+  }],
+  ["PDF draws symbols as images only when the embedded font lacks them", async () => {
+    const xw = gridPuzzle(["AB", "CD"]);
+    const fonts = { regular: new Uint8Array(fs.readFileSync("./test_files/fonts/Lato-Regular.ttf")) };
+    const images = async text => {
+      xw.clues[0].clue[0].text = text;
+      return ((await jscrossword_to_pdf(xw, { fonts })).output().match(/\/Subtype \/Image/g) || []).length;
+    };
+    // Lato has ≥ but not ∀
+    if (await images("At least ≥") !== 0) throw new Error("≥ was drawn as an image");
+    if (!(await images("For all ∀"))) throw new Error("∀ wasn't drawn as an image");
+  }],
+  ["SVG draws the grid, and warns when a full page cuts clues off", () => {
+    const xw = gridPuzzle(["ABC", "D#F", "GHI"]);
+    const svg = xw.toSVG({ solution: true });
+    if (!svg.startsWith("<svg") || (svg.match(/<rect/g) || []).length < 9) throw new Error("grid squares missing");
+    const warnings = [];
+    xw.toSVG({ full_page: true, onWarning: w => warnings.push(w) });
+    if (warnings.length) throw new Error(`unexpected warnings: ${JSON.stringify(warnings)}`);
+    const big = gridPuzzle(Array(9).fill("ABCDEFGHI"));
+    big.clues.forEach(list => list.clue.forEach(c => { c.text = "A very long clue that goes on and on ".repeat(30); }));
+    big.toSVG({ full_page: true, onWarning: w => warnings.push(w) });
+    if (warnings.map(w => w.code).join() !== "clues_cut_off") throw new Error(`unexpected warnings: ${JSON.stringify(warnings)}`);
+  }],
+  ["Rows Garden rejects rows that don't fill their squares", () => {
+    const rg = fs.readFileSync("./test_files/TheArtOfCounting.rg", "utf8");
+    let error = null;
+    try {
+      JSCrossword.read(encode(rg.replace("answer: BOBARISTA", "answer: BOBARIST")));
+    } catch (err) {
+      error = err;
+    }
+    if (!(error instanceof JSCrossword.PuzzleReadError) || !/row A has 8 letters/.test(error.message)) {
+      throw new Error(`expected a PuzzleReadError for row A, got ${error}`);
+    }
+  }],
+  ["Thorny Rows Garden doesn't link bloom clues to their blooms", () => {
+    const data = new Uint8Array(fs.readFileSync("./test_files/TheArtOfCounting.rg"));
+    const blooms = xw => xw.clues.filter(list => list.title !== "ROWS").flatMap(list => list.clue);
+    const thorny = JSCrossword.readRG(data);
+    if (blooms(thorny).some(c => c.word) || thorny.validate().length) throw new Error("thorny bloom clues are linked");
+    const regular = JSCrossword.readRG(data, { thorny: false });
+    if (!blooms(regular).every(c => c.word)) throw new Error("regular bloom clues aren't linked");
+    if (thorny.words.length !== regular.words.length) throw new Error("thorny lost its bloom words");
+  }],
+  ["Rows Garden writes back to RG, and only Rows Garden does", () => {
+    const data = new Uint8Array(fs.readFileSync("./test_files/TheArtOfCounting.rg"));
+    const xw = JSCrossword.fromData(data);
+    const copy = JSCrossword.readRG(encode(xw.toRGString()));
+    checkRoundTrip("RG", xw, copy);
+    if (copy.metadata.title !== xw.metadata.title) throw new Error(`title: ${copy.metadata.title}`);
+    // regular mode, with clues YAML could misread
+    const regular = JSCrossword.readRG(data, { thorny: false });
+    regular.clues.forEach(list => { list.clue[0].text = `Time: "half past" in C:\\temp\\ ${list.clue[0].text}`; });
+    const regularCopy = JSCrossword.readRG(encode(regular.toRGString()), { thorny: false });
+    checkRoundTrip("RG regular", regular, regularCopy);
+    regular.clues.forEach((list, i) => {
+      list.clue.forEach((clue, j) => {
+        const text = regularCopy.clues[i].clue[j].text;
+        if (text !== clue.text) throw new Error(`${list.title} ${clue.number}: ${text}`);
+        if (!regularCopy.clues[i].clue[j].word) throw new Error(`${list.title} ${clue.number} lost its word`);
+      });
+    });
+    let error = null;
+    try {
+      gridPuzzle(["AB", "CD"]).toRGString();
+    } catch (err) {
+      error = err;
+    }
+    if (!error || !/Only Rows Garden/.test(error.message)) throw new Error(`expected a Rows Garden error, got ${error}`);
+  }],
+  ["Acrostic answers keep only letters and digits, and survive APZ", () => {
+    const xw = JSCrossword.fromAcrostic({
+      title: "Tiny",
+      quote: "To be, or not to be",
+      source: "Hamlet",
+      answers: ["Boo-t", "ten", "O.T.B.", "O'RE"],
+      clues: ["Footwear", "Number", "Off-track betting", "Mined rock"],
+      seed: 7
+    });
+    const { answers } = xw.acrostic();
+    if (answers.join() !== "BOOT,TEN,OTB,ORE") throw new Error(`answers: ${answers}`);
+    checkRoundTrip("APZ", xw, JSCrossword.readAPZ(encode(xw.toAPZString())));
+  }],
+  ["Acrostics keep their quote and source through JPZ", () => {
+    const xw = JSCrossword.fromData(new Uint8Array(fs.readFileSync("./test_files/ransom_where.apz")));
+    const copy = JSCrossword.fromData(encode(xw.toJPZString()));
+    checkRoundTrip("JPZ", xw, copy);
+    const { quote, source } = copy.acrostic();
+    if (quote !== xw.acrostic().quote || source !== "Eddie Izzard, Dress To Kill") {
+      throw new Error(`acrostic came back as ${JSON.stringify({ quote, source })}`);
+    }
+  }],
+  ["AcrosticBuilder tracks unused letters and builds the same grid key from a seed", () => {
+    const options = { quote: "To be, or not to be", source: "BTOO", title: "Tiny", seed: 7 };
+    const builder = JSCrossword.acrosticBuilder(options);
+    builder.addAnswer("BOOT", "Footwear").addAnswer("TEEE", "Golf pegs, sort of");
+    if (builder.remaining().E !== -1 || builder.isComplete()) throw new Error("overused E not caught");
+    builder.setAnswer(1, "TEN", "Number").addAnswer("OTB", "Off-track betting").addAnswer("ORE", "Mined rock");
+    if (!builder.isComplete()) throw new Error(`not complete: ${JSON.stringify(builder.check())}`);
+    const again = JSCrossword.acrosticBuilder(options);
+    [["BOOT", "Footwear"], ["TEN", "Number"], ["OTB", "Off-track betting"], ["ORE", "Mined rock"]]
+      .forEach(([answer, clue]) => again.addAnswer(answer, clue));
+    const key = xw => JSON.stringify(xw.acrostic().gridKey);
+    if (key(builder.toJSCrossword()) !== key(again.toJSCrossword())) throw new Error("grid keys differ for one seed");
+  }],
+  ["Solving: fill, check, reveal and progress, with fresh solution caches", () => {
+    const xw = gridPuzzle(["ABC", "D#F", "GHI"]);
+    xw.setLetter(0, 0, "a");
+    xw.setLetter(1, 0, "X");
+    if (xw.checkPuzzle().map(String).join(" ") !== "1,0") throw new Error("wrong squares not found");
+    if (xw.percentComplete() !== 25) throw new Error(`percentComplete: ${xw.percentComplete()}`);
+    xw.revealWord(xw.words[0].id);
+    if (xw.cells[1].letter !== "B" || xw.isComplete()) throw new Error("reveal didn't fill the word");
+    xw.revealPuzzle();
+    if (!xw.isComplete()) throw new Error("not complete after revealing");
+
+    const entries = () => JSON.stringify(xw.get_entry_mapping());
+    const before = entries();
+    xw.lock(1234);
+    if (entries() === before) throw new Error("entry mapping stale after lock");
+    xw.unlock(1234);
+    if (entries() !== before) throw new Error("entry mapping stale after unlock");
+  }],
+  ["Solve progress survives PUZ: rebus entries, marks and the timer", () => {
+    const xw = gridPuzzle(["ABC", "D#F", "GHI"], { "0,0": "AB" });
+    xw.setLetter(0, 0, "AB");
+    xw.setLetter(1, 0, "XY");
+    xw.setLetter(2, 0, "Z");
+    xw.checkCell(2, 0);
+    xw.revealCell(0, 2);
+    xw.metadata.timer = { elapsed: 75, running: false };
+    const copy = JSCrossword.readPUZ(xw.toPUZ());
+    checkRoundTrip("PUZ", xw, copy);
+    const state = c => [c.letter, !!c.incorrect, !!c.revealed].join("/");
+    xw.cells.forEach((c, i) => {
+      if (state(c) !== state(copy.cells[i])) throw new Error(`(${c.x}, ${c.y}): ${state(c)} vs ${state(copy.cells[i])}`);
+    });
+    if (copy.elapsedSeconds() !== 75) throw new Error(`timer: ${copy.elapsedSeconds()}`);
+  }],
+  ["Locked puzzles stay locked in PUZ and aren't written to other formats", () => {
+    const xw = gridPuzzle(["ABC", "D#F", "GHI"]).lock(1234);
+    ["jpz", "ipuz", "xd", "cfp", "txt"].forEach(format => {
+      let error = null;
+      try {
+        xw.write(format);
+      } catch (err) {
+        error = err;
+      }
+      if (!error || !/locked/.test(error.message)) throw new Error(`${format} wrote a locked puzzle`);
+    });
+    xw.write("jpz", { allowLocked: true });
+    const copy = JSCrossword.readPUZ(xw.toPUZ());
+    if (!copy.metadata.locked || !copy.unlock(1234) || copy.cells[0].solution !== "A") {
+      throw new Error("PUZ didn't keep the lock");
+    }
+  }],
+  ["Unlocking while reading sets metadata and prints nothing", () => {
+    const data = new Uint8Array(fs.readFileSync("./test_files/locked_puz.puz"));
+    const printed = [];
+    const { log, warn } = console;
+    console.log = console.warn = (...args) => printed.push(args.join(" "));
+    try {
+      const xw = JSCrossword.read(data, { lockedHandling: "bruteforce" });
+      if (xw.metadata.locked || xw.metadata.unlockKey !== 1234 || !(xw.metadata.unlockConfidence > 0.5)) {
+        throw new Error(`not unlocked: ${JSON.stringify(xw.metadata)}`);
+      }
+      const timedOut = JSCrossword.read(data, { lockedHandling: "bruteforce", maxBruteForceTimeMs: -1 });
+      if (!timedOut.metadata.locked || timedOut.metadata.unlockKey) throw new Error("unlocked without time to search");
+    } finally {
+      Object.assign(console, { log, warn });
+    }
+    if (printed.length) throw new Error(`printed: ${printed.join("; ")}`);
+  }],
+  ["locked_puz.puz unlocks with key 1234, reading or afterwards", async () => {
+    const data = new Uint8Array(fs.readFileSync("./test_files/locked_puz.puz"));
+    const xw = JSCrossword.read(data);
+    const progress = [];
+    const { candidates, complete } = await xw.unlockCandidates({ batchSize: 1000, onProgress: p => progress.push(p.tried) });
+    if (candidates[0]?.key !== 1234 || !complete) throw new Error(`best key: ${candidates[0]?.key}, complete: ${complete}`);
+    if (progress.length !== 10 || progress[progress.length - 1] !== 9000) throw new Error(`progress: ${progress}`);
+    const cut = await xw.unlockCandidates({ maxTimeMs: -1 });
+    if (cut.complete) throw new Error("a search out of time says it's complete");
+    if (await xw.bruteForceUnlock() !== 1234 || xw.metadata.locked) throw new Error("not unlocked");
+    const read = JSCrossword.read(data, { lockedHandling: "bruteforce" });
+    checkRoundTrip("unlock", xw, read);
+  }],
+  ["xwGrid numbers the grid and finds its entries", () => {
+    const xw = gridPuzzle(["ABC", "D#F", "GHI"]);
+    const grid = xw.grid();
+    const entries = list => Object.entries(list).map(([n, e]) => `${n}:${e.cells.map(([x, y]) => grid.cellAt(x, y).solution).join("")}`).join(" ");
+    if (entries(grid.acrossEntries()) !== "1:ABC 3:GHI") throw new Error(`across: ${entries(grid.acrossEntries())}`);
+    if (entries(grid.downEntries()) !== "1:ADG 2:CFI") throw new Error(`down: ${entries(grid.downEntries())}`);
+    // a duplicate cell doesn't hide the first one at its square, here or when solving
+    xw.cells.push({ ...xw.cells[0], solution: "Z" });
+    if (xw.grid().cellAt(0, 0).solution !== "A") throw new Error("the duplicate cell won");
+    xw.revealWord(xw.words[0].id);
+    if (xw.cells[0].letter !== "A" || xw.cells[xw.cells.length - 1].letter) throw new Error("revealed the wrong cell");
+    // solving uses the same index, which reads string coordinates too
+    const strings = gridPuzzle(["ABC", "D#F", "GHI"]);
+    strings.cells.forEach(c => { c.x = String(c.x); c.y = String(c.y); });
+    strings.setLetter(2, 1, "x");
+    if (strings.get_cell_lookup()(2, 1).letter !== "X" || strings.checkWord(strings.words[3].id).length !== 1) {
+      throw new Error("solving missed cells with string coordinates");
+    }
+  }],
+  ["Grid analysis finds the same words as xwGrid, bars included", () => {
+    const xw = gridPuzzle(["ABC", "D#F", "GHI"]);
+    xw.words = [];
+    let report = xw.analyze();
+    if (report.words.count !== 4 || report.blocks !== 1 || !report.symmetry.rotational) throw new Error(JSON.stringify(report));
+    if (report.cheaters.length || report.unchecked.length !== 4 || report.regions.count !== 1) throw new Error(JSON.stringify(report));
+    // a bar after A leaves BC across, and A in only one word
+    xw.cells[0]["right-bar"] = true;
+    report = xw.analyze();
+    if (report.words.count !== 4 || report.words.short.length !== 1 || report.symmetry.rotational) throw new Error(JSON.stringify(report));
+    if (JSON.stringify(report.unchecked[0]) !== "[0,0]" || report.unchecked.length !== 5) throw new Error(`unchecked: ${JSON.stringify(report.unchecked)}`);
+  }],
+];
 
 async function runTests() {
   const testFilesDir = "./test_files";
@@ -12,7 +463,9 @@ async function runTests() {
     fs.mkdirSync(testOutputDir, { recursive: true });
   }
 
-  const files = fs.readdirSync(testFilesDir).filter(f => !f.startsWith("."));
+  // puzzles only: subdirectories hold other fixtures (fonts)
+  const files = fs.readdirSync(testFilesDir)
+    .filter(f => !f.startsWith(".") && fs.statSync(path.join(testFilesDir, f)).isFile());
   console.log(`Found ${files.length} test files. Starting PDF generation tests...\n`);
 
   let passed = 0;
@@ -29,7 +482,21 @@ async function runTests() {
       
       const pdf = await jscrossword_to_pdf(xw);
       fs.writeFileSync(outPath, Buffer.from(pdf.output("arraybuffer")));
-      
+
+      // Round-trip through the JPZ writer (locked files keep their scrambled letters)
+      const allowLocked = true;
+      const jpz = JSCrossword.readJPZ(new TextEncoder().encode(xw.toJPZString({ allowLocked })));
+      checkRoundTrip("JPZ", xw, jpz);
+
+      // ... and through the PUZ, XD and Across Lite text writers, when nothing had to be dropped
+      const warnings = [];
+      const puz = xw.metadata.image ? null : xw.toPUZ({ version: "2.0", onWarning: w => warnings.push(w) });
+      if (puz && !warnings.length) {
+        checkRoundTrip("PUZ", xw, JSCrossword.readPUZ(puz));
+        checkRoundTrip("XD", xw, JSCrossword.readXD(new TextEncoder().encode(xw.toXDString({ allowLocked }))));
+        checkRoundTrip("TXT", xw, JSCrossword.readAcrossLiteText(xw.toAcrossLiteText({ allowLocked })));
+      }
+
       console.log(`  ✅ Success -> ${outPath}`);
       passed++;
     } catch (err) {
@@ -39,6 +506,19 @@ async function runTests() {
     }
   }
 
+  console.log("\nBehaviour checks...");
+  for (const [name, check] of CHECKS) {
+    try {
+      await check();
+      console.log(`  ✅ ${name}`);
+      passed++;
+    } catch (err) {
+      console.error(`  ❌ Failed: ${name}`);
+      console.error(err);
+      failed++;
+    }
+  }
+
   console.log(`\nResults: ${passed} passed, ${failed} failed.`);
   if (failed > 0) {
     process.exit(1);
@@ -0,0 +1,535 @@
+/**
+ * cli.js
+ *
+ * The `jscrossword` command line tool:
+ *   jscrossword convert <in> <out> [--to FORMAT]
+ *   jscrossword info <in> [--json]
+ *   jscrossword validate <in> [--json]
+ *   jscrossword pdf <in> [out.pdf] [PDF options]
+ *   jscrossword pdf <in>... --booklet out.pdf
+ *
+ * Every command also takes several inputs, directories or globs; outputs then
+ * go to --out-dir, named by --template, and --jobs N spreads the work over
+ * N worker threads.
+ *
+ * `puz2pdf <in> [out]` is the same as `jscrossword pdf <in> --output out`.
+ */
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import { Worker, isMainThread, parentPort, workerData } from "worker_threads";
+import JSCrossword from "./jscrossword.js";
+import { jscrossword_to_pdf } from "./lib/xw_pdf.js";
+import { glob, hasGlob } from "./lib/glob.js";
+
+// PDF flags -> jscrossword_to_pdf options
+const PDF_FLAGS = {
+  "margin": { option: "margin", type: "number" },
+  "columns": { option: "num_columns", type: "number" },
+  "full-columns": { option: "num_full_columns", type: "number" },
+  "header1": { option: "header1", type: "string" },
+  "header2": { option: "header2", type: "string" },
+  "header3": { option: "header3", type: "string" },
+  "orientation": { option: "orientation", type: "string" },
+  "page-size": { option: "page_size", type: "size" },
+  "notepad": { option: "show_notepad", type: "boolean" },
+  "two-page": { option: "num_pages", type: "boolean", value: 2 },
+  "answer-key": { option: "answer_key", type: "string" },
+  "answer-list": { option: "answer_list", type: "boolean" },
+  "font": { option: "font_type", type: "string" },
+  "font-file": { option: "fonts", type: "font", style: "regular" },
+  "font-file-bold": { option: "fonts", type: "font", style: "bold" },
+  "font-file-italic": { option: "fonts", type: "font", style: "italic" },
+  "font-file-bold-italic": { option: "fonts", type: "font", style: "bolditalic" },
+  "gray": { option: "gray", type: "number" },
+  "line-width": { option: "line_width", type: "number" },
+  "column-padding": { option: "column_padding", type: "number" },
+  "title-pt": { option: "title_pt", type: "number" },
+  "copyright-pt": { option: "copyright_pt", type: "number" },
+  "max-title-pt": { option: "max_title_pt", type: "number" },
+  "max-clue-pt": { option: "max_clue_pt", type: "number" },
+  "min-clue-pt": { option: "min_clue_pt", type: "number" },
+  "max-cell-size": { option: "max_cell_size", type: "number" },
+  "min-cell-size": { option: "min_cell_size", type: "number" },
+  "max-columns": { option: "max_columns", type: "number" },
+  "min-columns": { option: "min_columns", type: "number" },
+};
+
+const USAGE = `Usage: jscrossword <command> [options]
+
+Commands:
+  convert <in> <out>     Convert a puzzle (format from <out>'s extension, or --to)
+  convert <in>... --to FORMAT --out-dir DIR
+  info <in>...           Show title, author, size, word and clue counts, format,
+                         and grid analysis (symmetry, word lengths, cheaters,
+                         unchecked squares, disconnected regions)
+  validate <in>...       Check puzzles for errors and warnings (exit 1 on errors)
+  pdf <in> [out.pdf]     Make a printable PDF
+  pdf <in>... [--out-dir DIR]
+  pdf <in>... --booklet out.pdf
+                         Put every puzzle in one PDF, with a cover page,
+                         contents and solutions
+
+Inputs can be files, directories or globs ("puzzles/*.puz", "week/**/*.jpz").
+
+Common options:
+  --format FORMAT        Read inputs as FORMAT instead of detecting it
+  --json                 (info, validate) print JSON
+  --to FORMAT            (convert) output format
+  -o, --output FILE      (convert, pdf) where to write a single input's output
+  --out-dir DIR          Where to write outputs (default: current directory)
+  --template TEMPLATE    Output name without extension, from {stem}, {title}
+                         and {date} (default: "{stem}")
+  -j, --jobs N           Process N files at a time on worker threads
+  -h, --help             Show this help
+
+PDF options:
+${Object.entries(PDF_FLAGS).map(([flag, { type }]) =>
+  `  --${flag}${type === "boolean" ? "" : ` ${{ number: "N", size: "SIZE", font: "TTF" }[type] || "TEXT"}`}`).join("\n")}
+                         (SIZE is letter, legal, tabloid, a3, a4, a5, b4, b5
+                         or WIDTHxHEIGHT in points, e.g. 612x792)
+  --option KEY=VALUE     Set any other jscrossword_to_pdf option (repeatable)
+
+Booklet options:
+  --booklet FILE         Write one booklet PDF instead of a PDF per puzzle
+  --booklet-title TEXT   Cover page title
+  --booklet-subtitle TEXT
+  --no-solutions         Leave out the solutions section
+
+Formats: ${JSCrossword.formats().map(f => f.name).join(", ")}`;
+
+/** Turn a --option value into a number/boolean where it looks like one **/
+function parseValue(value) {
+  if (value === "true") return true;
+  if (value === "false") return false;
+  if (value === "null") return null;
+  if (value !== "" && !isNaN(Number(value))) return Number(value);
+  return value;
+}
+
+/** A --page-size value: a name like "a4", or "WIDTHxHEIGHT" in points **/
+function pageSize(value) {
+  const m = value.match(/^\s*(\d+(?:\.\d+)?)\s*x\s*(\d+(?:\.\d+)?)\s*$/i);
+  return m ? [Number(m[1]), Number(m[2])] : value;
+}
+
+/** Collect jscrossword_to_pdf options from parsed flags **/
+function pdfOptions(values) {
+  const options = {};
+  for (const [flag, { option, type, value, style }] of Object.entries(PDF_FLAGS)) {
+    if (values[flag] === undefined) continue;
+    if (type === "number") {
+      const n = Number(values[flag]);
+      if (isNaN(n)) throw new Error(`--${flag} expects a number`);
+      options[option] = n;
+    } else if (type === "font") {
+      options[option] = { ...options[option], [style]: new Uint8Array(fs.readFileSync(values[flag])) };
+    } else if (type === "size") {
+      options[option] = pageSize(values[flag]);
+    } else if (type === "boolean") {
+      if (values[flag]) options[option] = value ?? true;
+    } else {
+      options[option] = values[flag];
+    }
+  }
+  // --columns alone: put every column beside the grid except one
+  if (options.num_columns && options.num_full_columns === undefined) {
+    options.num_full_columns = Math.max(0, options.num_columns - 1);
+  }
+  (values.option || []).forEach(kv => {
+    const eq = kv.indexOf("=");
+    if (eq <= 0) throw new Error(`--option expects KEY=VALUE (got "${kv}")`);
+    options[kv.slice(0, eq)] = parseValue(kv.slice(eq + 1));
+  });
+  return options;
+}
+
+function readPuzzle(file, values) {
+  const data = new Uint8Array(fs.readFileSync(file));
+  const options = {};
+  if (values.format) options.format = values.format;
+  return JSCrossword.fromData(data, options);
+}
+
+/** Summary used by `info` **/
+function puzzleInfo(file, xw) {
+  const { metadata } = xw;
+  return {
+    file,
+    format: metadata.source_format || null,
+    title: metadata.title || "",
+    author: metadata.author || "",
+    copyright: metadata.copyright || "",
+    type: metadata.crossword_type || "crossword",
+    width: metadata.width,
+    height: metadata.height,
+    words: xw.words.length,
+    clues: xw.clues.reduce((n, list) => n + list.clue.length, 0),
+    clueLists: xw.clues.map(list => ({ title: list.title, count: list.clue.length })),
+    grid: xw.analyze(),
+  };
+}
+
+const SYMMETRY_NAMES = {
+  rotational: "rotational",
+  quarterTurn: "quarter-turn",
+  leftRight: "left-right mirror",
+  topBottom: "top-bottom mirror",
+  diagonal: "diagonal",
+  antiDiagonal: "anti-diagonal",
+};
+
+/** The grid analysis lines of `info` **/
+function gridInfoLines(grid) {
+  const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+  const symmetry = Object.keys(SYMMETRY_NAMES).filter(k => grid.symmetry[k]).map(k => SYMMETRY_NAMES[k]);
+  const lengths = Object.entries(grid.words.lengths).map(([len, n]) => `${len}:${n}`).join(" ");
+  const short = grid.words.short;
+  return [
+    `Blocks:    ${grid.blocks} (${grid.blockPercent}%), ${plural(grid.cheaters.length, "cheater")}`,
+    `Symmetry:  ${symmetry.join(", ") || "none"}`,
+    `Lengths:   ${lengths || "-"}${grid.words.count ? ` (average ${grid.words.averageLength})` : ""}`,
+    `Short:     ${short.length ? `${plural(short.length, "word")} of 1-2 letters (${short.map(w => w.id).join(", ")})` : "none"}`,
+    `Unchecked: ${plural(grid.unchecked.length, "square")}`,
+    `Regions:   ${grid.regions.count}${grid.regions.count > 1 ? ` (${grid.regions.sizes.join(", ")} squares)` : ""}`,
+  ];
+}
+
+/** Today's date, or the puzzle's, as YYYY-MM-DD **/
+function puzzleDate(xw) {
+  const d = xw.metadata.date ? new Date(xw.metadata.date) : new Date();
+  return isNaN(d) ? String(xw.metadata.date) : d.toISOString().slice(0, 10);
+}
+
+/** Values for the output filename template **/
+function templateNames(file, xw) {
+  return {
+    stem: path.basename(file, path.extname(file)),
+    title: xw.metadata.title || "",
+    date: puzzleDate(xw),
+  };
+}
+
+// One file's worth of work for each command; runs in the main thread or a worker.
+// Returns { ok, message, data?, content?, names?, warnings? } -- the main thread writes `content`.
+const TASKS = {
+  async convert(file, values, { format }) {
+    const xw = readPuzzle(file, values);
+    const warnings = [];
+    const content = xw.write(format, { onWarning: w => warnings.push(w.message) });
+    return { ok: true, content, names: templateNames(file, xw), warnings };
+  },
+
+  async info(file, values) {
+    const summary = puzzleInfo(file, readPuzzle(file, values));
+    const lists = summary.clueLists.map(l => `${l.title} ${l.count}`).join(", ");
+    const message = [
+      `File:      ${summary.file}`,
+      `Format:    ${summary.format}`,
+      `Title:     ${summary.title}`,
+      `Author:    ${summary.author}`,
+      `Copyright: ${summary.copyright}`,
+      `Type:      ${summary.type}`,
+      `Size:      ${summary.width}x${summary.height}`,
+      `Words:     ${summary.words}`,
+      `Clues:     ${summary.clues}${lists ? ` (${lists})` : ""}`,
+      ...gridInfoLines(summary.grid),
+    ].join("\n");
+    return { ok: true, message, data: summary };
+  },
+
+  async validate(file, values) {
+    let problems;
+    try {
+      problems = readPuzzle(file, values).validate();
+    } catch (err) {
+      problems = [{ level: "error", code: "unreadable", message: err.message }];
+    }
+    const ok = !problems.some(p => p.level === "error");
+    const message = [
+      ...problems.map(p => `${p.level} [${p.code}]: ${p.message}`),
+      ok ? `✅ ${file} is valid` : `❌ ${file} has errors`
+    ].join("\n");
+    return { ok, message, data: { file, valid: ok, problems }, error: ok ? undefined : "invalid" };
+  },
+
+  async pdf(file, values) {
+    const xw = readPuzzle(file, values);
+    const warnings = [];
+    const doc = await jscrossword_to_pdf(xw, { ...pdfOptions(values), onWarning: w => warnings.push(w.message) });
+    if (!doc) throw new Error("PDF generation failed");
+    return { ok: true, content: new Uint8Array(doc.output("arraybuffer")), names: templateNames(file, xw), warnings };
+  },
+};
+
+async function runJob(job, values) {
+  const start = Date.now();
+  try {
+    const result = await TASKS[job.command](job.file, values, job);
+    return { ...result, file: job.file, ms: Date.now() - start };
+  } catch (err) {
+    return { ok: false, file: job.file, error: err.message, ms: Date.now() - start };
+  }
+}
+
+/**
+ * Run jobs, in order or on a pool of `n` worker threads,
+ * calling onResult(index, result) as each one finishes.
+ */
+async function runJobs(jobs, values, n, onResult) {
+  if (n <= 1 || jobs.length <= 1) {
+    for (let i = 0; i < jobs.length; i++) onResult(i, await runJob(jobs[i], values));
+    return;
+  }
+
+  let next = 0;
+  const workerCount = Math.min(n, jobs.length);
+  await Promise.all(Array.from({ length: workerCount }, () => new Promise(resolve => {
+    const worker = new Worker(new URL(import.meta.url), { workerData: { jscrosswordCli: true, values } });
+    let current = -1;
+    const feed = () => {
+      if (next >= jobs.length) {
+        current = -1;
+        worker.terminate().then(resolve);
+        return;
+      }
+      current = next++;
+      worker.postMessage(jobs[current]);
+    };
+    worker.on("message", result => {
+      onResult(current, result);
+      feed();
+    });
+    worker.on("error", err => {
+      // the job this worker was on fails; the other workers pick up the rest
+      if (current >= 0) onResult(current, { ok: false, file: jobs[current].file, error: err.message, ms: 0 });
+      current = -1;
+      resolve();
+    });
+    worker.on("exit", code => {
+      // a worker that exits mid-job (process.exit, out of memory) fails that job too
+      if (current >= 0) onResult(current, { ok: false, file: jobs[current].file, error: `worker exited with code ${code}`, ms: 0 });
+      current = -1;
+      resolve();
+    });
+    feed();
+  })));
+
+  // If every worker died, whatever is left fails
+  while (next < jobs.length) {
+    const i = next++;
+    onResult(i, { ok: false, file: jobs[i].file, error: "worker stopped", ms: 0 });
+  }
+}
+
+/**
+ * Read every file and write them all to one booklet PDF.
+ * Files that can't be read are reported and left out.
+ */
+async function writeBooklet(files, values) {
+  const results = [];
+  const puzzles = [];
+  files.forEach(file => {
+    const start = Date.now();
+    try {
+      puzzles.push(readPuzzle(file, values));
+      results.push({ ok: true, file, output: values.booklet, ms: Date.now() - start });
+    } catch (err) {
+      console.error(`❌ ${file}: ${err.message}`);
+      results.push({ ok: false, file, error: err.message, ms: Date.now() - start });
+    }
+  });
+  if (!puzzles.length) throw new Error("No puzzles could be read for the booklet");
+
+  const options = { ...pdfOptions(values), solutions: !values["no-solutions"] };
+  if (values["booklet-title"] !== undefined) options.title = values["booklet-title"];
+  if (values["booklet-subtitle"] !== undefined) options.subtitle = values["booklet-subtitle"];
+  const doc = await JSCrossword.booklet(puzzles, options);
+  fs.writeFileSync(values.booklet, Buffer.from(doc.output("arraybuffer")));
+  console.log(`✅ Wrote a booklet of ${puzzles.length} puzzles to ${values.booklet}`);
+  return results;
+}
+
+/** Expand files, directories and globs into a list of files **/
+function expandInputs(inputs) {
+  const readable = new Set(JSCrossword.formats().filter(f => f.read).flatMap(f => f.extensions));
+  const files = [];
+  inputs.forEach(input => {
+    if (hasGlob(input) && !fs.existsSync(input)) {
+      const matches = glob(input);
+      if (!matches.length) throw new Error(`No files match ${input}`);
+      files.push(...matches);
+    } else if (fs.existsSync(input) && fs.statSync(input).isDirectory()) {
+      fs.readdirSync(input)
+        .filter(name => readable.has(path.extname(name).toLowerCase()))
+        .sort()
+        .forEach(name => files.push(path.join(input, name)));
+    } else {
+      files.push(input);
+    }
+  });
+  return files;
+}
+
+/** Fill in {stem}, {title} and {date}, keeping the result a safe filename **/
+function renderTemplate(template, names) {
+  const name = template.replace(/\{(stem|title|date)\}/g, (m, key) => names[key] || "");
+  return name.replace(/[\/\\:*?"<>|]+/g, "_").trim() || names.stem;
+}
+
+/** Print a summary table of batch results **/
+function printSummary(results) {
+  const rows = results.map(r => [
+    r.file,
+    r.ok ? "ok" : "FAILED",
+    `${(r.ms / 1000).toFixed(1)}s`,
+    r.ok ? (r.output || "") : r.error,
+  ]);
+  const header = ["File", "Status", "Time", "Output / error"];
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map(r => r[i].length)));
+  const line = cols => cols.map((c, i) => (i === cols.length - 1 ? c : c.padEnd(widths[i]))).join("  ");
+  console.log("");
+  console.log(line(header));
+  console.log(line(widths.map(w => "-".repeat(w))));
+  rows.forEach(r => console.log(line(r)));
+  const failed = results.filter(r => !r.ok).length;
+  console.log(`\n${results.length - failed} succeeded, ${failed} failed.`);
+}
+
+const COMMANDS = ["convert", "info", "validate", "pdf"];
+
+/**
+ * Run the CLI with the given arguments (without "node" and the script name).
+ * Returns the exit code.
+ */
+export async function main(argv) {
+  const options = {
+    help: { type: "boolean", short: "h" },
+    json: { type: "boolean" },
+    to: { type: "string" },
+    format: { type: "string" },
+    option: { type: "string", multiple: true },
+    output: { type: "string", short: "o" },
+    "out-dir": { type: "string" },
+    template: { type: "string" },
+    jobs: { type: "string", short: "j" },
+    booklet: { type: "string" },
+    "booklet-title": { type: "string" },
+    "booklet-subtitle": { type: "string" },
+    "no-solutions": { type: "boolean" },
+  };
+  Object.entries(PDF_FLAGS).forEach(([flag, { type }]) => {
+    options[flag] = { type: type === "boolean" ? "boolean" : "string" };
+  });
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options, allowPositionals: true });
+  } catch (err) {
+    console.error(err.message);
+    console.error(USAGE);
+    return 2;
+  }
+  const { values } = parsed;
+  const [command, ...positionals] = parsed.positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return values.help ? 0 : 2;
+  }
+  if (!COMMANDS.includes(command)) {
+    console.error(`Unknown command "${command}"\n`);
+    console.error(USAGE);
+    return 2;
+  }
+
+  let results;
+  try {
+    if (!positionals.length) throw new Error(`${command} needs an input file`);
+    const jobCount = values.jobs === undefined ? 1 : parseInt(values.jobs, 10);
+    if (!(jobCount >= 1)) throw new Error("--jobs expects a positive number");
+    if (values.option) pdfOptions(values); // report bad --option values up front
+
+    // --output, `convert in out` and `pdf in out.pdf` name their single output
+    let inputs = positionals;
+    let explicitOutput = values.output || null;
+    if (explicitOutput) {
+      if (positionals.length !== 1 || values["out-dir"] || values.booklet) {
+        throw new Error("--output takes a single input, without --out-dir or --booklet");
+      }
+    } else if (!values["out-dir"] && positionals.length === 2 &&
+        (command === "convert" || (command === "pdf" && /\.pdf$/i.test(positionals[1])))) {
+      [inputs, explicitOutput] = [[positionals[0]], positionals[1]];
+    }
+
+    let format = null;
+    let extension = ".pdf";
+    if (command === "convert") {
+      const key = values.to || (explicitOutput && path.extname(explicitOutput));
+      if (!key) throw new Error("convert needs --to FORMAT when writing to --out-dir");
+      const f = JSCrossword.getFormat(key);
+      if (!f || !f.write) throw new Error(`Don't know how to write "${key}"`);
+      format = f.name;
+      extension = f.extensions[0] || `.${f.name}`;
+    }
+
+    const files = expandInputs(inputs);
+    if (values.output && files.length > 1) throw new Error("--output takes a single input");
+    if (values.booklet) {
+      if (command !== "pdf") throw new Error("--booklet only works with the pdf command");
+      results = await writeBooklet(files, values);
+      if (results.length > 1) printSummary(results);
+      return results.every(r => r.ok) ? 0 : 1;
+    }
+    const outDir = values["out-dir"] || ".";
+    const template = values.template || "{stem}";
+    const usedOutputs = new Set();
+    const batch = files.length > 1;
+    if (values["out-dir"]) fs.mkdirSync(outDir, { recursive: true });
+
+    results = new Array(files.length);
+    const jobs = files.map(file => ({ command, file, format }));
+    await runJobs(jobs, values, jobCount, (i, result) => {
+      if (result.ok && result.content !== undefined) {
+        let out = explicitOutput;
+        if (!out) {
+          const base = path.join(outDir, renderTemplate(template, result.names));
+          out = base + extension;
+          for (let n = 2; usedOutputs.has(out); n++) out = `${base}-${n}${extension}`;
+        }
+        try {
+          fs.writeFileSync(out, typeof result.content === "string" ? result.content : Buffer.from(result.content));
+          usedOutputs.add(out);
+          result.output = out;
+        } catch (err) {
+          Object.assign(result, { ok: false, error: err.message });
+        }
+      }
+      delete result.content;
+      results[i] = result;
+
+      if (values.json) return;
+      (result.warnings || []).forEach(w => console.error(`⚠️  ${result.file}: ${w}`));
+      if (!result.ok && !result.message) console.error(`❌ ${result.file}: ${result.error}`);
+      else if (result.message) console.log(result.message + (batch && command === "info" ? "\n" : ""));
+      else console.log(`✅ Wrote ${command === "pdf" ? "PDF" : format} to ${result.output}`);
+    });
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    return 1;
+  }
+
+  if (values.json && (command === "info" || command === "validate")) {
+    const data = results.map(r => r.data || { file: r.file, error: r.error });
+    console.log(JSON.stringify(results.length === 1 ? data[0] : data, null, 2));
+  } else if (results.length > 1) {
+    printSummary(results);
+  }
+  return results.every(r => r.ok) ? 0 : 1;
+}
+
+// Worker threads for --jobs run this module and take jobs over messages
+if (!isMainThread && workerData?.jscrosswordCli) {
+  parentPort.on("message", async job => {
+    parentPort.postMessage(await runJob(job, workerData.values));
+  });
+}
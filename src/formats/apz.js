@@ -1,5 +1,7 @@
 // formats/apz.js
 import { parseXml, getText } from "../lib/xmlparser.js";
+import { escapeXml, decodeHtmlEntities } from "../lib/escape.js";
+import { cellLookup } from "../grid.js";
 
 function getClueLetter(clueIndex) {
   const code = 'A'.charCodeAt(0) + (clueIndex % 26);
@@ -7,7 +9,15 @@ function getClueLetter(clueIndex) {
   return letter.repeat(Math.floor(clueIndex / 26) + 1);
 }
 
-export function generateGridKey(solutionStr, answers) {
+/**
+ * Assign each answer letter to a quote square: for each answer, the quote
+ * square numbers (from 1, counting letters and digits) of its letters.
+ * Throws if the answers don't use exactly the quote's letters.
+ *
+ * Options:
+ *   seed: seed for the shuffles, so the same seed gives the same key (default 1)
+ */
+export function generateGridKey(solutionStr, answers, options = {}) {
   let wordIndex = 0;
   const solutionWords = [];
   let indexInFiltered = 0;
@@ -45,7 +55,7 @@ export function generateGridKey(solutionStr, answers) {
   let remainingSolutionCharacters = solutionWords.map((w, idx) => ({ ...w, originalIdx: idx }));
 
   // seeded RNG from https://stackoverflow.com/a/19303725
-  let RNGSeed = 1;
+  let RNGSeed = options.seed ?? 1;
   function random() {
       var x = Math.sin(RNGSeed++) * 10000;
       return x - Math.floor(x);
@@ -100,7 +110,11 @@ export function generateGridKey(solutionStr, answers) {
   return gridKey;
 }
 
-export function xw_read_apz(data) {
+/**
+ * Read the parts of an APZ file: quote, source, answers, clues and grid key
+ * (null if the file has none).
+ */
+function parse_apz(data) {
   // Decode XML string
   const xmlString = new TextDecoder("utf-8").decode(data);
   const doc = parseXml(xmlString);
@@ -113,9 +127,6 @@ export function xw_read_apz(data) {
     return metadataNode ? getText(metadataNode, tag) : "";
   };
 
-  const solutionRaw = getText(puzzle, "solution");
-  const cleanSolution = solutionRaw.replace(/[\r\n]+/g, "");
-
   // Parse answers
   const answersRaw = getText(puzzle, "answers");
   const answers = answersRaw
@@ -123,21 +134,79 @@ export function xw_read_apz(data) {
     .map(line => line.trim())
     .filter(line => line.length > 0);
 
+  // Parse clues
+  const cluesRaw = getText(puzzle, "clues");
+  const clueTexts = cluesRaw
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line.length > 0);
+
+  // Parse gridkey
+  let gridKey = null;
+  const gridkeyNode = puzzle.getElementsByTagName("gridkey")[0];
+  if (gridkeyNode && gridkeyNode.textContent.trim()) {
+    gridKey = gridkeyNode.textContent
+      .trim()
+      .split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line.length > 0)
+      .map(line => line.split(/\s+/).map(Number));
+  }
+
+  return {
+    title: getMetadataText("title"),
+    author: getMetadataText("creator"),
+    copyright: getMetadataText("copyright"),
+    description: getMetadataText("description"),
+    completion_message: getText(puzzle, "completion") || "",
+    quote: getText(puzzle, "solution"),
+    source: getText(puzzle, "source").trim(),
+    answers,
+    clues: clueTexts,
+    gridKey,
+    // quote grid size (optional, treated as suggestions)
+    quoteWidth: parseInt(getMetadataText("width"), 10),
+    quoteHeight: parseInt(getMetadataText("height"), 10)
+  };
+}
+
+export function xw_read_apz(data, options = {}) {
+  return acrostic_to_jscrossword({ ...parse_apz(data), seed: options.seed });
+}
+
+// letters and digits only, as they go in the grid
+const gridLetters = s => String(s || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+
+/**
+ * Lay out an acrostic as a JSCrossword: the quote grid on top, then the
+ * lettered answers in two columns.
+ *
+ * acrostic: { quote, answers, clues, source, gridKey, seed, quoteWidth, quoteHeight,
+ *             title, author, copyright, description, completion_message }
+ * Only quote, answers and clues are required; the grid key (for each answer,
+ * the quote square of each of its letters) is generated from seed if missing.
+ */
+export function acrostic_to_jscrossword(acrostic) {
+  const answers = (acrostic.answers || []).map(gridLetters);
+  const clueTexts = acrostic.clues || [];
+  if (!answers.length) throw new Error("An acrostic needs at least one answer");
+  const cleanSolution = String(acrostic.quote || "").replace(/[\r\n]+/g, "");
+
   // Calculate layout dimensions for clues/answers
   const colSize = Math.ceil(answers.length / 2);
   const leftMax = Math.max(...answers.slice(0, colSize).map(a => a.length));
-  const rightMax = Math.max(...answers.slice(colSize).map(a => a.length));
+  const rightMax = Math.max(0, ...answers.slice(colSize).map(a => a.length));
 
   const leftColWidth = 1 + leftMax;  // 1 cell for label + max answer cells
   const rightColWidth = 1 + rightMax;
 
-  // Determine quote width and height (optional, treated as suggestions)
-  let quoteWidth = parseInt(getMetadataText("width"), 10);
+  // Determine quote width and height
+  let quoteWidth = acrostic.quoteWidth;
   if (!quoteWidth || isNaN(quoteWidth) || quoteWidth <= 0) {
     quoteWidth = Math.max(leftColWidth + 1 + rightColWidth, 27);
   }
 
-  let quoteHeight = parseInt(getMetadataText("height"), 10);
+  let quoteHeight = acrostic.quoteHeight;
   const minQuoteHeight = Math.ceil(cleanSolution.length / quoteWidth);
   if (!quoteHeight || isNaN(quoteHeight) || quoteHeight < minQuoteHeight) {
     quoteHeight = minQuoteHeight;
@@ -149,42 +218,30 @@ export function xw_read_apz(data) {
     solutionLines.push(cleanSolution.slice(i, i + quoteWidth));
   }
 
-  // Parse clues
-  const cluesRaw = getText(puzzle, "clues");
-  const clueTexts = cluesRaw
-    .split(/\r?\n/)
-    .map(line => line.trim())
-    .filter(line => line.length > 0);
-
-  // Parse or generate gridkey
-  let gridKey = [];
-  const gridkeyNode = puzzle.getElementsByTagName("gridkey")[0];
-  if (gridkeyNode && gridkeyNode.textContent.trim()) {
-    gridKey = gridkeyNode.textContent
-      .trim()
-      .split(/\r?\n/)
-      .map(line => line.trim())
-      .filter(line => line.length > 0)
-      .map(line => line.split(/\s+/).map(Number));
-  } else {
-    gridKey = generateGridKey(cleanSolution, answers);
-  }
+  const gridKey = acrostic.gridKey && acrostic.gridKey.length
+    ? acrostic.gridKey
+    : generateGridKey(cleanSolution, answers, { seed: acrostic.seed });
 
   const totalWidth = Math.max(quoteWidth, leftColWidth + 1 + rightColWidth, 27);
   const leftColEnd = leftColWidth + Math.floor((totalWidth - leftColWidth - rightColWidth - 1) / 2);
   const totalHeight = quoteHeight + 1 + colSize;
 
-  const completionMessage = getText(puzzle, "completion") || "";
-
   const metadata = {
-    title: getMetadataText("title"),
-    author: getMetadataText("creator"),
-    copyright: getMetadataText("copyright"),
-    description: getMetadataText("description"),
+    title: acrostic.title || "",
+    author: acrostic.author || "",
+    copyright: acrostic.copyright || "",
+    description: acrostic.description || "",
     height: totalHeight,
     width: totalWidth,
     crossword_type: "acrostic",
-    completion_message: completionMessage,
+    completion_message: acrostic.completion_message || "",
+    // what the grid doesn't keep: the quote as written, and its source
+    acrostic: {
+      quote: cleanSolution,
+      source: acrostic.source || "",
+      quoteWidth,
+      quoteHeight
+    }
   };
 
   const cells = [];
@@ -403,3 +460,93 @@ export function xw_read_apz(data) {
 
   return { metadata, cells, words, clues };
 }
+
+/**
+ * The acrostic behind a JSCrossword: { quote, source, sourceLetters, answers,
+ * clues, gridKey, quoteWidth, quoteHeight }, or null if it isn't an acrostic.
+ *
+ * Answers, clues and the grid key are read from the grid, so they follow any
+ * edits. The quote comes from the grid too (in capitals) unless the one the
+ * puzzle was made from still matches it. sourceLetters are the answers' first
+ * letters, which spell out the source.
+ */
+export function jscrossword_to_acrostic(metadata, cells, words, clues) {
+  if (metadata.crossword_type !== "acrostic") return null;
+  const cellAt = cellLookup(cells);
+  const wordMap = {};
+  words.forEach(w => { wordMap[w.id] = w; });
+
+  // every clue with a word is an answer
+  const entries = [];
+  clues.forEach(list => list.clue.forEach(clue => {
+    const word = wordMap[clue.word];
+    if (!word) return;
+    entries.push({ text: clue.text, cells: (word.cells || []).map(([x, y]) => cellAt(x, y)).filter(Boolean) });
+  }));
+  const answers = entries.map(e => e.cells.map(c => c.solution || "").join(""));
+  const gridKey = entries.map(e => e.cells.map(c => Number(c.number) || 0));
+
+  // the quote is everything above the answers
+  const firstAnswerRow = Math.min(metadata.height || 0, ...entries.flatMap(e => e.cells.map(c => c.y)));
+  let quote = "";
+  let quoteWidth = 0;
+  let quoteHeight = 0;
+  for (let y = 0; y < firstAnswerRow; y++) {
+    const row = cells.filter(c => c.y === y && !c.is_void && c.type !== "void").sort((a, b) => a.x - b.x);
+    if (!row.length) continue;
+    quoteHeight++;
+    quoteWidth = Math.max(quoteWidth, row.length);
+    row.forEach(c => { quote += c.type === "block" ? " " : (c.solution || ""); });
+  }
+
+  const stored = metadata.acrostic || {};
+  const keepStored = stored.quote && gridLetters(stored.quote) === gridLetters(quote);
+  return {
+    quote: keepStored ? stored.quote : quote.trim(),
+    source: stored.source || "",
+    sourceLetters: answers.map(a => a[0] || "").join(""),
+    answers,
+    clues: entries.map(e => e.text),
+    gridKey,
+    quoteWidth: keepStored && stored.quoteWidth ? stored.quoteWidth : quoteWidth,
+    quoteHeight: keepStored && stored.quoteHeight ? stored.quoteHeight : quoteHeight
+  };
+}
+
+/** Sanitized HTML as one line of plain APZ text **/
+function apzText(html) {
+  return escapeXml(decodeHtmlEntities(String(html || "").replace(/<[^>]*>/g, "")).replace(/\s*\n\s*/g, " ").trim());
+}
+
+/**
+ * Write an APZ (acrostic) file. The grid key is always written, so the file
+ * opens with the same letter mapping.
+ */
+export function xw_write_apz(metadata, cells, words, clues) {
+  const acrostic = jscrossword_to_acrostic(metadata, cells, words, clues);
+  if (!acrostic) throw new Error("Only acrostic puzzles can be written as APZ");
+
+  const block = (tag, lines) => [`<${tag}>`, ...lines.map(line => `  ${line}`), `</${tag}>`];
+  const lines = [
+    `<?xml version="1.0" encoding="UTF-8" ?>`,
+    `<puzzle>`,
+    `<metadata>`,
+    `    <title>${apzText(metadata.title)}</title>`,
+    `    <creator>${apzText(metadata.author)}</creator>`,
+    `    <copyright>${apzText(metadata.copyright)}</copyright>`,
+    `    <apzversion>1.0</apzversion>`,
+    `    <description>${apzText(metadata.description)}</description>`,
+    `    <width>${acrostic.quoteWidth}</width>`,
+    `    <height>${acrostic.quoteHeight}</height>`,
+    `</metadata>`
+  ];
+  const completion = decodeHtmlEntities(metadata.completion_message || "").trim();
+  if (completion) lines.push(`<completion>`, escapeXml(completion), `</completion>`);
+  lines.push(`<solution>`, escapeXml(acrostic.quote.replace(/[\r\n]+/g, "")), `</solution>`);
+  lines.push(`<source>`, apzText(acrostic.source), `</source>`);
+  lines.push(...block("answers", acrostic.answers));
+  lines.push(...block("clues", acrostic.clues.map(apzText)));
+  lines.push(...block("gridkey", acrostic.gridKey.map(key => key.join(" "))));
+  lines.push(`</puzzle>`);
+  return lines.join("\n") + "\n";
+}
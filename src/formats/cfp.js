@@ -1,7 +1,7 @@
 // formats/cfp.js
-import { xwGrid } from "../grid.js";
+import { xwGrid, cellLookup } from "../grid.js";
 import { parseXml, getText, getAttr } from "../lib/xmlparser.js";
-import { unescapeHtmlClue } from "../lib/escape.js";
+import { unescapeHtmlClue, escapeXml, decodeHtmlEntities } from "../lib/escape.js";
 
 export function xw_read_cfp(data) {
   // data is Uint8Array → decode to UTF-8 string
@@ -109,6 +109,164 @@ export function xw_read_cfp(data) {
   return { metadata, cells, words, clues };
 }
 
-export function xw_write_cfp(metadata, cells, words, clues) {
-  // TODO
+// Characters we can use in the GRID to stand in for rebus squares
+const REBUS_INPUTS = "@$%&*+=?!^~0123456789";
+
+/** Escape sanitized (HTML) text for XML; the reader reverses this with unescapeHtmlClue() **/
+const xmlText = s => escapeXml(decodeHtmlEntities(s));
+
+/**
+ * Find the Across and Down clue lists, and the grid entry each clue belongs to.
+ * Returns null if the clues aren't a plain Across/Down set.
+ */
+function cfpClueLists(clues) {
+  if (clues.length !== 2) return null;
+  const across = clues.find(c => /^across$/i.test((c.title || "").trim()));
+  const down = clues.find(c => /^down$/i.test((c.title || "").trim()));
+  if (!across || !down) return null;
+  return { ACROSS: across, DOWN: down };
+}
+
+/**
+ * List the features of a puzzle that CFP can't express.
+ * An empty list means the puzzle can be written without loss.
+ */
+export function cfpUnsupportedFeatures(metadata, cells, words, clues) {
+  const features = new Set();
+  if (metadata.crossword_type && metadata.crossword_type !== "crossword") {
+    features.add(`${metadata.crossword_type} puzzles`);
+  }
+  if (metadata.image) features.add("puzzle images");
+  cells.forEach(cell => {
+    if (cell.is_void || cell.type === "void") features.add("void cells");
+    if (cell.clue || cell.type === "clue") features.add("clue cells");
+    if (["top-bar", "bottom-bar", "left-bar", "right-bar"].some(b => cell[b])) features.add("bars");
+    if (cell["background-color"]) features.add("cell colors");
+    if (cell["background-shape"] && cell["background-shape"] !== "circle") features.add("cell shapes other than circles");
+    if (cell.image) features.add("cell images");
+    if (cell.top_right_number) features.add("top-right numbers");
+  });
+  const clueLists = cfpClueLists(clues);
+  if (!clueLists) {
+    features.add("clue groups other than Across/Down");
+  } else {
+    // words must line up with the standard numbering
+    const grid = new xwGrid(cells);
+    const entries = { ACROSS: grid.acrossEntries(), DOWN: grid.downEntries() };
+    Object.entries(clueLists).forEach(([dir, clueList]) => {
+      clueList.clue.forEach(clue => {
+        if (cfpEntryNumber(entries[dir], words, clue) === null) {
+          features.add("words that don't follow the standard grid numbering");
+        }
+      });
+    });
+  }
+  return [...features];
+}
+
+/** The grid number of the entry whose cells match the clue's word, or null */
+function cfpEntryNumber(entries, words, clue) {
+  const word = words.find(w => w.id === clue.word);
+  if (!word) return null;
+  const key = JSON.stringify(word.cells);
+  const num = Object.keys(entries).find(n => JSON.stringify(entries[n].cells) === key);
+  return num === undefined ? null : num;
+}
+
+/**
+ * Write a CrossFire (.cfp) file.
+ *
+ * CFP only knows about plain rectangular crosswords with circles and rebuses.
+ * If the puzzle has anything else (bars, voids, colors, ...) we throw an error
+ * listing those features, unless `options.allowLossy` is set, in which case they
+ * are dropped with a warning.
+ *
+ * Returns { data, warnings }, where warnings is a list of { code, message }
+ * like xw_write_puz's.
+ */
+export function xw_write_cfp(metadata, cells, words, clues, options = {}) {
+  const warnings = [];
+  const unsupported = cfpUnsupportedFeatures(metadata, cells, words, clues);
+  if (unsupported.length) {
+    const message = `CFP cannot represent: ${unsupported.join(", ")}`;
+    if (!options.allowLossy) throw new Error(message);
+    warnings.push({ code: "unsupported", message: `${message} (dropped)` });
+  }
+
+  const { width, height } = metadata;
+  const cellAt = cellLookup(cells);
+
+  // rebus squares need grid characters that aren't already in the solution
+  const letters = new Set(cells.map(c => String(c.solution || "").toUpperCase()).filter(s => [...s].length === 1));
+  const rebusInputs = [...REBUS_INPUTS].filter(ch => !letters.has(ch));
+
+  // --- Grid, circles and rebuses ---
+  const rebuses = {}; // letters -> {display, input}
+  const circles = [];
+  const rows = [];
+  for (let y = 0; y < height; y++) {
+    let row = "";
+    for (let x = 0; x < width; x++) {
+      const cell = cellAt(x, y);
+      if (!cell || cell.type === "block" || cell.is_void || cell.type === "void") {
+        row += ".";
+        continue;
+      }
+      if (cell["background-shape"] === "circle") circles.push(x + y * width);
+      const solution = (cell.solution || " ").toUpperCase();
+      if ([...solution].length > 1) {
+        if (!rebuses[solution]) {
+          const n = Object.keys(rebuses).length;
+          if (n >= rebusInputs.length) throw new Error("Too many distinct rebus squares for CFP");
+          rebuses[solution] = { display: `${n + 1}`, input: rebusInputs[n] };
+        }
+        row += rebuses[solution].input;
+      } else {
+        row += solution;
+      }
+    }
+    rows.push(row);
+  }
+
+  // --- Words ---
+  const wordLines = [];
+  const clueLists = cfpClueLists(clues);
+  if (clueLists) {
+    const grid = new xwGrid(cells);
+    const entries = { ACROSS: grid.acrossEntries(), DOWN: grid.downEntries() };
+    let id = 0;
+    Object.entries(clueLists).forEach(([dir, clueList]) => {
+      clueList.clue.forEach(clue => {
+        // a clue without a matching entry has no number CFP could give it
+        const num = cfpEntryNumber(entries[dir], words, clue);
+        if (num === null) return;
+        wordLines.push(
+          `<WORD dir="${dir}" id="${id++}" isTheme="false" num="${escapeXml(num)}">${xmlText(clue.text)}</WORD>`
+        );
+      });
+    });
+  }
+
+  const lines = [];
+  lines.push(`<?xml version="1.0" encoding="utf-8" standalone="no"?>`);
+  lines.push(`<CROSSFIRE>`);
+  lines.push(`<VERSION>1</VERSION>`);
+  lines.push(`<TITLE>${xmlText(metadata.title)}</TITLE>`);
+  lines.push(`<AUTHOR>${xmlText(metadata.author)}</AUTHOR>`);
+  lines.push(`<COPYRIGHT>${xmlText(metadata.copyright)}</COPYRIGHT>`);
+  lines.push(`<GRID width="${width}">`);
+  rows.forEach(row => lines.push(escapeXml(row)));
+  lines.push(`</GRID>`);
+  lines.push(`<CIRCLES>${circles.join(",")}</CIRCLES>`);
+  lines.push(`<REBUSES>`);
+  Object.entries(rebuses).forEach(([letters, r]) => {
+    lines.push(`<REBUS display="${r.display}" input="${escapeXml(r.input)}" letters="${escapeXml(letters.toLowerCase())}"/>`);
+  });
+  lines.push(`</REBUSES>`);
+  lines.push(`<WORDS>`);
+  wordLines.forEach(line => lines.push(line));
+  lines.push(`</WORDS>`);
+  lines.push(`<NOTES>${xmlText(metadata.description)}</NOTES>`);
+  lines.push(`</CROSSFIRE>`);
+  return { data: lines.join("\n") + "\n", warnings };
 }
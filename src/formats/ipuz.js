@@ -4,8 +4,9 @@
  * MIT License https://opensource.org/licenses/MIT
  *******************/
 
-import { xwGrid } from "../grid.js";
+import { xwGrid, cellLookup } from "../grid.js";
 import { unescapeHtmlClue } from "../lib/escape.js";
+import { SOLVE_MARKS, readTimer, timerSeconds } from "../lib/solve.js";
 import pkg from "../../package.json" with { type: "json" };
 
 /** Helper function to determine if we're 0- or 1-indexed **/
@@ -101,7 +102,11 @@ export function xw_read_ipuz(inputData) {
         solution = null;
       }
 
-      const letter = cellData?.value || null;
+      // what the solver has entered: a "value" in the puzzle grid or the "saved" grid
+      let saved = data.saved?.[y]?.[x];
+      if (saved && typeof saved === 'object') saved = saved.value;
+      if (saved === BLOCK || saved === EMPTY || typeof saved !== 'string') saved = null;
+      const letter = cellData?.value || saved || null;
 
       const bars = {
         'bottom-bar': style.barred?.includes('B') || null,
@@ -151,6 +156,18 @@ export function xw_read_ipuz(inputData) {
     }
   }
 
+  // solve progress (our extension): { timer: { elapsed, running }, marks: { revealed: [[x, y], ...], ... } }
+  const solvestate = data.solvestate;
+  if (solvestate?.timer) {
+    metadata.timer = readTimer(solvestate.timer.elapsed, solvestate.timer.running);
+  }
+  SOLVE_MARKS.forEach(mark => {
+    (solvestate?.marks?.[mark] || []).forEach(([x, y]) => {
+      const cell = cells[(y - 1) * width + (x - 1)];
+      if (cell) cell[mark] = true;
+    });
+  });
+
   const clues = [];
   const words = [];
   let word_id = 1;
@@ -302,17 +319,26 @@ export function xw_write_ipuz(metadata, cells, words, clues) {
   };
   const puzzle = [];
   const solution = [];
+  const saved = [];
+  const marks = {};
+  const cellAt = cellLookup(cells);
 
   for (let y1 = 0; y1 < metadata.height; y1++) {
     const row = [];
     const solutionRow = [];
+    const savedRow = [];
     for (let x1 = 0; x1 < metadata.width; x1++) {
-      const cell = cells.find(z => z.x === x1 && z.y === y1);
+      const cell = cellAt(x1, y1);
       if ( !cell || cell.is_void) {
         row.push(null);
         solutionRow.push(null);
+        savedRow.push(null);
         continue;
       }
+      SOLVE_MARKS.forEach(mark => {
+        if (cell[mark]) (marks[mark] = marks[mark] || []).push([x1 + 1, y1 + 1]);
+      });
+      savedRow.push(cell.type === 'block' ? '#' : (cell.letter || '_'));
 
       // puzzle cell
       let thisCell = {};
@@ -372,11 +398,21 @@ export function xw_write_ipuz(metadata, cells, words, clues) {
     }
     puzzle.push(row);
     solution.push(solutionRow);
+    saved.push(savedRow);
   }
 
   j.puzzle = puzzle;
   j.solution = solution;
 
+  // solve progress: the standard "saved" grid, plus the clock and marks
+  if (cells.some(c => c.letter && !c.is_void && c.type !== 'block')) j.saved = saved;
+  const solvestate = {};
+  if (metadata.timer) {
+    solvestate.timer = { elapsed: timerSeconds(metadata.timer), running: !!metadata.timer.running };
+  }
+  if (Object.keys(marks).length) solvestate.marks = marks;
+  if (Object.keys(solvestate).length) j.solvestate = solvestate;
+
   const ipuz_clues = {};
   const fakecluegroups = [];
   for (const clueList of clues) {
@@ -1,6 +1,8 @@
+import { zipSync, strToU8 } from "fflate";
 import { maybeUnzipText } from "../lib/maybeUnzip.js";
 import { parseXml } from "../lib/xmlparser.js";
-import { unescapeHtmlClue } from "../lib/escape.js";
+import { unescapeHtmlClue, escapeXml, decodeHtmlEntities, htmlClueToXml } from "../lib/escape.js";
+import { SOLVE_MARKS, readTimer, timerSeconds } from "../lib/solve.js";
 
 /*******************
 * JPZ reading/writing functions
@@ -59,11 +61,25 @@ export function xw_read_jpz(data) {
     metadata.has_reveal = false;
   }
 
+  const timer = doc.querySelector("applet-settings timer");
+  if (timer) {
+    metadata.timer = readTimer(timer.getAttribute("initial-value"), timer.getAttribute("start-on-load") === "true");
+  }
+
   const completion = doc.querySelector("completion");
   if (completion) {
     metadata.completion_message = completion.textContent.trim();
   }
 
+  // acrostics we wrote keep the quote as written and its source
+  if (crossword_type === "acrostic") {
+    const quote = crossword.getElementsByTagName("quote")[0];
+    const source = crossword.getElementsByTagName("source")[0];
+    if (quote || source) {
+      metadata.acrostic = { quote: quote?.textContent.trim() || "", source: source?.textContent.trim() || "" };
+    }
+  }
+
   // cells
   const grid = crossword.querySelector("grid");
   metadata.width = Number(grid.getAttribute("width"));
@@ -102,6 +118,12 @@ export function xw_read_jpz(data) {
       }
     }
 
+    // solve-status: space-separated marks like "revealed previously-incorrect"
+    const status = (cell.getAttribute("solve-status") || "").split(/\s+/);
+    SOLVE_MARKS.forEach(mark => {
+      if (status.includes(solveStatusName(mark))) new_cell[mark] = true;
+    });
+
     if (cell.getAttribute("hint") === "true") {
       new_cell.letter = new_cell.solution;
     }
@@ -176,8 +198,195 @@ export function xw_read_jpz(data) {
   return { metadata, cells, words, clues };
 }
 
-function xw_write_jpz(metadata, cells, words, clues) {
-  // TODO
+// Crossword Compiler element names for the crossword types we can write
+const JPZ_CROSSWORD_TYPES = ["crossword", "coded", "acrostic"];
+
+/** Split a list of [x, y] cells into runs of adjacent cells in a straight line */
+function cellRuns(word_cells) {
+  const runs = [];
+  let run = null;
+  word_cells.forEach(([x, y]) => {
+    if (run) {
+      const [lx, ly] = run.cells[run.cells.length - 1];
+      const dx = x - lx;
+      const dy = y - ly;
+      const adjacent = Math.abs(dx) + Math.abs(dy) === 1;
+      const sameDirection = run.cells.length === 1 || (dx === run.dx && dy === run.dy);
+      if (adjacent && sameDirection) {
+        run.cells.push([x, y]);
+        run.dx = dx;
+        run.dy = dy;
+        return;
+      }
+    }
+    run = { cells: [[x, y]], dx: 0, dy: 0 };
+    runs.push(run);
+  });
+  return runs.map(r => r.cells);
+}
+
+/** The JPZ x/y attribute pair (1-indexed, "from-to" ranges) for a run of cells */
+function runAttributes(run) {
+  const first = run[0];
+  const last = run[run.length - 1];
+  const range = (a, b) => (a === b ? `${a + 1}` : `${a + 1}-${b + 1}`);
+  return `x="${range(first[0], last[0])}" y="${range(first[1], last[1])}"`;
+}
+
+/** Escape sanitized (HTML) plain text for XML **/
+const xmlText = s => escapeXml(decodeHtmlEntities(s));
+
+/** A solve mark as it's written in solve-status **/
+const solveStatusName = mark => mark.replace(/_/g, "-");
+
+/** Build a <cell> element **/
+function cellToXml(cell) {
+  const attrs = [`x="${cell.x + 1}"`, `y="${cell.y + 1}"`];
+  const add = (name, value) => {
+    if (value !== null && value !== undefined && value !== "") {
+      attrs.push(`${name}="${escapeXml(value)}"`);
+    }
+  };
+
+  let type = cell.type;
+  if (cell.is_void) type = "void";
+  else if (cell.clue) type = "clue";
+
+  add("type", type);
+  if (type !== "block" && type !== "void") add("solution", cell.solution);
+  add("number", cell.number);
+  add("top-right-number", cell.top_right_number);
+  add("background-color", cell["background-color"]);
+  add("background-shape", cell["background-shape"]);
+  add("solve-state", cell.letter);
+  add("solve-status", SOLVE_MARKS.filter(mark => cell[mark]).map(solveStatusName).join(" "));
+  ["top-bar", "bottom-bar", "left-bar", "right-bar"].forEach(dir => {
+    if (cell[dir]) add(dir, "true");
+  });
+
+  const children = [];
+  if (type === "clue" && cell.value) {
+    children.push(escapeXml(cell.value));
+  }
+  const image = /^data:([^;]+);base64,(.*)$/s.exec(cell.image || "");
+  if (image) {
+    const mimeType = image[1].toLowerCase();
+    const format = Object.keys(imageFormatToMime).find(k => imageFormatToMime[k] === mimeType)
+      || mimeType.replace(/^image\//, "");
+    children.push(
+      `<background-picture format="${escapeXml(format.toUpperCase())}">` +
+      `<encoded-image>${image[2]}</encoded-image></background-picture>`
+    );
+  }
+
+  if (!children.length) return `<cell ${attrs.join(" ")}/>`;
+  return `<cell ${attrs.join(" ")}>${children.join("")}</cell>`;
+}
+
+/**
+ * Write a JPZ (Crossword Compiler XML) file.
+ *
+ * Options:
+ *   zip: if true, return the XML zipped (as Crossword Compiler does) in a
+ *        Uint8Array instead of a string.
+ */
+function xw_write_jpz(metadata, cells, words, clues, options = {}) {
+  const crossword_type = JPZ_CROSSWORD_TYPES.includes(metadata.crossword_type)
+    ? metadata.crossword_type
+    : "crossword";
+
+  const lines = [];
+  lines.push(`<?xml version="1.0" encoding="UTF-8"?>`);
+  lines.push(`<crossword-compiler-applet xmlns="http://crossword.info/xml/crossword-compiler-applet">`);
+
+  // applet-settings: the reader takes a missing <solution> action to mean "no reveal"
+  lines.push(`<applet-settings cursor-color="#00b100" selected-cells-color="#80ff80">`);
+  if (metadata.completion_message) {
+    lines.push(`<completion only-if-correct="true">${xmlText(metadata.completion_message)}</completion>`);
+  }
+  lines.push(`<actions buttons-layout="left">`);
+  if (metadata.has_reveal !== false) {
+    lines.push(`<reveal-word label="Reveal Word"/>`);
+    lines.push(`<reveal-letter label="Reveal Letter"/>`);
+  }
+  if (metadata.has_check !== false) lines.push(`<check label="Check"/>`);
+  if (metadata.has_reveal !== false) lines.push(`<solution label="Solution"/>`);
+  lines.push(`<pencil label="Pencil"/>`);
+  lines.push(`</actions>`);
+  if (metadata.timer) {
+    lines.push(`<timer initial-value="${timerSeconds(metadata.timer)}" start-on-load="${!!metadata.timer.running}"/>`);
+  }
+  lines.push(`</applet-settings>`);
+
+  // metadata
+  lines.push(`<rectangular-puzzle xmlns="http://crossword.info/xml/rectangular-puzzle">`);
+  lines.push(`<metadata>`);
+  lines.push(`<title>${xmlText(metadata.title)}</title>`);
+  lines.push(`<creator>${xmlText(metadata.author)}</creator>`);
+  lines.push(`<copyright>${xmlText(metadata.copyright)}</copyright>`);
+  lines.push(`<description>${xmlText(metadata.description)}</description>`);
+  ["fakeclues", "realwords", "autofill"].forEach(flag => {
+    if (metadata[flag]) lines.push(`<${flag}/>`);
+  });
+  lines.push(`</metadata>`);
+
+  // grid
+  lines.push(`<${crossword_type}>`);
+  const width = metadata.width || Math.max(0, ...cells.map(c => c.x + 1));
+  const height = metadata.height || Math.max(0, ...cells.map(c => c.y + 1));
+  lines.push(`<grid width="${width}" height="${height}">`);
+  lines.push(`<grid-look numbering-scheme="normal"/>`);
+  const sortedCells = [...cells].sort((a, b) => (a.y - b.y) || (a.x - b.x));
+  sortedCells.forEach(cell => lines.push(cellToXml(cell)));
+  lines.push(`</grid>`);
+
+  // words
+  words.forEach(word => {
+    const runs = cellRuns(word.cells || []);
+    const id = escapeXml(word.id);
+    if (runs.length === 1) {
+      lines.push(`<word id="${id}" ${runAttributes(runs[0])}/>`);
+    } else {
+      lines.push(`<word id="${id}">`);
+      runs.forEach(run => lines.push(`<cells ${runAttributes(run)}/>`));
+      lines.push(`</word>`);
+    }
+  });
+
+  // clues
+  clues.forEach(clueList => {
+    const fake = clueList.fake ? ` fake="true"` : "";
+    lines.push(`<clues ordering="normal"${fake}>`);
+    lines.push(`<title><b>${xmlText(clueList.title)}</b></title>`);
+    clueList.clue.forEach(clue => {
+      const attrs = [];
+      if (clue.word) attrs.push(`word="${escapeXml(clue.word)}"`);
+      if (clue.number !== null && clue.number !== undefined) {
+        attrs.push(`number="${escapeXml(clue.number)}"`);
+      }
+      lines.push(`<clue ${attrs.join(" ")}>${htmlClueToXml(clue.text)}</clue>`);
+    });
+    lines.push(`</clues>`);
+  });
+
+  // acrostics: the quote as written and its source, which the grid doesn't keep
+  if (crossword_type === "acrostic" && metadata.acrostic) {
+    lines.push(`<quote>${xmlText(metadata.acrostic.quote || "")}</quote>`);
+    lines.push(`<source>${xmlText(metadata.acrostic.source || "")}</source>`);
+  }
+
+  lines.push(`</${crossword_type}>`);
+  if (metadata.intro) {
+    lines.push(`<instructions>${xmlText(metadata.intro)}</instructions>`);
+  }
+  lines.push(`</rectangular-puzzle>`);
+  lines.push(`</crossword-compiler-applet>`);
+
+  const xml = lines.join("\n");
+  if (options.zip) {
+    return zipSync({ "puzzle.jpz": strToU8(xml) });
+  }
+  return xml;
 }
 
 export { xw_write_jpz };
@@ -4,8 +4,11 @@
  */
 
 import {
-  xwGrid
+  xwGrid,
+  cellLookup
 } from "../grid.js";
+import { decodeHtmlEntities } from "../lib/escape.js";
+import { readTimer, timerSeconds } from "../lib/solve.js";
 
 ////////////////////////
 // Constants & Enums  //
@@ -16,6 +19,7 @@ const ENCODING_UTF8 = 'utf-8';
 const ENCODING_ERRORS = 'fatal'; // throw on bad chars (closest to Python 'strict')
 
 const ACROSSDOWN = 'ACROSS&DOWN';
+const HEADER_SIZE = 0x34;
 
 const BLACKSQUARE = '.';
 const BLACKSQUARE2 = ':';
@@ -225,9 +229,11 @@ function dataCksum(data, seed = 0) {
 ////////////////////////
 
 export class PuzzleFormatError extends Error {
-  constructor(message = '') {
+  // location (optional): where parsing failed, e.g. { offset: 52 }
+  constructor(message = '', location = null) {
     super(message);
     this.name = 'PuzzleFormatError';
+    if (location) this.location = location;
   }
 }
 
@@ -277,6 +283,9 @@ export class Puzzle {
     const anchor = cur.findBytes(ACROSSDOWN);
     if (anchor < 0) throw new PuzzleFormatError('Data does not appear to represent a puzzle.');
     cur.pos = Math.max(0, anchor - 2);
+    if (!cur.canRead(HEADER_SIZE)) {
+      throw new PuzzleFormatError('Puzzle header is truncated', { offset: cur.bytes.length });
+    }
     this.preamble = (bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes)).subarray(0, cur.pos);
 
     // HEADER_FORMAT (packed fields, mirrored from Python)
@@ -312,6 +321,9 @@ export class Puzzle {
     this.encoding = (vt[0] < 2) ? ENCODING_LATIN1 : ENCODING_UTF8;
 
     const gridCells = width * height;
+    if (!cur.canRead(2 * gridCells)) {
+      throw new PuzzleFormatError(`Puzzle grid is truncated (expected ${width}x${height})`, { offset: cur.bytes.length });
+    }
     this.solution = decodeBytes(cur.slice(gridCells), this.encoding);
     this.fill = decodeBytes(cur.slice(gridCells), this.encoding);
 
@@ -319,11 +331,9 @@ export class Puzzle {
     if (this.solution_state !== SolutionState.Unlocked) {
       if (lockedHandling === "mask") {
         this.solution = this.solution.replace(/[^\:\.\-]/g, maskChar);
-      } else if (lockedHandling === "bruteforce") {
-        // attempt to brute-force unlock
-        this.bruteForceUnlock();
       } else { // the default is to keep as-is
-        // keep scrambled solution as-is (default)
+        // keep scrambled solution as-is (default); for "bruteforce",
+        // JSCrossword.readPUZ() then searches for the key (see lib/lock.js)
       }
     }
 
@@ -400,8 +410,8 @@ export class Puzzle {
     b.pushCString(this.author, this.encoding);
     b.pushCString(this.copyright, this.encoding);
 
-    for (const clue of this.clues) b.pushBytes(encodeText(clue || '', this.encoding)); // no trailing nulls per-field
-    // notes included as zstring for >=1.3 during text cksum, but here we roundtrip as in Python:
+    // clues are NUL-terminated in the file (the checksums leave the NULs out)
+    for (const clue of this.clues) b.pushCString(clue || '', this.encoding);
     b.pushCString(this.notes || '', this.encoding);
 
     // Extensions in recorded order first
@@ -479,41 +489,6 @@ export class Puzzle {
     return true;
   }
 
-  /**
-  * Attempt a brute-force unlock
-  * Note that this won't always work as written
-  * TODO: make it always work
-  **/
-  bruteForceUnlock() {
-    if (!this.isSolutionLocked()) return true;
-    let bestSolution = null;
-    let minRareLetters = Infinity;
-    let bestKey = -1;
-
-    for (let key = 1000; key < 10000; key++) {
-      const unscrambled = unscrambleSolution(this.solution, this.width, this.height, key, this.blacksquare());
-      if (this.checkAnswers(unscrambled)) {
-        const rareCount = (unscrambled.match(/[JQXZ]/g) || []).length;
-        if (rareCount < minRareLetters) {
-          minRareLetters = rareCount;
-          bestSolution = unscrambled;
-          bestKey = key;
-        }
-        // Optimization: if we find a solution with 0 rare letters, it's very likely the correct one.
-        if (minRareLetters === 0) break;
-      }
-    }
-
-    if (bestSolution) {
-      this.solution = bestSolution;
-      this.scrambled_cksum = 0;
-      this.solution_state = SolutionState.Unlocked;
-      console.log(`Solution unlocked with key ${bestKey} (rare letters: ${minRareLetters})`);
-      return true;
-    }
-    return false;
-  }
-
   lockSolution(key) {
     if (this.isSolutionLocked()) return;
     this.scrambled_cksum = scrambledCksum(this.solution, this.width, this.height, this.blacksquare(), this.encoding);
@@ -600,12 +575,18 @@ export class Puzzle {
     return this.helpers.clues;
   }
 
+  /**
+   * Across Lite text format. Version 'v2' adds a <REBUS> section (and MARK;
+   * for circled squares, written as lowercase letters); 'v1' grids only
+   * hold the first letter of each rebus.
+   */
   toTextFormat(textVersion = 'v1') {
     const TAB = '\t';
     const lines = [];
     if (textVersion === 'v1') lines.push('<ACROSS PUZZLE>');
-    else if (textVersion) lines.push(`<ACROSS PUZZLE ${textVersion}>`);
+    else if (textVersion) lines.push(`<ACROSS PUZZLE ${textVersion.toUpperCase()}>`);
     else throw new Error('invalid textVersion');
+    const isV2 = textVersion.toLowerCase() === 'v2';
 
     lines.push('<TITLE>');
     lines.push(TAB + (this.title || ''));
@@ -615,11 +596,38 @@ export class Puzzle {
     lines.push(TAB + (this.copyright || ''));
     lines.push('<SIZE>');
     lines.push(TAB + `${this.width}x${this.height}`);
+
+    const rebus = this.rebus();
+    const markup = this.markup();
+    const rebusKeys = {}; // rebus table value -> grid character
+    const rebusLines = [];
+    if (isV2 && (rebus.hasRebus() || markup.hasMarkup())) {
+      if (markup.hasMarkup()) rebusLines.push('MARK;');
+      // keys can't be letters that are already answers in the grid
+      const letters = new Set([...this.solution].filter((ch, i) => !rebus.table[i]).map(ch => ch.toUpperCase()));
+      const keys = [...TEXT_REBUS_KEYS].filter(ch => !letters.has(ch));
+      Object.keys(rebus.solutions).map(Number).sort((a, b) => a - b).forEach((k, i) => {
+        if (i >= keys.length) throw new Error('Too many distinct rebus squares for the text format');
+        rebusKeys[k + 1] = keys[i];
+        const sol = rebus.solutions[k];
+        const short = this.solution[rebus.table.indexOf(k + 1)] || sol.charAt(0);
+        rebusLines.push(`${keys[i]}:${sol}:${short}`);
+      });
+    }
+
     lines.push('<GRID>');
     for (let r = 0; r < this.height; r++) {
-      const row = this.solution.slice(r * this.width, (r + 1) * this.width);
+      let row = '';
+      for (let c = 0; c < this.width; c++) {
+        const i = r * this.width + c;
+        let ch = this.solution[i];
+        if (isV2 && rebusKeys[rebus.table[i]]) ch = rebusKeys[rebus.table[i]];
+        else if (isV2 && markup.isMarkupSquare(i) && markup.markup[i] & GridMarkup.Circled) ch = ch.toLowerCase();
+        row += ch;
+      }
       lines.push(TAB + row);
     }
+    if (rebusLines.length) lines.push('<REBUS>', ...rebusLines);
 
     const numbering = this.clueNumbering();
     lines.push('<ACROSS>');
@@ -639,7 +647,7 @@ export class Puzzle {
 class Rebus {
   constructor(puzzle) {
     this.puzzle = puzzle;
-    this.fill = {};
+    this.fill = {}; // square index -> the solver's rebus entry (RUSR)
     this.solutions = {};
     this.table = new Array(puzzle.width * puzzle.height).fill(0);
 
@@ -653,9 +661,9 @@ class Rebus {
       for (const [k, v] of Object.entries(m)) this.solutions[parseInt(k, 10)] = v;
     }
     if (puzzle.extensions.has(Extensions.RebusFill)) {
+      // one NUL-terminated string per square, empty where there's no rebus entry
       const s = decodeBytes(puzzle.extensions.get(Extensions.RebusFill), puzzle.encoding);
-      const m = parseDict(s);
-      for (const [k, v] of Object.entries(m)) this.fill[parseInt(k, 10)] = v;
+      s.split('\0').forEach((v, i) => { if (v) this.fill[i] = v; });
     }
   }
   hasRebus() {
@@ -671,19 +679,28 @@ class Rebus {
     return this.isRebusSquare(idx) ? this.solutions[this.table[idx] - 1] : null;
   }
   getRebusFill(idx) {
-    return this.isRebusSquare(idx) ? this.fill[this.table[idx] - 1] : null;
+    return this.fill[idx] || null;
   }
   setRebusFill(idx, value) {
-    if (this.isRebusSquare(idx)) this.fill[this.table[idx] - 1] = value;
+    if (value) this.fill[idx] = value;
+    else delete this.fill[idx];
   }
   save() {
-    if (!this.hasRebus()) return;
-    this.puzzle.extensions.set(Extensions.Rebus, packBytes(this.table));
-    this.puzzle.extensions.set(Extensions.RebusSolutions, encodeText(dictToString(this.solutions), this.puzzle.encoding));
-    this.puzzle.extensions.set(Extensions.RebusFill, encodeText(dictToString(this.fill), this.puzzle.encoding));
+    if (this.hasRebus()) {
+      this.puzzle.extensions.set(Extensions.Rebus, packBytes(this.table));
+      this.puzzle.extensions.set(Extensions.RebusSolutions, encodeText(dictToString(this.solutions), this.puzzle.encoding));
+    }
+    if (Object.keys(this.fill).length) {
+      this.puzzle.extensions.set(Extensions.RebusFill, encodeText(rebusFillString(this.fill, this.table.length), this.puzzle.encoding));
+    }
   }
 }
 
+/** RUSR: one NUL-terminated string per square **/
+function rebusFillString(fill, squares) {
+  return Array.from({ length: squares }, (_, i) => `${fill[i] || ''}\0`).join('');
+}
+
 class Markup {
   constructor(puzzle) {
     this.puzzle = puzzle;
@@ -957,6 +974,22 @@ export function scrambledCksum(scrambled, width, height, ignoreChars = BLACKSQUA
   return dataCksum(encodeText(data, encoding));
 }
 
+// Across Lite keys are four digits
+export const MIN_UNLOCK_KEY = 1000;
+export const MAX_UNLOCK_KEY = 9999;
+
+/**
+ * Try every key on a scrambled solution, yielding { key, solution } for each;
+ * solution is null unless the unscrambled grid matches the checksum.
+ */
+export function* unlockAttempts(scrambled, width, height, cksum, ignoreChars = BLACKSQUARE, encoding = ENCODING_LATIN1) {
+  for (let key = MIN_UNLOCK_KEY; key <= MAX_UNLOCK_KEY; key++) {
+    const solution = unscrambleSolution(scrambled, width, height, key, ignoreChars);
+    const matches = scrambledCksum(solution, width, height, ignoreChars, encoding) === cksum;
+    yield { key, solution: matches ? solution : null };
+  }
+}
+
 export function isBlacksquare(c) {
   return c === BLACKSQUARE || c === BLACKSQUARE2;
 }
@@ -1007,15 +1040,19 @@ function concatBytes(a, b) {
 // Across Lite TXT support //
 /////////////////////////////
 
+// Grid characters used for rebus squares in v2 text files, in order
+const TEXT_REBUS_KEYS = '1234567890@#$%&*+?!=';
+
 export function textFileAsDict(s) {
   const d = {};
   let k = null;
   let v = [];
-  for (const lineRaw of s.split(/\r?\n/)) {
+  for (const lineRaw of s.replace(/^\uFEFF/, '').split(/\r?\n/)) {
     const line = lineRaw.trimEnd();
-    if (line.startsWith('<') && line.endsWith('>')) {
+    // section tags are <WORD> or <WORD WORD>; clue text like "<i>x</i>" is not
+    if (/^\s*<[A-Za-z][A-Za-z0-9 ]*>$/.test(line)) {
       if (k) d[k] = v.join('\n');
-      k = line.slice(1, -1);
+      k = line.trim().slice(1, -1).toUpperCase();
       v = [];
     } else {
       v.push(line);
@@ -1025,47 +1062,139 @@ export function textFileAsDict(s) {
   return d;
 }
 
+/**
+ * Parse the <REBUS> section of a v2 text file:
+ *   MARK;           -> lowercase letters in the grid are circled
+ *   1:HEART:H       -> "1" in the grid is the rebus HEART (H when rebus is off)
+ */
+function parseTextRebus(section) {
+  const keys = {};
+  let mark = false;
+  for (const raw of (section || '').split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line) continue;
+    if (/^MARK;?$/i.test(line)) {
+      mark = true;
+      continue;
+    }
+    const parts = line.split(':');
+    if (parts.length < 2 || parts[0].length !== 1) {
+      throw new PuzzleFormatError(`Invalid REBUS line: ${line}`);
+    }
+    const solution = parts[1].trim().toUpperCase();
+    const short = (parts[2] || solution).trim().charAt(0).toUpperCase();
+    keys[parts[0]] = { solution, short };
+  }
+  return { keys, mark };
+}
+
+/** Split a grid row into squares; {HEART} is a single rebus square **/
+function textGridSquares(row) {
+  const squares = [];
+  const rx = /\{([^}]*)\}|./gu;
+  let m;
+  while ((m = rx.exec(row))) squares.push(m[1] !== undefined ? { rebus: m[1].toUpperCase() } : m[0]);
+  return squares;
+}
+
 export function fromTextFormat(s) {
   const d = textFileAsDict(s);
-  const hasV1 = !!d['ACROSS PUZZLE'];
-  const hasV2 = !!d['ACROSS PUZZLE v2'];
+  const hasV1 = 'ACROSS PUZZLE' in d;
+  const hasV2 = 'ACROSS PUZZLE V2' in d;
   if (!hasV1 && !hasV2) throw new PuzzleFormatError('Not a valid Across Lite text puzzle');
 
   const p = new Puzzle();
   const acrossClues = [];
   const downClues = [];
 
-  if (d.TITLE) p.title = d.TITLE;
-  if (d.AUTHOR) p.author = d.AUTHOR;
-  if (d.COPYRIGHT) p.copyright = d.COPYRIGHT;
+  if (d.TITLE) p.title = d.TITLE.trim();
+  if (d.AUTHOR) p.author = d.AUTHOR.trim();
+  if (d.COPYRIGHT) p.copyright = d.COPYRIGHT.trim();
 
   if (d.SIZE) {
-    const [w, h] = d.SIZE.split('x').map(x => parseInt(x, 10));
+    const [w, h] = d.SIZE.trim().toLowerCase().split('x').map(x => parseInt(x, 10));
     p.width = w;
     p.height = h;
   }
-  if (d.GRID) {
-    const lines = d.GRID.split(/\r?\n/).map(s => s.trim()).filter(Boolean);
-    p.solution = lines.join('');
-  }
-  if (d.ACROSS) acrossClues.push(...d.ACROSS.split(/\r?\n/).map(s => s.trim()).filter(Boolean));
-  if (d.DOWN) downClues.push(...d.DOWN.split(/\r?\n/).map(s => s.trim()).filter(Boolean));
-  if (d.NOTEPAD) p.notes = d.NOTEPAD;
-
-  if (p.solution) {
-    p.fill = p.solution.split('').map(c => (c === BLACKSQUARE ? BLACKSQUARE : BLANKSQUARE)).join('');
-    const [across, down] = getGridNumbering(p.fill, p.width, p.height);
-    p.clues = new Array(across.length + down.length).fill('');
-    for (let i = 0; i < across.length; i++) {
-      const clue = i < acrossClues.length ? acrossClues[i] : '';
-      across[i].clue = clue;
-      p.clues[across[i].clue_index] = clue;
+  if (!d.GRID) throw new PuzzleFormatError('Across Lite text puzzle has no <GRID>');
+
+  const { keys, mark } = hasV2 ? parseTextRebus(d.REBUS) : { keys: {}, mark: false };
+  const rows = d.GRID.split(/\r?\n/).map(s => s.trim()).filter(Boolean).map(textGridSquares);
+  if (!d.SIZE) {
+    p.width = rows[0].length;
+    p.height = rows.length;
+  }
+  if (rows.length !== p.height || rows.some(r => r.length !== p.width)) {
+    throw new PuzzleFormatError(`Grid does not match <SIZE> ${p.width}x${p.height}`);
+  }
+
+  // Solution string, plus rebus table and circles when the grid has them
+  const rebusTable = [];
+  const rebusSolutions = {};
+  const markup = [];
+  let solution = '';
+  rows.flat().forEach(sq => {
+    let rebus = null;
+    let circled = false;
+    let ch = sq;
+    if (typeof sq === 'object') {
+      rebus = sq.rebus;
+      ch = rebus.charAt(0);
+    } else if (keys[sq]) {
+      rebus = keys[sq].solution;
+      ch = keys[sq].short;
+    } else if (mark && sq !== sq.toUpperCase()) {
+      circled = true;
     }
-    for (let i = 0; i < down.length; i++) {
-      const clue = i < downClues.length ? downClues[i] : '';
-      down[i].clue = clue;
-      p.clues[down[i].clue_index] = clue;
+    if (rebus && rebus.length > 1) {
+      let key = Object.keys(rebusSolutions).find(k => rebusSolutions[k] === rebus);
+      if (key === undefined) {
+        key = String(Object.keys(rebusSolutions).length);
+        rebusSolutions[key] = rebus;
+      }
+      rebusTable.push(parseInt(key, 10) + 1);
+    } else {
+      if (rebus) ch = rebus;
+      rebusTable.push(0);
     }
+    markup.push(circled ? GridMarkup.Circled : GridMarkup.Default);
+    solution += isBlacksquare(ch) ? BLACKSQUARE : ch.toUpperCase();
+  });
+  p.solution = solution;
+
+  if (rebusTable.some(Boolean)) {
+    p.extensions.set(Extensions.Rebus, packBytes(rebusTable));
+    p.extensions.set(Extensions.RebusSolutions, encodeText(dictToString(rebusSolutions), p.encoding));
+    p._extensionsOrder.push(Extensions.Rebus, Extensions.RebusSolutions);
+  }
+  if (markup.some(Boolean)) {
+    p.extensions.set(Extensions.Markup, packBytes(markup));
+    p._extensionsOrder.push(Extensions.Markup);
+  }
+
+  if (d.NOTEPAD) p.notes = d.NOTEPAD.trim();
+
+  p.fill = p.solution.split('').map(c => (c === BLACKSQUARE ? BLACKSQUARE : BLANKSQUARE)).join('');
+  const [across, down] = getGridNumbering(p.fill, p.width, p.height);
+
+  // Blank lines are skipped, unless keeping them (as empty clues) is what lines up with the grid
+  const clueLines = (section, count) => {
+    const all = (section || '').trim().split(/\r?\n/).map(s => s.trim());
+    const nonEmpty = all.filter(Boolean);
+    return nonEmpty.length < count && all.length === count ? all : nonEmpty;
+  };
+  acrossClues.push(...clueLines(d.ACROSS, across.length));
+  downClues.push(...clueLines(d.DOWN, down.length));
+  p.clues = new Array(across.length + down.length).fill('');
+  for (let i = 0; i < across.length; i++) {
+    const clue = i < acrossClues.length ? acrossClues[i] : '';
+    across[i].clue = clue;
+    p.clues[across[i].clue_index] = clue;
+  }
+  for (let i = 0; i < down.length; i++) {
+    const clue = i < downClues.length ? downClues[i] : '';
+    down[i].clue = clue;
+    p.clues[down[i].clue_index] = clue;
   }
   return p;
 }
@@ -1112,6 +1241,20 @@ function jscrossword_from_puz(puzzle, options) {
     width,
     crossword_type: (puzzle.puzzletype === PuzzleType.Diagramless ? "diagramless": "crossword"),
   };
+  // a scrambled (or masked) solution can't be used to check answers
+  if (puzzle.isSolutionLocked()) {
+    metadata.locked = true;
+    metadata.lockedHandling = options.lockedHandling || "allow";
+    // lets xw.unlock() and xw.checkSolutionLocked() work on the scrambled letters
+    if (metadata.lockedHandling !== "mask") metadata.scrambled_cksum = puzzle.scrambled_cksum;
+  }
+
+  // LTIM: "seconds,stopped" (stopped is 1 when paused)
+  const ltim = extensions.get(Extensions.Timer);
+  if (ltim) {
+    const [elapsed, stopped] = decodeBytes(ltim, ENCODING_LATIN1).split(",");
+    metadata.timer = readTimer(elapsed, stopped?.trim() === "0");
+  }
 
   // --- build cells (x,y, solution/value/type) ---
   const cells = [];
@@ -1128,7 +1271,10 @@ function jscrossword_from_puz(puzzle, options) {
       const fillChar = fill[idx];
       const isBlock = sol === puzzle.blacksquare();
 
-      const hasCircle = (extensions.get('GEXT') || {})[idx] == GridMarkup.Circled;
+      const markup = (extensions.get(Extensions.Markup) || {})[idx] || 0;
+
+      const rebusFill = puzzle.rebus().getRebusFill(idx);
+      const entry = isBlock ? null : rebusFill || (fillChar && fillChar !== "-" ? fillChar : null);
 
       cells.push({
         x,
@@ -1136,9 +1282,15 @@ function jscrossword_from_puz(puzzle, options) {
         solution: isBlock ? null : sol,
         number: null,
         type: isBlock ? "block" : null,
-        value: isBlock ? null : (fillChar && fillChar !== "-" ? fillChar : null),
-        "background-shape": hasCircle ? "circle" : null,
+        value: entry,
+        letter: entry,
+        "background-shape": markup & GridMarkup.Circled ? "circle" : null,
       });
+      // check and reveal history
+      const cell = cells[cells.length - 1];
+      if (markup & GridMarkup.PreviouslyIncorrect) cell.previously_incorrect = true;
+      if (markup & GridMarkup.Incorrect) cell.incorrect = true;
+      if (markup & GridMarkup.Revealed) cell.revealed = true;
     }
   }
 
@@ -1230,6 +1382,223 @@ function jscrossword_from_puz(puzzle, options) {
 }
 
 
+/** Strip clue markup and decode entities; PUZ clues are plain text **/
+function plainText(html) {
+  return decodeHtmlEntities((html || "").replace(/<[^>]*>/g, ""));
+}
+
+/**
+ * Build a Puzzle from JSCrossword data.
+ *
+ * Options:
+ *   version: "1.3" (Latin-1, the default) or "2.0" (UTF-8)
+ *
+ * Returns { puzzle, warnings }. Each warning is { code, message, cells? }
+ * describing something that PUZ can't represent and was dropped or changed.
+ */
+function jscrossword_to_puz(metadata, cells, words, clues, options = {}) {
+  const { version = "1.3" } = options;
+  const { width, height } = metadata;
+  const validSize = n => Number.isInteger(n) && n > 0 && n <= 255;
+  if (!validSize(width) || !validSize(height)) {
+    throw new PuzzleFormatError(`PUZ grids must be between 1x1 and 255x255 (got ${width}x${height})`);
+  }
+
+  const warnings = [];
+  const found = {}; // warning code -> cells
+  const note = (code, cell) => {
+    if (!found[code]) found[code] = [];
+    if (cell) found[code].push([cell.x, cell.y]);
+  };
+
+  const puzzle = new Puzzle(version);
+  puzzle.encoding = puzzle.versionTuple()[0] < 2 ? ENCODING_LATIN1 : ENCODING_UTF8;
+  const isLatin1 = puzzle.encoding === ENCODING_LATIN1;
+
+  // Latin-1 can't hold everything; replace what it can't and remember that
+  const encodable = (str, code = "encoding") => {
+    if (!isLatin1) return str;
+    return Array.from(str).map(c => {
+      if (c.codePointAt(0) <= 0xff) return c;
+      note(code);
+      return "?";
+    }).join("");
+  };
+
+  if (metadata.crossword_type === "diagramless") {
+    puzzle.puzzletype = PuzzleType.Diagramless;
+  } else if (metadata.crossword_type && metadata.crossword_type !== "crossword") {
+    note("crossword_type");
+  }
+  if (metadata.image) note("images");
+
+  puzzle.width = width;
+  puzzle.height = height;
+  puzzle.title = encodable(plainText(metadata.title));
+  puzzle.author = encodable(plainText(metadata.author));
+  puzzle.copyright = encodable(plainText(metadata.copyright));
+  puzzle.notes = encodable(plainText(metadata.description));
+
+  // --- grid: solution, fill, rebus table and circles ---
+  const cellAt = cellLookup(cells);
+
+  const black = puzzle.blacksquare();
+  const rebusTable = new Array(width * height).fill(0);
+  const rebusKeys = {}; // rebus solution -> key
+  const rebusFill = {}; // square index -> the solver's rebus entry
+  const markup = new Array(width * height).fill(GridMarkup.Default);
+  let solution = "";
+  let fillStr = "";
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const idx = y * width + x;
+      const cell = cellAt(x, y);
+      if (!cell || cell.is_void || cell.type === "void" || cell.type === "block") {
+        if (cell && (cell.is_void || cell.type === "void")) note("voids", cell);
+        solution += black;
+        fillStr += black;
+        continue;
+      }
+
+      if (cell.clue || cell.type === "clue") note("clue_cells", cell);
+      if (["top-bar", "bottom-bar", "left-bar", "right-bar"].some(b => cell[b])) note("bars", cell);
+      if (cell["background-color"]) note("colors", cell);
+      if (cell.image) note("images", cell);
+      if (cell.top_right_number) note("top_right_numbers", cell);
+      if (cell["background-shape"] === "circle") {
+        markup[idx] = GridMarkup.Circled;
+      } else if (cell["background-shape"]) {
+        note("shapes", cell);
+      }
+      if (cell.previously_incorrect) markup[idx] |= GridMarkup.PreviouslyIncorrect;
+      if (cell.incorrect) markup[idx] |= GridMarkup.Incorrect;
+      if (cell.revealed) markup[idx] |= GridMarkup.Revealed;
+
+      let sol = encodable((cell.solution || "").toUpperCase());
+      if (!sol) {
+        note("missing_solutions", cell);
+        sol = "X";
+      }
+      const chars = Array.from(sol);
+      if (chars.length > 1) {
+        if (!(sol in rebusKeys)) rebusKeys[sol] = Object.keys(rebusKeys).length;
+        rebusTable[idx] = rebusKeys[sol] + 1;
+      }
+      solution += chars[0];
+
+      const letter = encodable((cell.letter || "").toUpperCase());
+      fillStr += letter ? Array.from(letter)[0] : BLANKSQUARE;
+      if (Array.from(letter).length > 1) rebusFill[idx] = letter;
+    }
+  }
+  puzzle.solution = solution;
+  puzzle.fill = fillStr;
+  // a locked (scrambled) solution stays locked
+  if (metadata.locked && Number.isInteger(metadata.scrambled_cksum)) {
+    puzzle.solution_state = SolutionState.Locked;
+    puzzle.scrambled_cksum = metadata.scrambled_cksum;
+  }
+
+  if (Object.keys(rebusKeys).length) {
+    const rtbl = Object.entries(rebusKeys)
+      .map(([sol, key]) => `${String(key).padStart(2, " ")}:${sol};`)
+      .join("");
+    puzzle.extensions.set(Extensions.Rebus, packBytes(rebusTable));
+    puzzle.extensions.set(Extensions.RebusSolutions, encodeText(rtbl, puzzle.encoding));
+    puzzle._extensionsOrder.push(Extensions.Rebus, Extensions.RebusSolutions);
+  }
+  if (metadata.timer) {
+    const ltim = `${timerSeconds(metadata.timer)},${metadata.timer.running ? 0 : 1}`;
+    puzzle.extensions.set(Extensions.Timer, encodeText(ltim, ENCODING_LATIN1));
+    puzzle._extensionsOrder.push(Extensions.Timer);
+  }
+  if (markup.some(Boolean)) {
+    puzzle.extensions.set(Extensions.Markup, packBytes(markup));
+    puzzle._extensionsOrder.push(Extensions.Markup);
+  }
+  if (Object.keys(rebusFill).length) {
+    puzzle.extensions.set(Extensions.RebusFill, encodeText(rebusFillString(rebusFill, width * height), puzzle.encoding));
+    puzzle._extensionsOrder.push(Extensions.RebusFill);
+  }
+
+  // --- clues, in Across Lite order ---
+  const isStandard = clues.length === 2 &&
+    /^across$/i.test((clues[0].title || "").trim()) &&
+    /^down$/i.test((clues[1].title || "").trim());
+  if (!isStandard) note("clue_groups");
+
+  const wordCells = {};
+  words.forEach(w => { wordCells[w.id] = JSON.stringify(w.cells || []); });
+
+  // clues by the cells of their word, and by direction + number as a fallback
+  const byCells = {};
+  const byNumber = {};
+  const unused = new Set();
+  clues.forEach(clueList => {
+    const dir = /down/i.test(clueList.title || "") ? "down" : "across";
+    clueList.clue.forEach(clue => {
+      if (wordCells[clue.word]) byCells[wordCells[clue.word]] = clue;
+      byNumber[`${dir}${clue.number}`] = clue;
+      unused.add(clue);
+    });
+  });
+
+  const [across, down] = getGridNumbering(solution, width, height);
+  puzzle.clues = new Array(across.length + down.length).fill("");
+  [...across, ...down].forEach(entry => {
+    const entryCells = [];
+    for (let i = 0; i < entry.len; i++) {
+      entryCells.push(entry.dir === "across" ? [entry.col + i, entry.row] : [entry.col, entry.row + i]);
+    }
+    const clue = byCells[JSON.stringify(entryCells)] || byNumber[`${entry.dir}${entry.num}`];
+    if (!clue) {
+      note("missing_clues");
+    } else {
+      unused.delete(clue);
+      if (String(clue.number) !== String(entry.num)) note("numbering");
+      if (/<[^>]*>/.test(clue.text || "")) note("formatting");
+    }
+    puzzle.clues[entry.clue_index] = encodable(plainText(clue?.text));
+  });
+  if (unused.size) note("unmatched_clues");
+
+  const MESSAGES = {
+    crossword_type: `PUZ has no "${metadata.crossword_type}" type; written as a regular crossword`,
+    images: "Images are not supported in PUZ and were dropped",
+    voids: "Void cells are not supported in PUZ and were written as black squares",
+    clue_cells: "Clue cells are not supported in PUZ and were written as regular cells",
+    bars: "Bars are not supported in PUZ and were dropped",
+    colors: "Cell colors are not supported in PUZ and were dropped",
+    shapes: "Only circles are supported in PUZ; other cell shapes were dropped",
+    top_right_numbers: "Top-right numbers are not supported in PUZ and were dropped",
+    missing_solutions: "Some cells have no solution; they were written as X",
+    encoding: 'Characters outside Latin-1 were replaced with "?" (use version "2.0" for UTF-8)',
+    clue_groups: "PUZ only has Across and Down clues; other clue groups were mapped onto the grid's entries",
+    numbering: "Some clue numbers differ from the grid's standard numbering and were renumbered",
+    formatting: "Clue formatting (bold, italics, ...) was removed",
+    missing_clues: "Some entries in the grid have no clue; they were written with empty clues",
+    unmatched_clues: "Some clues don't match any entry in the grid and were dropped",
+  };
+  Object.keys(MESSAGES).forEach(code => {
+    if (!found[code]) return;
+    const warning = { code, message: MESSAGES[code] };
+    if (found[code].length) warning.cells = found[code];
+    warnings.push(warning);
+  });
+
+  return { puzzle, warnings };
+}
+
+/**
+ * Write JSCrossword data as a binary PUZ file.
+ * Returns { data: Uint8Array, warnings } (see jscrossword_to_puz for options)
+ */
+export function xw_write_puz(metadata, cells, words, clues, options = {}) {
+  const { puzzle, warnings } = jscrossword_to_puz(metadata, cells, words, clues, options);
+  return { data: puzzle.tobytes(), warnings };
+}
+
 export function xw_read_puz(data, options = {}) {
   let bytes;
 
@@ -1245,5 +1614,52 @@ export function xw_read_puz(data, options = {}) {
   return jscrossword_from_puz(puzzle, options);
 }
 
+/**
+ * Read an Across Lite text puzzle (<ACROSS PUZZLE> or <ACROSS PUZZLE V2>)
+ * from a string, Uint8Array or ArrayBuffer.
+ */
+export function xw_read_puz_text(data, options = {}) {
+  let text = data;
+  if (data instanceof ArrayBuffer) data = new Uint8Array(data);
+  if (data instanceof Uint8Array) {
+    // Across Lite writes Latin-1; newer tools write UTF-8
+    try {
+      text = new TextDecoder(ENCODING_UTF8, { fatal: true }).decode(data);
+    } catch (e) {
+      text = decodeBytes(data, ENCODING_LATIN1);
+    }
+  }
+  if (typeof text !== "string") {
+    throw new Error("Unsupported input to xw_read_puz_text: must be a string, Uint8Array or ArrayBuffer");
+  }
+
+  const puzzle = fromTextFormat(text);
+  return jscrossword_from_puz(puzzle, options);
+}
+
+/**
+ * Write JSCrossword data as an Across Lite text puzzle (a string).
+ *
+ * Options:
+ *   version: "v1" or "v2". Defaults to "v2" only when the puzzle
+ *            has rebus or circled squares, which v1 can't hold.
+ *
+ * Returns { data, warnings } like xw_write_puz: anything the format can't
+ * represent is dropped and listed in warnings.
+ */
+export function xw_write_puz_text(metadata, cells, words, clues, options = {}) {
+  const { puzzle, warnings } = jscrossword_to_puz(metadata, cells, words, clues, { version: "2.0" });
+  const version = options.version || (puzzle.hasRebus() || puzzle.hasMarkup() ? "v2" : "v1");
+
+  // every field but the notepad has to fit on one line
+  const oneLine = str => (str || "").replace(/\s*[\r\n]+\s*/g, " ").trim();
+  puzzle.title = oneLine(puzzle.title);
+  puzzle.author = oneLine(puzzle.author);
+  puzzle.copyright = oneLine(puzzle.copyright);
+  puzzle.clues = puzzle.clues.map(oneLine);
+
+  return { data: puzzle.toTextFormat(version) + "\n", warnings };
+}
+
 
 // ==== JSCrossword adapter ends ====
@@ -1,5 +1,7 @@
 import { maybeUnzipText } from "../lib/maybeUnzip.js";
 import { parse as parseYAML } from "@mourner/yeahml";
+import { decodeHtmlEntities } from "../lib/escape.js";
+import { cellLookup } from "../grid.js";
 
 // convert basic markdown to HTML
 function formatText(input) {
@@ -51,7 +53,55 @@ function entryToTags(entry) {
 
 function sortByClue(arr) {
   const clean = s => s.replace(/[^a-z0-9]/gi, '').toLowerCase();
-  return arr.sort((a,b) => clean(a.clue).localeCompare(clean(b.clue)));
+  return arr.sort((a,b) => clean(a.text).localeCompare(clean(b.text)));
+}
+
+// Bloom shading, by the bloom's top row (mod 3)
+const BLOOM_COLORS = ["medium", "light", "dark"];
+const BLOOM_FILL = {
+  light: "#FFFFFF",
+  medium: "#D9D9D9",
+  dark: "#A6A6A6"
+};
+
+// answer letters as they go in the grid
+const gridLetters = answer => String(answer).toUpperCase().replace(/[^A-Z0-9]/g, "");
+
+/**
+ * Bloom positions for a grid of the given size. Blooms are 3 wide and 2 tall;
+ * odd bloom columns start on row 0, even ones on row 1, so they tile like hexagons.
+ * Returns them in reading order as { x, y, color, ring }, with ring the six
+ * cells clockwise from the top left.
+ */
+function bloomLayout(width, height) {
+  const blooms = [];
+  for (let y = 0; y + 1 < height; y++) {
+    for (let col = (y + 1) % 2; col * 3 < width; col += 2) {
+      const x = col * 3;
+      blooms.push({
+        x,
+        y,
+        color: BLOOM_COLORS[y % 3],
+        ring: [[x, y], [x + 1, y], [x + 2, y], [x + 2, y + 1], [x + 1, y + 1], [x, y + 1]]
+      });
+    }
+  }
+  return blooms;
+}
+
+/**
+ * The ring of a bloom in the order its answer is entered: bloom answers start
+ * in any cell and go either way round. Clockwise from the top left if nothing fits.
+ */
+function bloomWordCells(ring, letterAt, answer) {
+  const target = gridLetters(answer);
+  for (const order of [ring, [...ring].reverse()]) {
+    for (let k = 0; k < order.length; k++) {
+      const cells = order.slice(k).concat(order.slice(0, k));
+      if (cells.map(([x, y]) => letterAt(x, y)).join("") === target) return cells;
+    }
+  }
+  return ring;
 }
 
 /**
@@ -61,6 +111,12 @@ function rgToJSCrossword(rgStr, thorny=true) {
   // Parse RG
   const actualYAML = convertToTraditionalYAML(rgStr);
   const jsObj = parseYAML(actualYAML);
+  const rows = jsObj.rows || [];
+
+  // The grid: one row per row of clues, wide enough for the longest row
+  const rowLetters = rows.map(clueArr => clueArr.map(c => gridLetters(c.answer)).join(""));
+  const height = rows.length;
+  const width = Math.ceil(Math.max(0, ...rowLetters.map(r => r.length)) / 3) * 3;
 
   // Metadata
   const metadata = {
@@ -68,7 +124,9 @@ function rgToJSCrossword(rgStr, thorny=true) {
     author: jsObj.author || "",
     copyright: jsObj.copyright || "",
     description: "",
-    crossword_type: "rowsgarden"
+    crossword_type: "rowsgarden",
+    width,
+    height
   };
   if (thorny) {
     metadata.title += " (thorny version)";
@@ -76,59 +134,100 @@ function rgToJSCrossword(rgStr, thorny=true) {
     metadata.title += " (regular version)";
   }
 
-  // Add the image
-  metadata.image = RG_IMG;
+  // Cells: bloom cells are shaded by bloom, the rest are voids
+  const blooms = bloomLayout(width, height);
+  const bloomAt = {};
+  blooms.forEach(bloom => bloom.ring.forEach(([x, y]) => { bloomAt[`${x},${y}`] = bloom; }));
+
+  const grid = [];
+  const cells = [];
+  for (let y = 0; y < height; y++) {
+    grid.push([]);
+    for (let x = 0; x < width; x++) {
+      const bloom = bloomAt[`${x},${y}`];
+      const cell = {
+        x,
+        y,
+        solution: null,
+        number: null,
+        type: bloom ? null : "void",
+        "background-shape": null,
+        is_void: !bloom
+      };
+      if (bloom) cell["background-color"] = BLOOM_FILL[bloom.color];
+      grid[y].push(cell);
+      cells.push(cell);
+    }
+  }
 
   // Words + clues
   const words = [];
   const clues = [];
+  const addWord = (cells, answer, extra = {}) => {
+    const id = (words.length + 1).toString();
+    words.push({ id, cells, answer, ...extra });
+    return id;
+  };
 
-  // row clues
+  // row clues: each row's answers fill its cells left to right
   const UPPER = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
   const rowClues = [];
-  for (let i=0; i < jsObj.rows.length; i++) {
+  for (let i=0; i < rows.length; i++) {
     const letter = UPPER[i];
-    const clueArr = jsObj.rows[i];
+    const clueArr = rows[i];
+    const rowCells = grid[i].filter(c => !c.is_void);
+    if (rowLetters[i].length !== rowCells.length) {
+      throw new Error(`Rows Garden: row ${letter} has ${rowLetters[i].length} letters for ${rowCells.length} squares`);
+    }
+    rowLetters[i].split("").slice(0, rowCells.length).forEach((ch, k) => { rowCells[k].solution = ch; });
+    if (rowCells.length) rowCells[0].number = letter;
+
+    let start = 0;
     for (let j=0; j < clueArr.length; j++) {
       let thisClue = clueArr[j].clue;
       const thisEntry = clueArr[j].answer;
       let clueNum = (clueArr.length === 1) ? letter : `${letter}${j+1}`;
       const tags = entryToTags(thisEntry);
       if (tags.length) thisClue += ` (${tags.join(', ')})`;
-      words.push({ answer: thisEntry, number: clueNum, direction: "row" });
-      rowClues.push({ number: clueNum, text: thisClue});
+      const length = gridLetters(thisEntry).length;
+      const wordCells = rowCells.slice(start, start + length).map(c => [c.x, c.y]);
+      start += length;
+      const word = addWord(wordCells, thisEntry);
+      rowClues.push({ number: clueNum, text: thisClue, word });
     }
   }
 
   clues.push({"title": "ROWS", "clue": rowClues});
 
-  // bloom clues (light/medium/dark)
+  // bloom clues (light/medium/dark), listed in the order of their blooms.
+  // Bloom words keep their color and clue; the thorny version doesn't link
+  // the clues to them (a "fake" list), so a solver isn't told which clue goes
+  // in which bloom.
+  const letterAt = (x, y) => grid[y][x].solution || "";
   ["light", "medium", "dark"].forEach(color => {
     const thisClues = [];
-    let clueArr = jsObj[color] || [];
-    if (thorny) clueArr = sortByClue(clueArr);
-    clueArr.forEach(clueObj => {
+    const colorBlooms = blooms.filter(b => b.color === color);
+    const clueArr = jsObj[color] || [];
+    if (clueArr.length !== colorBlooms.length) {
+      throw new Error(`Rows Garden: ${clueArr.length} ${color} clues for ${colorBlooms.length} ${color} blooms`);
+    }
+    clueArr.forEach((clueObj, i) => {
       let thisClue = clueObj.clue;
       const thisEntry = clueObj.answer;
       const tags = entryToTags(thisEntry);
       if (tags.length) thisClue += ` (${tags.join(', ')})`;
-      words.push({ answer: thisEntry, number: "•", direction: color });
-      thisClues.push({ number: "•", text: thisClue});
+      const cells = bloomWordCells(colorBlooms[i].ring, letterAt, thisEntry);
+      const word = addWord(cells, thisEntry, { bloom: color, clue: thisClue });
+      thisClues.push(thorny ? { number: "•", text: thisClue } : { number: "•", text: thisClue, word });
     });
-    clues.push({"title": color.toUpperCase(), "clue": thisClues});
+    const list = {"title": color.toUpperCase(), "clue": thisClues};
+    if (thorny) {
+      sortByClue(thisClues);
+      list.fake = true;
+    }
+    clues.push(list);
   });
 
-  // For Rows Garden there’s no normal rectangular grid, but we can
-  // supply dummy cells
-  const cells = [{
-    "x": 0,
-    "y": 0,
-    "solution": null,
-    "number": null,
-    "type": "block",
-    "background-shape": null
-  }];
-
   return {
     metadata,
     cells,
@@ -144,5 +243,107 @@ export function xw_read_rg(data, options = {}) {
   return rgToJSCrossword(rgStr, thorny);
 }
 
-// Base64 representation of a rows garden puzzle
-const RG_IMG = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAmsAAAIhBAMAAADjoeDdAAAABGdBTUEAALGPC/xhBQAAAAFzUkdCAK7OHOkAAAAqUExURb/Awujp6v////Dw8QQEBbCwspubnNbX2GhoaVlaW4yNjnR0dUVFR4GBghS3cE4AACAASURBVHja7Jz9TxVXGsfvAhctSOIwduEqTWBuEKshYSDXq7QkmIy8k7DysgbZhOiVRnZNFGgK0U3Upev+qJWWdLNNWKV017SJWFuTbjap8RqbrD+gdW3S7B+zc2buzJyX77nMmVsiP9yDBb33cmY+z3fO8zznOec0ZhSbequPFW1QNFvRbEWzFc1WbEWzFc1WNFvRbEWzFVvRbNvJbMk2WWtV7UraU9vr62mrzPauJWtdqjcl7cmaUexqUdrTi21itswvBisXwLqv1lPjgLSnzu1htgZrMD4K24QqbMbCHY1WqMLWWR9Kulrsbd0WZmu2TunYi1Rl1GCbrJ+HcU/t5xRhM10PcU/pb60T28Jsc33tZzTYbtSpwTZbF5/CjvSTKTXYJuvr35mwqyO/WTq2HcyWXHqaXoa3mPpREXauT5fALptqsM3WbG0p7KlSL+vaDmZrtM5IYBcuaovH1ATQMOzhO3pZn8pNlfWZLVfxCDDfUo7KW2G2ul4Nw+prphqsLYCGYW0BlGCJAPo3JhRAS6sGqi0xW6bTxLA1NzU1WCKA/l8AS16sUYFttIZtWyMpbQG0TOfrN1uTtS6B3Wffetq6piYAebCE1mILoKvAEgG0w2fgCNC0ywOtr91stvPNicjfYaWmBttkPZfAEh+gq8CuEgFqQKAiAmipAlIQ2mzmBzs+qI7Yj+18XZcBop+mpOwhIkDu11gBTmlqsK4AKFDtc5zw4rFfwmzp2JD9FS28EOeLYV1LpqzToQXoMiWwbufhYXMCiIHKFUAxKkvM1hRzW6QB7zhf73746KcE6wkgwroCKMC6AqBA5QpQQAoSmO1Czmy/itLNnl4Nw+qfmy7soJoArvtBAuwNC5vMPvUDMBJALVBJzOY9bNEeNyf6IVjvhdCwngACrPdCaFhPADEq517Qo6cgvtnIw1Y+PWR/L4mSfjxnHi42+jmw2ZCwqzkBhKjsjbXQsHt62IdLEECri5yCeGZLkucsY12xv+9Q7yXnfEVl9VOmGqwvgADrj/9ESFhPACFQ+c7uzfCBSmI2Z4y+tJ6QH7qumWp/cs4XwPp3nBiYDdNVrS8ABxuE1pQ9+QrRVYsvgK8dL4C22G0qkmqtjNnqbXPFs1ZfLEqLZ59Sc2TgfB1l74XpatUXgIvKVNb6oCtMT7sCAfaVYgH0sl5l1hnGbC3EtVn/64lktirP+eYmBezcz4M9rigACxsU8/SyHjUBuEBF1bf2WpOFmY1EhErrpDUUxWwjPewUNGhBOAynLCUAC6tTM/L2MLC0AM4UNBgBwbytxvq+cLNN9FZYK1HMtthpMgUP0fmGhaUFYGDp+k86GwK2khJAW5il0w+q10xf4WbL9L1v3YhgtXLf+fKwdPZbk32iJgATlWkB9JE+NQGYQMUkhIkBxeEVF8222P9V9ngEs1HOl4ymWeB8HdjBEAL8na6mU7AJ2tEthPAljAB0oGLmWrvDBSrp07bbNiRZPYwSSinn6ywdoOhHyDeHZQSgYfVxuqeWzWHLrTt89QoJEDIq5zNbhTXwLKsekRnny8KyRbMQsKwA+k6JACFgd1kX+VopGAERUpAZPm/baZ0dnSBPRNz+sv8MxUklyflGftivuT/IX3Ifcb4Y50vD6lw9+mUX6cDrZIj+Zl+VXCT7SMOw7FqiPkdg3ZuLe/3Fvc7JG0Orxxk7p29KBCCBKh50lGMN/hWnDREXfJs9S8gMkATAfiI0paaX9bMvdAyL6YfT5no26aqdFYCC5QT4NfdBoaWtm2IVHAhgB6pHphJuKz8nHV+zjXl3MvZbxfnZaqcprLloqNB12NqkSrCnX5PA3uMukb2Vv6f9FlfB8gIVPwL0keMFV0DcVqJa/eALDFMmLr7VZB/n7+olJ4AflVPrirBz/cIad+4v/Ppfwqp+LfW2twdmNaisUNfeDLaeF8CHTfCX2AyWF0DTrphwBNiB6nQhZotc3R3pMjGsuGRUmx/26ICw8OXC6tOmAHtbTQAvUCWEWvvL7texlpDMCtXrHKy4k2Z3ftiR4yaGTS9rarBAgLeGsQD6XH9hK1c1VF4SvgnO14cVl8P1vLANQAA3KreLcTM/rCiA/ewH39UC1abrpBdi6uukgvP1YcHmi7keNQFcTP0NTQ22wRIFcAMVEGDTQLUlq/Ivu00M27KuCIsEcGGvmGqwB4EATqBCAkRKQQo1W72FtlhMt7W1JcCt54V9AASwY2hbW+prRdi5QbjNrq3NBAJsFqi2xGzA+ZI7iU9NTqE9QyNdagJoqY2pqZ2zmhosFED7Zmwq/hy8vklU3hKzAedLXMh/pv7RaarBYgHSva/O/6CpwWIB9Mx30w/gnCxCClKg2ZDztds5UisuVYPFAixM2hPldXSNVSnsu1CANz+2545P0BDIG6i2xGzQ+WotpGgdR9uWdSlsgwU3UH5HkqJvEezlHiUB9F2kpwk03iOkIOHM1iCtfiDnq9U69chX6OmRVkH2YgGuOMWzixB2WFb9QALor0hPFXfQfs/sUzNvvSOq2cqkZ0m60ab/eSdxPoXeSkl76gOfNtudJaGqUvCWuSTtCn087QgQv4luSo73qBCzJeV3+Ne7Ylv7t2O2neCtu9PSnganwcfPOc9txSfgImvS41QD6Lq/dxeXPgNXWftSrmUhZmu0ZCszIx+jgzlfOe+dRG+NyYrQlX3o4yedRcIKeALogWwBcQB9etwxW/wT9F5GsoC4Y1W2TyqU2eoGxyTvjH4hH6Tn0VuHxyUZSEcVGqQHpYO0zbwnCcr1YyXo4/JBWj36ngRvI3u/ALNlug9gqzd9tABDwqQ0/r3RJNmw9Xkz8vC7HdgJFBI6TmzgnhImPHr0s/Pcooyu5nEddv2Np0c6o5utybotgW2eOTgsS0DKYUb30FjB17jWsCxNQD5EAuw0Ehh2xUATFO3ykCwB6SjZj7dRJ1qPSjaFhTHbITu1x7BVBoTViSf/A7rD1AsJ7KEZYwwZZ8EepZVoSqRdtx8GLIBxdFaW7n6PBUjelAhQL9mXHsZs5FAXhE1eNYxxOLnqn/onnFwlqiWwFQaGTQ+snYepni0AuTwUoP5HyeRqcRgLQC4PBTAeHItqtuTSYwPDkhch7Hxs+r1pJOyUgWGJ3BA29dP4yvwsFgDDVtn/3UOSXSlfe/85FoDYGgpgzPVFNVsjmXtAWPII1qOqzlqbjgtHt3JcQonyhAR2gRSO1rEAENYZb/PwdJqkcEQEaLqPR4CxH6cgrNla8dZhQwLrODwA6ywLo3NrHSUSWMcHzEsOR2ngEo4AKFA5wwIFKrJ/CZYpp3wUIEAD3qpNmy19IbZDB8vH3QaGde96AZ9OQ0Vx2/lKYJ27BrDuUvWCRAAE6wgAApUrADhg7QiAfLcbXnEKsvkSTJNb6wGwriX3D8PTacL6d875khRNFMAZIwDWFUCEdQVAsK4lxUDl7s0ESzCuAMB3u53jFERc8OOz+AO5yuJZOPYh7A3Jgl/KzeuPCjeSy6bHpQt+JhZAhM05KTFQHSmVLPhVur8opiAbuZrn6UjLy2W5or0A60WJccnZHHF5OVEtgc2FxCOzWADx3FpOAOOqRAAhUHn7zsVAdT0IwEgAA9Z+wWaGam75+JaBYb3U+u1ZPkW9KNnM4D2w15HzRbDe5lF+N4m+UC2B9XISIYrkNBTW0zwBBN/tzSfnBjfZOjM0NErMViqmHxDWcyz1VyX7hIStM7cMDOvPbTZMvE+Ij8q+AM0zWAAhUHkCCEfnPQEE313hL9+WyM2WtGcez5797dMV/vDQHn/5+xJ0vnbjtrG1yDZqdXjXb+ZupNbAsL4APKwvAA/rC7D/DDydJkRl3Y9PZyUCJNGmMGpboLN3l2xLlizrcLBBhrggORzFHdLznK8dRT5CzleEbZFtC3ynRAJb6zng5DI+ncYHqrRvE853B7N7dmmilTFbPTHbZ/9adDahUq08CCQN1+DY52GpE07cubVglLOwTS8MDBucg2F3AQcC8LBBLYkNVMGDz0XlQADOd9dSqcQQZZAZxmzOTvGVWCW/m3uX1SqBDSaESfZOliVbnlO3JbBUMY/dj3xKtuV52cCw1BzpwCw+ncZteQ4E4Hz3BpW43st3nCNubcSE00Or1J6Bo9Vo7BMXb+KjEwysH/3IVZnCLFU6PlCKBWBhKQFYWEqA+nV4Oo0PVIEAxh8Z5/WC2ubSld9sP3yaHeQ3z1P+kIGlK3s0LH06jT3OQU8OaNgkdYmmq5KzKwzsAvWwXpIIwAQqWr/d9CVS1MPK+G66nL2nN7/ZyP/Yjz+5NCOBrTUwLBMHmMNDfzIwLFNapX5blx4eogWgYWkBjAQ+ncbeIC0A47vHmB1kk/mftr8scYN0hMn1LsGxz8IyWQf9j3dKJLDzhgSW5qNh0zQfDcsIQAUqnT2qNosFoH03I0CSOi2GQ0KF7d/otsTMLA6WgOjHwTKjiYLVmRy3gbqthwaGZdM+6tHbVyKBZQSgAxWTCVGPXguTHFC+m11cKBvMe+ZqJVbunJanTi6dlsCyS1kBLBeoKNhlA8PWv5DAsr47cHSsADTsT2yZ18QCUJGGFYDy3fNcNWNIfngobv156ksyjIf8NsFVTUbh2P8/aWf7G9VxhfHBZBd7zUoxUBkEH3bvyl4wsgSmvDh1JT5sjHmTNhbrADGS5doUL7UEhAq7BmkTAkhIlRZREilqpW0KFjhYchK/REqQsGJTNckHh1CrasL/0ntn7svMmecsW2UVSMI1s/d3njvnzJ1zZkaHJSOFCHbfIAO7YwOGpa+0UcOmABGsKYAWqDZzi77PmIPlW7gHuEOQUmARe/GQDAle0IgSr3SOLoTNkBeOEJZu6RTCjncwsCRzHcISAaJBHBEggt1uChAGKipAZEUyWzTBCODcP5gxt+sNX+V9s83p76TWjHAISxOLO9cyr3zvQOer6ZkmAoSwVIAAdiMRIIKlpQPBniTN3IYWVIAwUJEeoL2Y0xkQ17kVCgVz+5Q2K/+wAPt+BGtNMASwu+gEw5gdZgxYe/uUO0GYoTV2dViAMFDR+dIgUFkChC30oSzUK+bborbsbNcYdL4RrL02x4c9cImBHbPmoi/C5YHhhjaWAAGsJUAQqMabmAlBqxpimBFA5jyrz+5q0212btW/Ndr3Q1h7a6jJ3cj5Rre2YKWefocFCIYgm61sRx8jQBCo5pjpZ0uAwHdbAoRT3LbZ0spqb0cPG8jk+7DbrbKhln/g2esA1p6q7wNvpxosuxGZJYBzYAMWwA9UYIGE/xWWAP7djMF6DiZztZ9OiaOkTR/s+wFsM7ft3b5BBrZzA4ZF296pxIItgIK1BfAD1Raw7Z38itP29OMCI0CWlGqbmyxeuKIbCqUI5XOWBvOdjUwaUsJazjfs6MMOhgXJKpVHBAIoTCCADFQbQVWFmsgD9TJjjADO0KFaixnSaKM0CdtWh2FRalTm7DaiUrQFRgAJiwTwkqZIAAWLKhe9KAJSoypQIQEkGRDAL02oxWxtsPxhBvZ9F/YOXp0mYXehioAxkFUIYVG5oZeihwK09WIBZKB6g9tAFgkgWxnmCmFqMhsuttkaO5tfQBeGd8PVabIgZDMSoHWgOHDaYWCRAB7sLlTjkpnpe5BAAriBCpV9yFkQKIDTF5/Mf4G+whyCVDEb3oWza6bp2iIDuwVVVHmbY0PrpLov/uqZg2HhftHeeAsK4Hy5pvn+BgTrekhYtOUGKiiAc/n3TQ3P4YXu2syGCwkzZfe3hg4Ii5yvHII0w2LFereVNlQpkLm1ewvcin3vj1iAne6dZqGWjbvR8kAZqKAAWe9Oi6ildsNl8WbrgoccSJ+ZgnqU9sPq26a9P+xDAihnNANhGQGaSvuhAH0O43Cd9rWwB7iBCgsgowGKeO4Q5HlNZsObSV7D71by6fktd8wEcr5Oa52V9wifnjX4mImm+jegAO9H7VHYu4wAW9+CT2cBZDbREIQ1WxofzaNm3GLoUus0d6gJtPLODvy+4X33S+5Qk2nUUnYw+p1+znzGHGryBFnZH+jCZQqdeu9jzdaem58qWp9JNUV41b5SnBrtmcKfx92opf+oTg+/ZYlpabqnOGl/RqTXyXyMrr34mGlqaRJ8cVGliUZAS1Mjuq9nzdZKsgr+R0XtcXQpcZi5w5/h0qOTymxwBdDSf3FLD4/CnRnr1CgEXRv6ljMb3BVNFX4V0aV6feTGmi2Di1bjak4TPp+PmJVL5/8Nf1x2z+3I7WVvr+Cm6h/CH1fvpMjtOVM3mN3T/gz7tHInf0eXNh2vKSS8Btfwb5X3DRcEnLpWwne4vB45MFWGAGvkO/PPMOzD5CdIYdm12tGAIvV0hNnfbeCf7FMBy8bN8kDebNvhsvYW775b4WhrWWDY5EoCwt4iJRHR56QYYQQQEFYWcpxBVw7kG/A6wIfiPIxTXkc8AAUwkni82bJ4Wfuk+7iNQme4wsD25zHsmHt3m+uwABi2cQXDtvzo/rqOBYg9ZQRoQF+dLrm/5mAPMGbRqrxc4WXtO55dOQc387jquh4Ie1tg2NTxt5PdjAAYtl9gWOfnyh8/QF4vvSzEE9wDRAxuAXd57sJj+LiY+45UMdsmuI1QYr94F65bWxUYNl5mYNvXxNZNdGABMOyHAsNmP7uQ34sigrcctT+PBRDwoRp4PX8ReW6SxKtitha4YYE3cEPr1lJlBtbrbxA26TBLueYFhvUEgLBeuTL0kp4AiRLuAQIFKlnUmoDjsUu82TrMIcg3TPxDsJ15BvahXJILPNh7TEiQAiDY9XkGNsnF5Hn/GYUCoEAl68XR6iZSL66brVmYi4fQEEQ9aAD2HYFhY7JaB8Aq2ycZARDsT4KBfc/BsFIAFKjWSycMAlUifOTIhyTxNLO9LjeGfZdP13ifioNh08sCwzauMLBKAAArBQCwSgAAqwQAsEqA+goWQJyze8AdDZIfflRfPASGIP692UNLtRcAgO1X//qIEcCG9QWwYRsrDKzvaiuMALFlRoB6y3e39OoNOnwSLzJbzF48NHQI9n0Ee1UwsP7zZ8EGQ/FhRgAb1hfAhvXtZa1uSvuB/QnuASBQ+fayfTdN4oVmS4VSRI/bth7ofBHsvMCwcX9L/PpeLIAN6wsgXjICxL7BPcCG9QVQoQQIIFYZAaw1x1YSz9h3t3A2b1QzWEOQMPBR2FTZ8BrU+QLYhMPAzkcvF+YES4mBDQSwYK/Sv0kEsAJV+DKafFUSTz95KL6UOzygF2pZFSMhI4XtzAusbGjGVUYAupQrFIDChi1T2KTDwN6kZiI9QCTITGxYIkoD1WX6NqOfPPTCrxSPKqTo5n6Rr7yFnK8NG3Xa9eadRAVySUYAChsKQGAjAQhsKryVEUYAGqgStN+Hw4+DzVUWDx0vzHqnVcTyBe+fQiHWQB7OCskpUOdrwTaGE2fx54wAJMMcCkBgNa/5EYp+NmwkAAlUkSM5xwhAfHcqt5IvKKPYleL1uRXRYB7YEjMTCtpElAnbFt3XH6DzdT9l405WSAIFCGDCav93jhGAwI4ik5v/ZwYqrUTU9N1dx/L8ugTvrITYS3MSY/Yg7PsU9qo1urKfvZOMACasJoAJqz17Jqw2XDNgNQHMQKUJYAaqzcCJq4HYkSrLOU4cAzMFRrJUf+0bhs6XwMbLDKxen2/AjgsGVhMgtsgIYMC2V5A3I/1hFfcA03en9YOFbLMdRudO9cK+b5blpEoMrH67BmyCThgDAYy/bYSaVUYAA3ZcMH9b9756oDJWqCSNJN7A/2k2sbQI+75ZBNaZZ2CN52WVEUCHbSkxz6oxitNhjYmPCUYA3VSGCfVAZQig++7LR6sdodPvOr7YEzLuGuqGfd+EHRUY1vROGqxZnz/BCKDDGu8M8c8ZATRYQwC9Y5rD6DIpiUBR+S9vsudc7YKR1PvDS7Dv67DppwLDmrFQgzUF0GBHmThM5o3LjADaavKuPBMGzJe2U6FjJStUhrV3pUq1k4fiuSOFWdpRY7nPkfN19AKT9goDS4aZZUaAdJg9yT5lRn1k5BXBbnEY2FFm1Efemht7sQBaoOo6xh/YFLwlvGksHtqzpyOqoCEbLUbli+OCgSXj/BCWJiJD2PYBBpYIEMGS2r4wUBEBIi9LBIgCFalYinz3ULRyCC0eEolc7rD7aL9l/PWoXosWxwbr1jI3BYalb5UhLN3pMoSlRRKfBv9BMrAhLBUghCUCRIGKzghOmVUztu/OohoiffGQPwNSR14semHfj2BbSih7AF7rQ1gqQACbuSEwrDWHMcUIEMI2MBNY1vxzEKismr2JcPhxqYrZ2JOHglpUa9vLALYrz0wWWTNmU4wAgdKWAAGsldoJYK3ycB82c4+ZrbMECALVAZoACALVayiXW3XxkBq1HIF9P4IdFRjWzpo2XMICBLCWAAGsNT/rw9oC+IHKEiAIVHZurcwI4Ptua/KMmE0tHoqt62Cm6Ozy8DHofP0sJJog92FtAXzYUSYTAdLWZUYAH3ZbnpkItzO5KlCB+vzhKtliLXOVFe5wd52VrEqrIQio11Ww7QMMLEi0lRkB1E0DARQsqAhRsKBeVwWqIpP3AgKoQAXqdZXv/jU8X0DPk6abr1wE+XaVfgDVogq2QTCwoP5IwqKCadlFdg4wsEAABQsWSEhYIIAKVKgkZ5G+lhm+e+jQq8zGfFSyC63NkX92T2BYlFdPDmIBFGyDYGDR6cOLjAASFgigLIZqoqYYAeSfMXVXNZhNDkHg2hxvbXTLDISN4ZKVRUYAzwCZe7CCJCaSMwwsrJdeYARwA1UeCuBFZbQ6TbqAnfjwmlp2efYS+bBW34PdhqxTP/XXm7dRzdA0I4AHCwWIf/j13x6hr/CiMtxXf4wRQDx59K9PUXFr/H28Ok0y45rSmszmDUHgYgkPdgqXB1vb/oSwUACvfSiAt+8BPI3bhcUCuO1DAcSs2xSsCS7h1Wle+3j4UZvZvCIluDrNhc3C+j15cMYAhsUCuEMJKMAJr6VlDIsFcGGhAI3sidynOrAA7tPcwpyuU4vZ0rnreLmQC4ucr/dy688KWJ8bjACZu1iApWALQwCLBXBhoQBD8qaQQZODWADXd25iTlis6ZiJEwd3bMAGvdsAy7BzLGw/I4DTtx0+nTkWtnHwFhP5m6EA6jwb1H1ji4wAqefc+VI1ma2z5wFzJTnH9qwcPPXlTy87cEvt04LrWbi/i/lB3FJ2GjpJ+dzmkEXXFX9g8IpLn/wCs6Vy3Wfx5/53X4GPEvYYuvTVYaal8z3op79WZsPfMsk0lfsJ/PSXqiX4LbPPmJZmubPzajJb67FvY+jEnkJ+CH7hfWU2dKkIjwVyP/VH0Y+PKNh5dO2DCm4p/j38YtUS1P/xMm4p/+IXnTx0+XgSr5Pb82CS76Q9cGhyei1uaQJ6ySTv22IlZvHevr4KG1z0jGfUSeeGcUu7S9xB7DWZ7cXB3+CD33Zd/x9j1/sbxXVFR13Wwb8kHtN07TpIsBalShTJi2W7oFai0gaCIZIFGDBsJRRThIFIsY2KUV0pVIkhtB+wgl1o+oEICITWEm5pAlUi+cMSWtFKJPyIiuv/pTszb97cd++5i0coCZnd2TnvzLv3znv33jM5oIRtSuB2FHSqiI8PNj9SwrbacwtDwN2fwiuFjYX7WthWLqMRzU9PjsJ72jysqaAuT3nokz4oI2Tac706WERssNCNwfbM90GwT1QCjvutE7Pjdvd+6MPLWuTcmOu5iglQhdiXM2ybdo6GUAMpPFDCzB7W7rD1qsFg28fD/dr7Bo7tF0o9j+EMmDftMJapaoHz8bShjSCgpAmDLmfYou7QEGzhDyUMtrVa3gnr1iqjBoKNiuPbENj8v8vlfwWYAKTJHBFguuCD/r9quQojmQelVHWezwBV8nUZwxYLl0OwUWcSCLYyeOSXR2GsVcJgo9YwEGzroyNHYN1ajQAINu5O8BwRcH/vkb0XFAI6dmMCNNX5ZQxbIlyOwJ5OFdTQqjgCm582GGwsqY7ARstPDQhspLS2BoCN20NMBsra6XlMgEG2OyZAkXz1hq2zG4YfO4wCNupMEj6HS1u1fywg45sOEWqEhLzy+QCDjaXukFeOr44cVQXvwCQEINsdE6Bok5Nh64w0dMbBclusmw3AJvpTAGzyoP0DGl/cqyl+lntvYwIQ2JgAI8EmvXkKYMEt3gQDK54NZ1gPY48ARYidFQ+BcbO62QBs0pkEgL2p7K0FsVgv6I2SWE4ANiEAgP2zUcDGBABHZWf6fYUAabvt/MLa5Nmw9dnLrJbhh6LZk/yfvhm8bwLAtl4lw+01L4r/DwBrN/jvYwIAWNubRzoqu+ctNxPmyHBLAhRtcjdsnell9oHwA4K1vXnCIWVLUoK1OqOi7VBqWQTYNJ1kRCFAgrV3KR3VIn18JQHSdqeU1FceWuuus5qtUU4bDDa1dgJsRclScTqjHGxqAATYlAAB1hIgwKZzQjiqlACxUdo87KPh7dux6jwtHrJ9d3NsUz5nIFjXGE2AnQow2IYzBoNNb1mArQQK2JQADtZZYO6oXPYY35YfGmXfZDMAhyBUeaj28vHPQ1x56ORbfJgMG8bwlpLcw8E25gwE64ZRhCAu8vgKE2B4Ey93Ze6oKjgHNSOAhyAFF8mhEIT3FI/emk/R4/1timZPNmkZ2Cw/i4GdKxnMrHuOGdgszmVgW3JsUhrxHM8EODO26TYmgNtuR0C4p79AxmM1z93Nl6eOcZmJoKk8rMjYZD/DwC4q2cXW+EqwxB/OwIwv4ZUdARysI4A5KvKi8TUmgNluQkCHtyY/JoftSrCSL0hVdo4aCJY+1DM4c5TlMzQPGww2i74Y2JsBBpt3BBhf8pUQ0HEIzwDmqDICmO3O1kS6PA0JUZcAZCaC4AnRxvI6H5KJFjbi1F2Wujg0Shd3gHYaB0uzk0cUAkIPLAl/mGcjhAAAIABJREFUfUe1yCNoMQOYoyIEhNe2vmjY8mxxMV8+YzBYatY9sKQ6zQdLZc5pn036Gu2BpQR4yXJD49KfcwLCOYUAz1ERAszm3ZgAM0lWl/PLGraV5ZyBYD1uvI3JWVwOQIwvaypPF208sJQAD+xMyV+8kt6POSpv0KmjGpLhuyDAvEwt17KG7XC/FwEi48vAeqs8lOXGnIFg/clBwXpT/CuFAOqVvR0P6qhO8LUoRAC13f5CEi2DEcVDifKQ77Kq20oYrPc2SOMtPz18CRpfH6y3IN3zHiaAgm3JGQiWhdEzCgHEUXkEUEflL1uu2PECT1rxnG2ehB8sBPHXHgjYxQCDJd7Pb1Df629/zCoEELBzfiCUwwQQR8UyFGcxAcQrMwJICJIfk0XfU3NVPwOhsn1U0exh+09TaFp6N9w8rMjY+OIlBOyiErD6BBBHxdZDMkfFCiQyR/XcR5F15Pa3ZArEdPnDts6+JUSoN7rj8BZFs4cvIjdC40vBDvlfcEp6nAAHlrcUGVEIyMCy1be+BWAqvHtkBGS2m82A8PCWzvQQxUO1Yas+HKDFQ+vKrLe6a/XNt5vXXFFWPUaQ8aVaO12MAOeVOQHu70NgRwMR4BwVJ8D9nRPgbDeX75nkHa/dsHW5FZAxUrbLW3tbsGINwzHLa3NSsA3zfF1GSLcysCeUpR9OgAMrtlFSRyUKJJYUAlLbzQkwPby/et3ioRX9JazZI7Zjw3eg8c3AtuQMBEukW5lXnlUWGjkBbiOGE+Ac1QjaDovLJDgKa7u7xD4W7+afLYqvsjiz5bbOi6K1t9Xskpv/pweU/YNFaHwzZsXmkwUr8/OtYRcEWLCJ5glyVIIAe21BQOqVBQFmRX/94iG62ra+PGwwWLn1YcEuBRhsXhBgwfZeVcCKfk4pWEFA6qgEAdYrgwKJZCBbBIrEdosZULPdLGOL7FxF4zZAS65e2W4w2BCkv0wh4+tuulk2t4/BCu0055WXlC07SYAFCwhIHBXYQRtRCLCOSm6/9pX/qm4vdxZOGeoxePjhwMq5b8IWaHxTsEMGgw2fgg3iK5iAxEmsBJvTT0uYgMQrgz6j8X0CAhKvDAgImQxCnWSGDeV5BWwH0M6IwaLanAoyvilYJF4SZ2whAuKGNkNQ/wMTEB4PcFfbmBRAQGK7AQFm0m8XWGfYXiuDLKPo7ohyPGH2fgD7cMZgG5C2zmRozE8AATHYkUABi1KqIrBdKAMvclQw8SZyVEdxDhUkgIcgdYZtxVaUBzVx8PIHZ0sYLGxxG4FtQWlePc8u//FWSQGLCIjANs3DVMz/XjqI1GMiRwU7dkcOBxEQHhy5/Cn8CT8E0YcNhB/xM/L3wYMLMK9sAFenRWCfoy/8YOvg3ocGg4UERGAhAYXLg4NPoOjOFC4PjFZXmr5BX9hzfXDkLMr/8kMQfdjWl1HOV1+0qF+BzF7AHa1rYJHxNWH0GLR+g8FiAmpgn8HH81BkwtDD04jLA6OnGc+AyBDeRPf0w2UqD33/TSg9c0gsUzmwuH96DSwyvnb9ewaBbVEICGYxAbfYVgV1VJiAmqP6HBEQv6I0IymgPq+rpz5s17YgRCuTMjEIVpEmCGb3wzTs+NPw1M+uYwKCCiQgeSFuRqcKCwoBzdchAcfS5MUXhCDqsG0oo/lj3z1hAvTmS/gOg6ELmuGv+Tloqz5UCGj9GI3yqnirpgFle4cn3sNXyl+GJQNJIxIoxHaahiB1lIfOL8njeeLhToBTS3Pb755Dx907/ehKXyaBJ/yV6l3lUm/OgY//JR7k/H/QTT15CC907ndV9OmlZCH9HvqVz5alPLS+fOMUOJJ8j3fQqV9tLYXdYYn8Sf4dti2gjyfvUI370Lk/jRv/SvZPz1vwh+PQOP8dOrfnMb1C9p+lO/CHk6ftc3RqgvoE3bZdfFCSh83ce4pOTXQodV2Drejja+wkDcVhevcphXU//k0OfLwvXrJuHQanSmdvKGUsN/4WguNZDO8sul+v+4w+bCf7DY7Oor1sZEaeKqWi6z56TQtFcUQXnt74hVJ0uuGMEp0pVrL3baVUdNPq6zhgCZR3GnPx58saNrm06wKbRhhQ/BZL+xVf/R4Ge155nY6UQycUAooQbLzINAXt+MZXdyklzlATcU0U5VVgROe9XdVTHoKDPnQoyE+hE21jCtiJIgY78TQIPhvHBPxol9I9oB1FZz01R7X/E0xA50cKAeuhUOPiQC3OhBGdt51Q55308Bvo66/U3NADNAq/KCpgvygqYHdc+vjrEiYAg/11EYMN75378EuFANz1okZAJyo1DFfcO/d7WN10bcsyX+V/uhOADQ90DeZg2DZdxGAji7cexVRto/mXUClXrBwKwZ4tYrBd8+8OvPwYE4B7rES9eZoRiturBkZhdZPf/K7OsK0tD6OVle7uEgLb+7YCNupMgsCGx2oBASzlmkb97NI+PAhsey7sRkV6MQHQUUXdCZCj6pmvRU2o4KejjvJQZ7e3Fvf+Nnkn8YYTAhtLtyKwcYsrADZJ8AHMxtq5G75VGiEBsOGBEq5uSrRzv1MIQI4q9hOg5jhkze948dAoynYW25sSbKKbDUQDk84kr+cwAQhsop0LdLjj1jAbpsEM4Al36U/sUrqVJb15pKNK8nAK4J2UdZ8hw/ZuHJLlUG49S3EDYK1y/COlyZsEa/P5JFgrXN4mCUj6zErDmmy5ArAJAcBRJb15pKNKCAA7TL1sfzkbti4vNyTJZTgj574C1upmtxeV/okSbPK+LEu5rHC5BGubRQqwlgBZpGcJkI7KEiAdlcUlbLeo6ZDFQy/JuiGRAiY0vVPdbAnWtobZNIoJkGAtARKsVbaQYO2ChQCbKscfUAgo8sX9NKNV2m7efYbmgIjHTYQgrjaH162lyvFCXC5tjCbApkE6D9adcHmTQoAAm6alCbCpcrxwVGlrQOGoUpvNbXcX773LiocGB6l1EyGIm1IcrFOOb4LGt3bw0qN04DlYpxzPwToxhGaFAFHdlBIgHFVKAHdU6b0I2y2qI0l+W9xgZLs3S++wEMTZNL8cIHr5TncJx5DxjfyZQgAH65TjOVjX5JuBdQRwsAU3zZmjcgIN3FE5Anh1k6jFpT3Fq7ZTCVmtegvOfQE2vF3EYLMu66/vxgTwUi5HABeXcwSsm1YIYGAdAcW2jZgA5qgyO8sdVXWhTvFQNWoAVCe/ntbmNELjK8BmPf19sOTJ8MFmBDAlPSJg4IPNvu+DDU/TnnqQgOKmcUwAs929WYa9VB4KqguyfYwHlpQlebUPpn1MAUv6svpgs6fV98pd3ypgyez3wBICGNiMAN9REQJ8R0UI9G33yZ116hKC6htJOiU5rnkhCLmYx2x4AFhuz/hysLQ2xwNLCPDBEnGWtY8xAT5YQoDvqKjcpVddsRLeX+14srXusMl2QhUagtAYywNbIAA9sHQMPbA0xqJgwyNFBSy9LAVLAXpFeoQA3ytTdZyJ/5N2rT9VZVf8DM5hkEcycJuixg/ccyP4iIlgrK+aOMmVUYHkFpFgxYQyOEUtiV7NCB0+KIOPcfxAgwzGdBLq0GSCIaFWbNLUxGZAnNYPxFoSnfi/9Ox9Xmvt/VvXW+bGD+KRfc9v/fZea+2916MRE8D+znLV7CwYILbS7Lfm5psHHhrK1wDLejGRN2FOLrXKteN4XfJJPIhXAM9uogQwQ0U7JFJDRQlgunsdyRZ1wWw7evbsaUO73SEuCCvyQvPWBgUlxOuyDtLpWY3BMgJoGxumMglYRgAFywighooRQAwVL9BF9Fyqo80pkDwETILjdLTAtV9Ncx+I9eNgeVO9rcew9SRgU2WeAJYZaAKWGxSS3cQIoFLnfeYSqfMNPNHdtQuLhdJwnYVFVAhsjeCrDUHlyxDyXsMJWIOABGyKFzdNwBruYAKWuy9JdpNBAJlivDppYqj4CiC6+xc0wQ8kDy20vX371jCl5xf+gK0LAbu+RgBr9NBMwHICErC7Xgpgjc1HDNYggIDlBCSGymgrmRgqo6hWrDNTl1hCVQ3cXCntR2dxU3IKYubmRGCZ8mVgjfa0MViDAH06iwhI+tsaW90ErLE1iw2VQUDCoLn7i+tLVJj3E7H78XGBOiC+2P74wv/kaM9q/7MlewGtfZK3tts84rkKXTgC1jziicCaBMRgrYOVOeEgIAZrEJBIy2yZGxsq8y4i+ood2d4CYtsRnYC4eeO69Fu09gnYA+0CWKvPePgm1ulpFPhsERApR6tB86BAQJzdZBIQrU2LgMhQWeHhke6G5SljsaXj1WuVQQ3exLqYCMEaypdsRK1G74PR2VA1BnugRABrERCCtQiIUrksAiJLYBGQnhQOOaPsJliJzE4eyuOoSnB/EEZUW6W9Q7B28/kQrFXRMARrExA5fhYB6Um8AiKwFgGR32ER4HU24vuD0AWphaV3E7Flzptn4lGNxWNw7Udgd70UwG7LY7CAgA2fYAJCsOBCLLAidknJwCqnKuzAs15MQGio7Pj8UHfve1fnofR513Wsfk1eZkGHt4DStEHe2voaAWy5J4C1L4IDq7zrvgAWXL9qsICAEOwNfKOMCKjTG1mQoRJkN73f9o5qgV6m+kJKzE9AuTkKrKV8I7CW8lVm+WI1zs3RYAEBAVhAQAAW3MRrsICAwFCh+29dYRNkqAS6+9FqOw9tVtkwKDtNg60dF2IFNvVisCg5SoNFBOjrKkSABouKMyuwqSFAgLbKgABP6xoUbaEMFXQ/ihKbDn6G1bEV2AMlMDJlZ5OtfNWpfmN1CkVtKbC7EQHbSzJNMJBpqBqWpgyym1Brl4aRzE5IQP0xuAICF2R9a9MqxaZD7dehGEEfLLB+6k0G3txa9jBYmBylwEIC0tdv/TjgYbApWJ7cn8xwBXinHjyYhV8xiVeAssqpvtV3HvJdEJCZGoKFnUX2/6Zp9zUI9hNMgA8WWD/1fk9rGk+gUKvMJF4BylDtR9Lx3lzMfA5jgn/dCLPT1MrdvTCyarGpNCJYrt8nCSlfL3NFOWntECwmQIGFBJT5a6ThnxgsJqB2EhOwXb0PUp/enos7YJSsr7s3CH0mihGb74LAta9UAlK+3qZ24x6BrJRGoV/CJCbgKgljMCzVGkyAbxQnoZjto6zYUGEC/IWB3Y/ixOa7IEJrgupJ2Fdrj+S3+WA/wwSkTg01iQRsR9w0/EUgYJ0LjZ9uk4PC5nxDVYVH2nHVrMjwf4ltW+v12gvwc+Jqxu4F0vSZ/q0NqE9I3XM80IXPF8FIO7fq2VHXjoZ6/afLtejz4d08+N+BwDLwfYfGBHivsftRpNjqsodxCs7N0W9AI58ngfXZ9hV61iqM9GUL7Dyk51ldG3o2Koz0VSvqPPSPYJ69RiNJGUY372SbfoLY6lv/JfQL6vsCzQNX/9Y+9KhB6jzUdajAbOtFQ03/F4/U+UOqwGxDIw0/E17qkdCLrjixXWo5ISTvfT0H/Q/N0e+hPRuYwiP1d3mibtuKFHl6YhGPVDYAbfh/9C89RN9ydlZIA5zAZf+LFNvooQrYjsUpv3ICzeIg8BTmxKx1BbDPKhDYIPQGpols++2PeKQzLnRYjidvZhqXp5U4V3ftVF/z6sVWl10WwHbnKnqhd6ZWNnQtJxwMtnzOgWBPRcPZBDgC2K/jrvPcvKspCz26bT2w/4eqTlD2E/y2X7bmaAlcXpoKgh1c46XPwkU3R2oQG9WaINhN/pytQFMkM4GbnajqBJVwUc83eT//KyYAF4Jwnjlu9uWqxdbXLFTTUMnxEGz9vZlZeOCyMSeAfeIIYP89M3NTIACD9QkohRqse2ZmWiCAFV2lK8B5dHC1YkurEoMQrCoNA8EOZi7noUKaFWqsKAJKR6CarL0IFZJq3dotEBA2YjfVZMNl2L5VEQB1t6pO0H1ktScg23XkyC249gWwfxO0r27disDqyXwFEeB5uFnwjIPB6vIQyFDp9zktEAB19xNdU739nWJrrN4J3Q9HAKsLfQOwOs0JgdW9cxFYXRqmuwkTgFK5NAEIrCagqhedAXq4NbXOY38gEOAsfPQOsek7mAv20g+K9QKwQWkYwGzwcp1Q+WKw+p8A2CDPDIANmhd/JxCADJUmADRCD5oXA0MVqPO+o14RN1fue/ax0ZTQxiaoTALABgLbU4OULwQbloaxwQZjALBrHQFs8JqzNtD7ifAAAUB3nwljh/IFxWYnD4VLv9URwIaVSZYs5TtOZoqpfGEbm7A0zKxAgA02JMAGGxKwNo9XAA0mjk70hEqMIQFu9mEhsaHkodj9gGCj2jwDeJMAwG50BLChvbHARvpxUCDANlQhAbahOs3fzSTA1t1RcaRXB73CMSBwujVEgasW2EiOa0uQ8kVgZxwMNupbZ4GNQFpgNzoC2GjoawIBlqGqX7a7DLDqpN3oEoYmD3V+qvMS1gD3A4GNCqO5I+huExyLx53jzXJN8US+BtwPCDYioGoZE2AZqjhBolMgwDJUf4/burTLYlORM9NhM1Z+stsi9eyJv+caVL52kl7cOd4EG6tN0wW54WGwMQEm2JgA01DFOm2LYajegA4qfHHd+UgWm0oeinrY0hI155PIVKMSWvJjdw1SvjbYMqFee/KjATaxoEadgJgAE2zy45JAgGGoGsZwsxPyY1/L5UKdh/znnZ+qSHGXfKpI3syiUNPfAJt44hxsZsLBYAkfSwIBBtgyobML8ZIGUOCMbagSAgzd/R0JX+4hAskzsX2oPTsQKU7yZvrh2jfBpkc8DLZ+WQBLVv+AQAA/vCMEcLCEAG6VSXg4N1RdtjUx5wjvWMLFpnzdaSC20WahZw8tDXgOKl/PyEjcKHQ+oe/LrHKSHmiAJQRwsISA0i8EAlhoRGYRNzthGunV0YJi68u+MGPsWQMn1t+WypCBpQ7lOqh8DbBUhu64QAADOyx0dmHDzrP4DyKpcYEAprvpsJW0aTkSWzZ7yLBMWemtqHpiYOmtMgXbMCa8FZvE8wIBDOyKMC3YJKaGihLADNVGrBg5VNYgB4jt8MyscUEy3Sb17GHTch4qXw52c48AltkHCvaGh8EyAuiLMALKyUaWhYfTGLcVbAUMLUI6DwGTYOs2ly9aApa7XgQsz80ph8qXgeUGmoDlG3gCdk9OAMsNNDFULEGC3MzXjWGfw7BZfYcLJQ9FljSXcx39h7ofBlju+xKw/CAwAZtZFNrYGL7vkkAACR/tEhwsw0M6h1cANVScAKK7OQEV2Z5AINZsayBi+yD+dBwROruYO60lpHwZ2PplAayxrTwnEJCANQhITLqxrUwMFSeAGKouvKG1/PHs0/OXQ5Hk7c1Vm5mYMN0s7F3MfX1/rHzzAthhRwBrnNjEYNPGVjeuE2AQkDiQxu4vMVRGeHhsqNKLePdu7eunpcoMKnmoP+iL8R45/ZgTwJqnSGUlSPl6JA9gBR/WWQTEYLeXCGCHhaMK66xhHq+AJBbYJCDW3ebBSmVrzbsOjkg+x2azyWsM1jyzjMFe9TDYujEBrHVAOy8QEIN9LByMWSdbkaGyEiTKBQJi3X3PPNkyI4/s5CHSIP39NuEU0L4OWIHKNwG7JSeAtS7pK2uA+0HAWgREYK1z1MhQVVlBdnlMQKS77XPUO1KNI5A8lLHzcsOC/FXLAlg7PDwEexJfewECQrB2fH4Idm9OAGuf2i/xaWoaKpuAUPL2FUVHW+ErGJoWWZ/tAQEW+PYvBGvn5gQrJL0o3HCAC7ElZP0SFXVSuGICF2L9AgGhobIJCHW3HaZSYURsseQhJ8eSh352RLpPu+5gsHZ2Wsjs1il4pQ+vX/uR+xFzAggIwAICAkMFEiSCfzqJb5QRAa6RsMaul6urWfLQq2YcvwAjG/qh8o3ADku3tyCyQYMFBARgAQEBWEBAYKimQIxKOyYg0N3o/ttwQQp2HpoDb7KIrycDsFWeAPaxECuACNBgEQF6tQ0LwRowtGTFg9lpgbpDBOiu8ygAoZIn4xYQ297WHAR7HEZtud8LyVEKbN0YBOvmYIjaikCAjrZ/DGOz3ByM7VGGChGgDdUwjs06Dgkozd4vUmwdbWjcytsLz2GM4ArOTtNldvYi6ZQ/X/jhGweDhQQosJAA5+6L1tvwK14Kcf5KlogA53e3X9y9gh6Mflyc2NKomkpwKNcMweY9mJ2mJs5J9AsVqsqeABYT4IOFBJSqmhJT6DsmBQJ81YkJeOWPNIEedLQUJzbkfqjJqj7wyUukfDXYNCTgkRrpKQaLCfDBQgI61EhH0ZN+oc65/6qQgKpseHsHnpQUJbZLR+Ccykathq3PWMNDbFpGkPINCYBgzwgEeH/GBIxmwwomtqFqxwT4vJwTCUCm0HdBvi9KbI8OSWtUWKVd+3F4sNczJK3RoKij/egDTIC3Zx8iQDeNxqvUHRcI2PQreQVkD0Lkh4oRW132GshvyL3S47ag3IeKezvxZ/C6C/57dwC2Bzwq/bIEj/Q/2q61N6rrik4AGz9qicstmCmtZI9lIOWLrxGYkPrb0IrEkSYYrBqo5PJIQDQSxJWSEVSyqTAOEAnCwxBRyRWhSqFIpiVAUJAs1TzSpJIRiVqS9L907uM89j5rj+fO4CtFgsxw5q6zzjn7vPZa6y/D/I24pCn0vj88wyUFH0yiombiLoDfd2kF1bY2/zV64nLhZ19u+eAyfE5vSVtSXihpvA++VFwS/Oz8E1zSpZkrKUu6UpHzUFt+pACeuLW9sb3OfZr/9B5+ihfBt+t0a3M/2n7lTVzS8i/RO6nWhj774e5hXNTpSfR11drcT7YPVtTa0o9tg0cWomSndf61RvT1hjJjW2E0gF2r+IehlGPbxLewpGDD29PS/KOmsS19JL2Ac4C9rrO9KSPpoJCE7X/bkzaS7oFZ8KE04M35iaSp5223BLAr+1tTztvOBBjsklFlxF7pvG1QeZPzavtLcHR+5m2pVwnDWN/A3xn721a+Sqi/hQUmQnWCYrpVwpmgFeY4d53VrvNuL31Yyyohtw3y13i6D69JvwsEsKX3LqZbkw5DOZNIrgWDHZfWpLeMzJyjYDI2L2vStDsgj7F2S1SX68UdkCFMALZ3DosfS7UDMuxBAY2weB8Gqkd1te6ApNxv6/ewWkjUc8fS7Lc99jDYcJiCYMX9ttDqDgaqkIDeF7XfFtSwuzso6FJF2jyx63ylu7v9HtamiQjoTbO7+9jDzunRaNL6YnZ3O8KzhJe6y09BxLOESNwKgI3J7k1zlqBr29W4gWDls4R+D0tRRf8LBar0Zwk1nlzdEjx74t7WmuLkKiIAgI0JAGBjAtDJFVadVA3wpy/i5GoJuYlU/pzUBZv4Zjtgk7EdgBXPSZ8KYJPhrlj5OWli/u0EqmS4c6Ny+nPSGk/lE59RF2zyzlnpVP5TgQBH0k7NJNyofFE6lX+qJo6YADdQpT+V13dArOa2sfI7IBOCeq2apK+X7oA4YBPjci4fbLSgx3APAHdAEgJ4oFIEuIEq/R2QcGQ7OH6n2htH/Vgr2fTasUpvHE1gsWotxu2AFW8cKed4Hqg0ATxQpb9xFPbRcCsn9Gyu5n6boMytoz8Ha+63ncQEcHU2X0u/8x3eB079MQJ4oNLL1J6a77etDoNs3+V8eEu1ituUum8ysGauuWkWE8DB7sdC/LFSJAIr3qbUBPCorAnggarcbUr1OHd3G/IXSg3O7n2V3919JoA1k/2eCu/umsGRip8ZAhhYa7x4iAlg0p+GABaoyt7dzZALWdZN8W2lNWj95Uk6y6vwpvgw9riw1tH+foEAdlP8mWBjY5moULCGAAZ22hBIApW12qKBqoqb4ofoh7pTV5aXcCfAYO1dm+wQJoDlJQxjGxvbsqfrDCaA5SU8E3xFbBcbcjJfSV6CW22fvJapf+stGiJpFsx9/Btm8OVg7T1CAlbMgrEIIGCJQdQdgQCaBWMRYMvI2ztJNFBJWTD1ZbNgStW2KJ8fYROWEdj3Wc5VP3aLMtGPgz2Jh5RMnR1RbMsey+XF8yvKuboTYMsesm9pByox52qXtYPmOg/tfSM8KWALDjHDzwa7X/Ams2x2Ss9RqQ+cxAQQsIQAG6yU4UcIsAOVTQAJVDTDz/qJMhl+pZCwd0umboBXm51PSkfc+3DwJWzSrS4LrJhPehBbERJTJ7IxQHoAySclS4PiMO4BfkX5pNNitXWFs93ZUqgtVZvKHcoUwpOHSSG+W9nLVwWwWfLqFrNi9vJ0gMFSY08LrJi9fBA6j/IeYAWqctnLhYyqEjd5qD6/5fuZsNrMGeziynLlhwXPnh0BBst3Ah5iAiywzEbWgBVz5SkBJlB1UWdVE6jK5sovVtIBLFe+PT616Ts/kl6Z4U6AwfJDoxVDeIZrpl6MAA2WmxYbsKIyAyXABCru43tfIKAyZYYwJtSf/vr4gUnmPLR2bh0QvqWrwG5iR5RLzggEaLCMAA3Wscj+DvcAM9TtYht/KlBxAnRUdvbCFNyyOiDxxlGBbhxVqDrDtio02KIngD2JN1VdAhRYx5D9qECALnosgM4uriG7ClRVqs5Ur3F00BPATvGNxqPSLuADFP0MSNe8ZMMsJkDvo3ICVKByCGitTeOoekWt6cBxdgHRLwI7hQlQYB0CVJcaCTBYWVHLOUKLo7JLgApUVSpqzaXfVifqt10VwGYd+fZWSb+tKQb72DnAictwHOMVWCA0Gr/mDeewKrF8HXHPiIYwARXqt0lqgbk51AJ3uedpEVg++GqwSC3wESYgAesSkIAV1QJdAuIKI365dlSuWi0wV6U25fEAg3WinwIra1OCmzcjAbNutcHK2pTA3KhBIMCPAlX12pTSU14JtQ45i0wF6wJn8A3BTmfKKKECAvxGzw8QARFYUQkVEdDb768DPaAUlQs1KqEKN7bK6u42opspjV5muNETwIq6u+iyRm//ocWIgAisqLsLCCi1/iWZ1gntL++eAAAgAElEQVRkMTI1L7q70RQEXg0Kwd5Ed7M2fTV+ahpdtTpaRuUZEeD1PBk/Ne4JYFEPiFSeEQH+7+6Nf4EI6JkflecymuIP4ODr+cVrmboPBbCipjgkYHmpbf4VgfXKaYojAlo/LGR23kX1OTg/muLlFOxb0B3PnjBWND/FYG9kBLCIAG8watQBBAt1zsMquIlKipb/38NLmvOjYF/OLwENvt5PJukZlF0Nkl/CxWZEQHzrdz8Gi3tA5kAd7AEHySEgDVTz4pdQzp3jM9hHo8/eQdX2qujOMeijTh3R1QBHPdmdA95yPh6NxqPofa/jHlCrO8fPJS+Ywt4TIFPicEv0oztRFsUS0Qvml63g6z+L+mHTb1FR34heMPCHz8SHReh9f/RQeKkvavKCacu/fgo+47efIMOef8dN/BL6rO8eLupzaG4UX2Rugp+dPyU8+XuopHgj5zIq6fZXQkm1OQ+t3XK8A2aldDecQA5RzXFrQyZUyy4txbljryIrLdPaQFH3duOSVo+/BL6uWpv7K+95DRMCvE9nttZQbYs2bxRqfXRHAAaL+Nj8OhpGsst245KaXgbGbcH6aI3fOAzGvfVXRwWSDz1Dw+Rn0Yr9qeeulL0TTcKl77/frsFVrWPmnzgJO9e5+xXkUrd8VlhOl5aXOAk713G27R8okl6AG0qxeXELft2W3BT65V/jDaXIO3ctnmaseff3NXj4dZYGxlEhBxiC9cJrdY1wQnEuh8Gu2orBhlODekwA1lwIk+OLMIcp5PI+zL9ailRHIkmDVTXM2378ek4AO5mDYL33jxcGHqF3710ggM12Y7DL/lXY/hy16J5zOQy2c6syYmfP8311B/6Mqm1fDieZlwhor8Gf9JNfCWoaYXI8BLvpxvjHI6iJNOcEsLOxma9bOx9fGr8hEACdXUIC2tGK3X/n+ef/7cc9AEsahOoE26p2w10d5s1AsGFdrgJ90W8IWn1YnyewelFEAAS7sr/18KY9mAAgH5XIPu0IYHba4R7U3UMC4Ngd6hO+UrX38poob2afoN3SMSHk5iCwkXUrAhuJjAGwfnMp0PWgVC7JTDySh9g4jLPTUN5aREDHqEBA29xO35Kv/GYsDJYok+yQcnMA2Mg7F4GNrGrXALDhwhaBjb1zTwgEgEAVX7PPLsQEoLE71uf4Zi5f+VCIrLC4251+nBNU0DqjueCahUJujgs2MS53wcayxm23MAEgby1xjm/BPSAyYocJEiBvLSYAuAvHMnt4CuIkDy12s5gXCGDjcXT1qJCb44JNnOOPYGEwBDa+rOyC9a9B2U+tTlUUCPDcrYeYADB27yDwRZHFgn3vjU4/MNgkajsZdEkegAs2MS53wSb69EWYHlh6nJ9InONdsAkBbqCKCfCLAgHu2J0Ie3fMnCtXbTp5iMcI1bkdsEqbJyvk5jgZicq4vP0YFj10wSYE+I5jtnKOd8BmE8x8YFUv4wSqno9yWNRRiSMt2pyb6w5IBt0BSQa19j8KeqIcrM48dvLWlM8oB6vsKBywKu1n+R5MgAtWySPzQKWavhOVVy7IYQVL5dCwhmfAkGordc//FTL1pf/eJF94Wf+rfXDwBWDV37kognaO5+ZyWnmcGZVrApyoPJHDYLU6FQ9UaqDlgcrXUYWP3f+xp61StbXHFyejm+Hdpaej9OTCP5hpMgNr1uQtUm4OA1tUBXBzOS3qz8GqAjjY9bsFsJoAFqhMATxQaaddNnYbnfvSIqnbPLTa2sKT1MlMA8/pO2RGRAbWCKMxsLpvMp0ANfg6YI2rAgNr0iwZ2GK3ANa4KtCB1TRXFqg2aALY2G2MnYggrJs8pFsb2Zi3tgAoWKMDT8FakYCCbTWRgIK1PNMoWDM4UrAWARSsZWuRxT2ABypDQPtHAgGdJIPKuSnelH/bbW122u4ROPiGanRCbg4Fu3IBqqgcscfJCgRQsD2GAOq3ZkkDkkBlzztIoLIIoGO3RQBN4nbyElryJ6//jVebnbZLwNpmTFmcnUbB+pbLNgVrOU8RsFat0yS9FQsEsBYBNFBZs1ySYN1lzYXI2G0b6ZEkbqfamoDAEknbJWBtRxUbLBm9CVjb5ny7QAABa/dxG6z/m5wA1nbDsgMVafb2T6y0UJCx+32yl1EuC6Yl39c3w6qNXlwdEP5sgyVzBRvsht0CWGL/aoGl4dMu1t5Xt8ESOzI7UNkreDtQEQKI39pddH1ZaG2ThUFWbfTiqgWQ2hq2CLk5NthitwCWOP2tXYgJsHUCCAE2QEKAFagoAXYjJgcbRwQCSBK3ExJa8kM8JNTlj+Vwd6K6rBbYItsuM+NcDoOl45wFls6WDVifEGCDpVaLJlDR2bKVOk8JsMZuaoBsT0GcCUiTmoDo3KG6ZnYCcRf2fRusT7cYjChC17EcHryZZasGyxaiBqw/K0xfmIupuTlJe4Bv/QQhwPr3A8715bA+YPKQbm3mmH/bazkBLDMIvibMJk2S3op3BbDMMzerowidYJkkPUaAAcsI6NwDe4AVlRkBJiozAjrOTwtGm/biynyfn67qsMztqDVYNp3XYOnga78YI6DzKibAgGUEmJbBCDCBim2y6UDFCDCBipsWL9osJw/Vjw9lmk4VLBPhNn5xVQcCbn6uwDpbuhosP1UeENanGixfPCqw/g5Wkn4XbpGtAlXXLQ8vdTkB+l343uLa/NIUG0e/cI5tBmDfLz3JmzhbFSql4P+knf1vVFUax69Ahw6liW3XtCib0DuZ1tU0oW3Erbo/mAxvBZIJL10N/aEiVGVtAm13twRM2F1eum5I2hVls3GT6gqLg00qssBGTWi2SlzdpIuIBsL/snPPuffOefk801HnB5LOHc693+d7zvOce563De65TPLO556GhA3dTEBaJ2BaOHbyus8nhsoND08MlUdAKvjTnvPuliA2Sh7a7QWuxv1tvRbSCVjfXaXdpY7yNcB6B40xWI+ABKxHQALWIyA2VH54eFLjZVo4ZfYICPeLnYf85KF2P28mBus1LA+7lgtnzvWofFOwPgGd0wIBGqxPQAJ2j3cLbaj8+Py4xssGL5woxuUREK7dInquDqktm9Ee/TEIgLgm+BVisH5ogy6KsN4jIAbr+xVisL4TJbbKi4IDxycgNlQPe6742FD5BMRjHIAwmJ2S2HIPOslD45A3M4HKt/xRmSp+dloMtm1UAOsTEPYdZheTBgsEaEPlrwBtqFogQUJtCWEFaJ0NBOTO/lv2yud6LfmfeJbjImDtx2ApNycC6yvfBCw4iBXY9R9CZNAYE6DBAgG5092Ynaar9wABWnfDCgjHN9UazLCO8mYU2L5mBou5OZEoWymoLQKbBwLCCCy5zyOrTATo0xggQBkqWAHaKq8BApTuBgLCLlthVRHbM5g3M9AZjO6hn5dJpeQoBfapnQS2+dDynzcTWIGAaN48SQSsu/XgSloBylDBClCGCgkIv+0Mmq9h/NCtGsW2H/NmfnamdA+jzo9CanAMFqxfdOv+uyUMg+ra1YTJUU31AgHh9buzt4mAsqGi9ED1pLgCwvH7pQ/eXVoaVWqKc97M3tGw/QKD9VODY2Zb5ug/PL0rDLOjDPYpTC34xS6BgPL8eHgf3WMY0wOVoWIC7vSEnaeXXnuy2Lo4bfeyc2JcEfM0KV8FlpRvGEay7HwDwfZSemAElgmYiBAN05W+w7wCWoZ7kQCFbE3zkpq+Sr8EzJtRIeM5Bpv/iMGeW4MEqLWQQbBjTEDLQSZAKSOM98x/jSsg2oIcp5Fes12kpi209hWi2HInUINpmEWUaP1YEzM7gLO5OaXBk+jQ1zxSWwNqMAUzj4tuDmOLy4ZqBjXYP9S//1tyGoliyxdeoAcf0qRgdHK/1AvmJv1crayw6wGanydW8ki/3oE3Vvusdgpnbtr9rfBQJ+jGTR/qtwSMNDeVlii2rsKdYf9zQbufjsGlgwe3Yl7Q5PUrm+Dnw98psXVcpWsLPNLk9R3061cVntxbdO29Lyev0+dPCxcIgw4PeoUuvVxT56FODlrVW7bf0KWOvwhpgM+fE7Vk+DitutwfOVM0aPwbPqrC04nPO3hSSN57exn9XM+2l/B5zVM02SS8t1nUmbEKcD7H6oWcx1Mvo5TVHHmELj12/gaPNJglsDpeDpv1td/4lEdqOI9mTemg3Ed0yTpFk8X2ky24diOw3Kzvah2DzUwhWB0JiXkUxwIB7Ft1Mtg23FDMDHKG7WDaiN0+M4kGwWj7dsuJJ4stj0Gr7dGC4w3FVHAfn3D1EIONXm7yuKW+GjDYzBSD7RuNXtuZgFXHhczw1bg7i2RTjyvA2sbKYnPPSpIHeaH3oZv47EUB7MW067yzSm+2tJ4JmQAGu7rIYNv/2tI9uIwJ4OoBZQJW4Q5k8IHe1/6A+4/+Gt9JV+B+9+m9k//EvLW9AYONkuOZ2fOTp4YFAhjsPd3f1v98893kXmEFmOWMLQICNFSNz02ex1vYTrwqYvPcNaFWRr2Yt6b6ZhPYqDoBgl0T5nhrvzdgsKo6AYHN78v1YHZTRAAaqqj/Bhmq3HQZ3szSp2hVOw/dEhQ55D6Ula8AVlUmOYcEcCqXIoDANswIYJUinxEIoFIQ6rv6ZcIpLOWtOU48K3mo9bdNPVXcNembH4E9Fghg1QwEsNocHxAIILCvqlvsZAIou0n3zr0vEECGSrSkjhPPEFtnVGXRTB5aC1uQVYKPQvfNBrC6MgmA1QFyAFbXFLwvEABgNYsAVhFAhkoRQIZKuxd+B9uPy4LYcp6bNO+fisfh4T7YuG/2PVS+CHZVKIC9avw/aF5yRyAAwB6zmp64BIChijekjUtsP6zkoXjZL6+2BYm34j7YuG+2DzYW5B2BAN8FEBPgg43HXj3KBADYU0L9xIwe2zdUMQG+oXKdeKnYOtNBe6psQRJteZqUL4FNlq0HNnkXahQI8MHGBGRuCQR4hmrdca+jgkWAb6hWmau+mhOvagyIf8CbuBaPovIFsA0zAtjkXcjzro1Y+geqfJ8TCPDAJgR4hipRJc+hDxJ0t+fEM5KHApU6FBjJQ547IX0ZdcE+NhNwHdb07ymBADdvLSXABZv+/bKwAjywI0Il4vRv11ClpwGu7vaceGZx7CCre5705uJPj+u8SsPDndyH8Ig7uwJ39j3fwwS4YLtmBLDpUnPBps51B2xKgGuoUgLqHN3dVtk/u26rRCQ5W2zrdMqLo9HdEoOV6iwHUPl6YCu6rmEnE+CCPRIIYCvLf14gwPFVpwS4hqqy/O8IBDi6W5WZlGJ3VYl7x+bba9qoGGM75vMVS3AJlW9ZnvPe8YfpivEJcMAaxuaCQIAD9ojQ1cIgwDZURojoUeeke0iOFIfZ5pRPNU4CbbB9RQGsMWNKqHxdsAYBNlhj02qDNeoTWWBzJ0lQNgG2oTIIsHX3+LYqeQkw2wK7Wl6b62Rzla8L1lyyFljzKPaoQIAN1nhryFwWCLDAGgTYVtl8a7AM1YB7YJw68TYuITZ3ttm1Gc3IpqOofB2wpjW0wJrRyVaE1QhZ4cDsneaANQmwEqyfKdqnMESAZags7+8B68B25nvONqsQueV2NcF2zQhgrY3mlECAGU7WeSNgsNZ2xAS7JhTAjgiz3jJapqGynBGm7l5r9MOpq2m2WdlDZnaaBTYbCGCtZWaAtePzDbBdQwJYiwATrBXbZ4C1CDB1rEWAaagm/JiBePuxqVo+Kc02K1fNdq4bf50UevbYr1oG2EebBbBZobNL3DvXB2sHHhhgLQJMQ2W/apUEbW0YKitTjTcg+rii8jG3IE7kRwVs/rgA1jmymRcIMMC+KbSxcZqXlHgFmNCzQmcX5/WvYqicDJWj5vajGBTjj588lM422+n/LK598zbPFAWwzplZSSCgAjY/J4B1CKiAdcJLUrC5Nx1fLa8Aw1A5IaIV3b3CCtJotsSWq7xc/VI4MnFycypgR4SePa7fNAXrRienI7u9t193GoF4YF0C0pEdAiqGyj20nBIISHU3evCsJsKZT4t2iL11QOfGZk6g8jXAui/jmd8LBKRgS8JBgOe4nuIVUAHrEpAaKtdxnRgqLzx8oJq/OBXbuuQ+dc3sjXaz01Kwjw8JPXu8c67jAgHJI3sEJGC96uEJWJeAFGxJOHbyCEgMlRefnyxacg3U0HkocT482iycTmW9AJdFsH4GWI+ABKxHQALWI6BhHxOQgPUISAyVX759nk8QU0OFsTCVQ/En9SjFZsHV5cf2DaDyTcH6x9qNGqwfHh5/kw0EsL5nZ14gIP7GIyCRl++SLAkExN9grR4reUhJbcx3rO7DtZ/MP1f5pmDBYzQvEKDB+gTEYBv9W8yS9auAzQoeNCBAR11DfP5EFSe76SdtLQ8yJrnxITdHg11bFMBC1NCsQIAGCwRosECABgvRrRMCAdpQAQHaUAEBGjHWIXOThzBoZAcq3+TFphQwWArbUmCBAD06EKDBQvMSBZYIULYVCNCyp+Ce44LnV42e49L/NVRC1ZWOKTVkApVvjJN6ZyiwlJujwJaENjbYO+OkQIAyVGspEnORCVCGigjQ2U1c+r+WzkNRpWPMzYnAPk7xooN7hg9gpM/JkJOjIrBIQOPi8DA2L4nA0gpQYEsYeDMwPEAERIaKstNUgnVSYvL7i01VOqbsNAU2izG2C4Xtn2MQYw8TEIF9lKRT91Wh8EUggKUVEL2lIgHBBwuFBYwJnucVoHQ3h+LWJLao0jHWoS6DJeUbBPsLhcL2IoNFAiKw9dihJKq7hDHBNwUCymCZgIXySNgHZZZXQFQyibcftYmts7AP134EtmOOnlAVmZpisExA52Um4HY00ia6MiIQUAaLBAwWJC6zo0Jfg4m4wvUPE1t4ezOu/QgsWT89RRjsrwQCwsUqBGynkbLLmIDwSA7n1JWCNHEzfxYI6NjJ248axTbeL3R0CGcOHoLnWKGecAsuuswoj/TIEdRgBaiOFkv02mUeKb9nkYZaEJfAyrkhHil37ewbP0JsHds/E1JwVnxOqSe39RyhSyNbhZFe20Y/f0WL7RRde/slHunQV5TgMqJH6qeRPrghPNR+octEWGPnof4Sf25/+TF8zupHpEsfbxdGuriFfv2JHonvclcYCm/8Lz0S3uXKf4SRrgiqrTax9W39hpv89O7F3Jzd6gm3YmT7x2M80iOY1NCgweK+4fUXeaT194qSIS0UaGuycuSaAG924d0fIbbdG9ce5lTReWy3tlo94Q60Zw99yDmPB/tINhlZtzW+M8U5j2sO4bZNLwG0Ozc567fpiY+47H9tYmsvTD/BCZ5PvdhGYHWVy434mtDNGbat59ZPiYp8GxIwVi8Q0H1X2kvyvG38+093MQFj49t+uNg6Css5n7slq/vbep8T0hPWTXNCfZQGf1dc758xAZzP3Xou6oIqrPd+JOAwJ9SXCdggdKOrRWzjO5oEsHPdDLZe2rZllwvlG+p1f1vcuOEetW5aKN9QHn/DnLRxW2QCuHxDefxWofdhLWK7srmbwUaVSRBsdvbtU9iq9lKTALY8mxFs5q1P/vt+kQlAsKo2D07PM+9/cYnElplOus77BLT88M5D6wovct9uVZkEwV4M6jhv7WY3V0aJdGcrvV1Fpx+NdItZrg2kCIi7znuHgMXgMyagiXS3WmFtvAX5P2XX91rVlYUvxptfTcHjmc7VSQVzxbE4FHITkqCO4MMxNjpC0CROOhGCP0pjWjCOtJFxQIsaKH0w1ESQGQitEZtOQNEpVCr4kDSlT7FaYUz9X+acs8/Ze/349u3tpQ+NJzn3fPs7e621915rfTUM266/TOA2MObfZtAeDd5INcLlCGzCdjgMCYA72UbqDoFN/w05qjSfYcxDALTdyb+147U8Hba20scTHSj8qGCw6XRDYM053ffI+OK2W2a6AbDmNAeANeLFAGz6nMhRrRU8e6cJAch2G1Ju/5ry0I74JS40bNThx+UAgzX2DoAd8RwSZcLlGqyxdwCsIQCATQkAYA0BwFEZAsBOvREvBrbbdCs7/071YTNiMEWl2LQzqgsg2OyhAdhZz5GkES4HDdVMb7xwwUMAAGsI0GANASAEyU6q9bnQ8IT7O01A0P0rykP5VkadDj88YLO2k4ueszUNNpO53H0UEwC88izOQMiV47WjygZSO6qRgucU0hCgbXfeMhgWcVctHko/Vw54unVmBlkzmyeTKbCLlQAzmy2TFNj88EWBzQhQYO20nfEQ0HwPE6Btd0ZAONBbbdg22But0+EHUnaxzau7LyHji8BmwoMKrPWIEmzLaAEf8OfK8QpsZkqUo7KnX99jApTttgS0os0jVjxkqocaRC7DRADBumBzBiduKLBWOV6CzQkI5XnO1wUM1irHS7CWgNZRPAOUo8oJULY7/7kdFXGztMB43ZZ8G1NtPrW/AkQH6FSTYF390CwyvrrxpGsXLsC6fNYxDwGy9aqN9qWjWtNJi5wAabstAeHtfVTQGhQPpd3Y5ZrwMlZ2IV5MgP3AkyZbmKkEsMl3j+3XLsC67GmRKjfMllKIAOGoHAHCUTkChKNyy62L7CgD5O6CYWuM6gIIlsRMpSfI+Cqw9ZexqIJtuqzAulx9AdYRwB2Va5gvvDJ5kseYAOGoHAHBG2wDAGSKg2E7dRDK9zBbwMESi8br1lrqsIQH0aIQYMkkf+UhgPfQ3uPeGO6VxwqePGxHALfdbgbEIch+77Cd9Qzb0gGPXglZD/IQhBZdvYLGV3pl8kPXJZzezcESAhhYtmqY8RDAHFX9fbEs0zMgCNcf+q3D1hydDDCzdKuFgV0rYLDFFY86DlNQmvUQwMAuVLA6TkC2yZmjYn89iwlgjorOgDgEGf2NwzbSF2AtJjL348+1Ap6Y9HFfo+8qBUtVnRjYNc/7QglgjooR0DrneVepo3rpEcOiBAQlerqqhq347Zwatof7PZo9dO4HQVPB4wZmkfEVyl9Mk23LnMcyjnkIoGDZZmPPE4+xIE9YXPFIrzECglNuL72oXEIxui6HrRjd94Ddw9w1AcuDjjFkfLnSTjsjgHhlTgD5aTjAYPkMII6KE0B+4gQQ280V6y6SbflzMm4rLi2bMph++2mK6rCoHpv7jFke4jqw9fc9YFv5V3wI4j8Blh/0ObCcAOKVRdT3ChNAbDefAUFXtFqleOhh35X0RNKN9MDBClZ2Cfijh+MFvKByYFv4GsPq2wo1zuBCv2eNsYYJIF6ZE0Ac1RhIRwUEONstZaOv7Ctl/5ft49LioQFzJOyKh7bdEK1frWIXn/sErFy+r0HjS5kVOwQWrFzRWr/awle0FiwVXuOOSqxo7Z2bxYrW2m4p36P6yNDioeK3P4yyDbft0dEAgg2lrLIF+9iziVQUBFiwkgALVhJgwQoCHEa5RdPkIcC+x4IA+5IpArbIXRBXPGRv6rbF3+wLMFhufAlY1VIrD1lfk1uTuRy4JMCCfeXZMZMEWLCKgNxRqQ2sDzwEWNst5Xt6uCgf3d0t5okk7uLtfRUMVhhfB1Y3cJtFxteBVSrqwd45TEC+Qm1Ue8M/VyAB1iur7dLsKRUB+VpZERDKPjJu2LLtXVI8tCN66gHbqrQzMrBjntOAgkpzycBK4xuDXfYQkG1IjemzkglMQOao9OZ8RokiILPdmoDgolD8IidXG9L3jZTB/ClSh3zm2aT3S17j5QI+5DObP/X3PWA3KQIysGOesydNQAZWE5A5KnDuZRzV++AIswIJiEOQI9WKhxpCcm19r1b/MWBvVjBY0GHOgG3Rp6zpTNDaafHCqx+EHxZs81N9opk+jiYg6LruOXg0jkoTYB4HEBCITmT8VJ69iduWQOf5FKya+zlYlMCQbmx/U8FgSzcrGCzqRZuCBQSkYBEBxlEtw8QGTEA69oCAcP3hWpMZVPhhwHZ2dl4ASYJvXIenkOYYpQgICP8W36kbiZdc8xCQgn1RQWA7O3sAAWGLJ6kifZdHQFJF++X4oRABf6hZeeh376Ccr+NnBxt+RmlN3+DqtBRsIyKg9djgsUZAQAoWNhWPwRZRCk/7VLH/I0RA4qhgCs+IZwYE8zG8KXBBhCBVhk2HH+lk/OHOdysVDLYJ59gi45uA7Xtxtxd9xe5VTEACFhIQfvfp+L9Q9lHiqB7BnOBVTEC4/t9nPvsSXahVeQiEH8knySd+HGCwsDotAXsdJqLFgzyMRiEOQTABMVhIQPfVeC5OIbDjHgJiR9UEv/pWfG0Gvi4sBPEP21sR4i89S248icHCbLwYbDPK/C3Nyh1HAhYTEIOFBKSx4SuYfduPCYgdFSRg05zedcgPYk7UNGzr4QQyoRAE+/4/73nAtqA8c3NGshjAL4HlgYXCXeT9snzCJgS26/pX+E4to08Qhr+KEx4aghyoZdi2LU2DRP0O0yh2HiXx7/E8YcM4rGpoNbEoKlNof7SKb9V4F/16TxqsNJ9A3/LSI2ryEa5qMK2Sp9Cl84drGbY/Rv8dBB9z3zF06XjfIiwlWfylF/26WU83zqNrS498pTLwi9NVV/Equnb7R1grs7i4dBr9ujnueowuDdOMLe+w7Yw+XXi5qP4zwfvIgr6y+DWsmkqUgQ7Gv67+4BczbI/Qtyx57vRhH/jiha9S81W8hb7l+aznVjfA1y4smmH7H4L3VU3KQ23RA/8kvYPe4r1nPLfacroCfn1Tv1l1oUm6sM4zBcZD9Ouplaw/ia6998xjg17ASWr2v+6hS2/SrrB+l3BqP3IJTZ7ldBIIQ+2fpDj+z9AlpFNrHPqzc7gaoDy5HcVUZoMIRnTtnwzhO729DoZtx7OSB/C5XZNLcBlaPO5eBZvJ5jONpf3KW7/AYJe9BLxb9oCd2nYTByxwQykl4C1co/ePXJs80Mc2MKLj+Vr+YdsaQbHLW8kTwojuhAfsro3lKRhtxY/YCAd0Wnazc22HINjWmMv6FUzA1p8wAVZ1njuqyb4AAA9mSURBVA9OwiWM5ltrVB6y2af8QS7+ODi2AiO6Dg/YwTIG23Xo9PGD6EL3EY+S1q6OTIhdfj6bH7ryd0xAedVDwI5puLi6Nvifp/BCb41r0vNQZ3ByaGEU1T4kutkQbFIcD8H+fn5x/niACcBgT5cx2NLVMy9eRzMrkW7d5JkB5dPw9Rx6OYii3RLPfK4ybDsjBPZSZwBFV9s/KWOwSWsYBDZsCishLOVK7oLApp39UZ3V7pOVEFY3JQRAR5V0J9gMbHdpJYaHvkLk2VcZtrYIDHuaLIvApsLlSLMn7UyCnuRSBdetpdKtCGzaHmIX2KZsYqnE5EKinbsNaCynTZyRo0qRgbo1WdVBh63ycQMrHhoAIUiaBAaYNbrZCGzamWTXBCYAlXKlUncIbNoeAoFNE3gBWKOd2+whoAy29htF6h4OP9iwJX3v+skpKQpBDEwA1uhmA7CmNQwAa7LwdClXJlze7CGgrA1r1wMPWKM1CByV6c0DHJW5uf4KWbEmi4cKxzqqhSDZe6bBZrrZzWVP10NdemSGvkvpNWfK8Rps1hpm0kMAqG4aynq8eAjQjsoMPSjlkvWRVYuHHqoQJCsqV3VroZEEBpo9WWuYSX22FmCwGQEabKZH8fZRTIAGW/qctJkDBLQpR5VNdGW7VTVu1eIhFYLYR5NC0LlwuQKbd9BXYPPaHOWVMwK0uFxGgAKbW1oFNleOV44qFwSRXiR3K8pRqdrvqsVDOgTJa3OaoPEFYPPmSBKsJUDWrVnleAnWCgtJsHlbBQk2nKQ99QABylHlKaLKdqsyP5KoVVwbLTSvzZEkkLalaTT3A123ZoVeJVjbGE2CzSen9MqWANnlys5/EYJYAhTYnADpqCwB259hApTtVn0tSFpgMVotPEzyAt02kQxBrJMXzIZDZQ9Y2xhNgHW1OQKsJUCCtd2ptj7DBEiwXXY1KhyV0xHjhtVZR+monrv6oQ6VhBqtvi5abozwEMSFlAJsye59CLBuFAVYF2VxsKETehVg3Y25YXWBh3BUTupYOCrXHmzSQ0DIx7M9utTvLR6Kh+25aItTH32JjG8g69Z2HwHPRI2vBEtiel635ggQYMlrPInCD+WoCAFCb81pJHJH5QgQtntT1F8lwT66oxrs3GBHzKSnDQc7WfaAJZ3pJlH4ocASAjhYYjR3HsUEcLA9ZPdvzkMAd1RkncEcVThwuFpdQrSkejANHIJzPxB1a/fKGCz9gYEl+fmslCukKtsMLPmhja6KaPINc1R7j8Ax5z9QR0VTRJntLi0t++oSzpq+OKOqMVAdmvsBL9Lr+gm/YOzVa7vpIYCBncIznLNBwdKuTj03PQQwR0XZoI6KlAdy291dtXioCLpgFWkIwlZ9FCzTmadkMkM3VMEE0PeFEUDBsrlPwDICwncrmADqqBgB1FGxChViu8PzfYWqw9Z7RbWqe07O5nltjgMbvucxHWXmVglYRgDNTNu8Edtu7lYpWObzCNiuL7DzFMbXGVZeoUJt98PeamW4sScdUC2nWlwmiKjNcWB7Psehmgjitj4QCagsFw8QQMCKuMaB5fseJA+SE0DGisc1xFHx0yBS3cR65aFhq0/bhxHloSIJQUrTAQa7d50HrFgyWLAiP9+BFQQ4sGJ9NIlnAAErCHAzUxDgHJVIEXW2e3PU3+8G5BxcJSRFWSJAzp+kla8eN1xGxrdM+3OLBeoFufbLPzbNUBDgwAoCLFhBgPPKggDnqLZzAqyj+n971/cTxRWFtyg0AU2ENUHEJjAbWNSYCIYCShObLqC4JDYVTG2bUN2lCe0DgbWA2kRSG/raYuLrxmr71ESpja8lYtqXJtRCTfrXdObemdm5935nZg7LKkl3kvYByWW/79t7zp3z4x69PNy33Un1VcloHnJo25f5TbvQwq+p1AMzpXrqZRz0MKb6+mD1+vxFQoASWC3244PVdkAJ7Fs1OOhhvDT7XkTrUPFtd/P6Ssg9IDOJ2qmL9n957baeTr+CV88Ee/uj9wUBVg++eWC19sBAK9cyEeEx4lEe2Faqu6kBh9jMEI3nqPQOFd92nw6dPJQGzUNKvXjvDwTYliYCrBHq9cDqQXwPbO99AqwR6u2fwwL4YJdxQNcUwHNURnm4192k1YhrtKW86O4bRHmg2ZsjwWrG108fgMRC1xwyviWwi00E2CsWAdaohXDBGgJ4jsqMtUtHZXSn+Y7qSfjkoTT8svnFqGZ3mgu2eYUI1ZtpLAkW9OZIsMk8kSsBmR0J1myQkGCTpgCuozKTHQt4B3gN1r2Zq+HX3jXX2m4hMUuUPp80M8QS7Ds1BFiQNJWtR2Z9vgTbt0Jk5kAecRHvAK+76SFOjSIBpKMCHSrSdi9meyIuWeybScwnqUJ70BoiwBrG1wdbNP+hRTuTqmDP1BBgQYq+8xrcAS6TYAdIRwUESN3DO0DabqO3LzIrrxxBzL3vgV3GZR+wIESABQIIsEgACRbUSAiwYAdIsEAA6ahQjYTjqMAOkLbb6CSNTZtsIkK9OQ5Y0/i6YFH5kVOeBtoD3T1yj6hxgbVWDthWIIADFgogps6jIpWjc7g7Tdjuw/jq/xi0iSMI6k4TP1xEZXdn5qffh8VuzidBlX3OD6EAbZ/WTbaiP9G1B+4AqQoSwNr48uEM/BOP8Q5wfpjcO2ptkzbnCIL2vgALjK+zGYfn98OLV22wUAAHLBQgde7N63/AJp0lQgAb7NvI+VmXJmcewJrgjW7YHii+glpDJIe245m5JOxOs8H2wcLTT2w7AllILxECHNqDBei3gXai74jtlaEADlj4p9seO+8paKVF2J8pDJ7efsuhLZ15fBI2htjGpbWGKkRLr2CwUADbuvdB2yuMESS0hRAguXUK/r7I9rcgQjuvwf5M5/bNW/D4EY82K3d2ANZ+Nh5YaYBbcdYtPjWfIwdgGXZj8p9+KMB9PToeAIsFaLzVDAUT56E2tH1Tv9+CAtj2BB8/YtJ25MIVYurH1F/o90+L/9+Af+9naqjJFDSSgssO6M22/sYr9U6jX08Jd5yCX+n6Il6pe2t9tQzaOjKw/Wd8/GLuNmpokpvkBBxzkMUrjX8E5ys0CAba4F/ZLBJLwbFYdZK2X+Esi+cEvM2yJg+l3FFC4IG9Od9IT4LmJk2TK43BgU3CFrXBsVB3qJXgpKjP5eHvX9jdRH6oUasM2qy95LrvoV8/HLJJyZWGQzYpPDeQtGW4m7RArrRWFm3tjfghToOy82ScfFNDDz6OS5fQ30O+vICHeB96SbsEdAVFMAS+XdrI5xgE27bqvZiaTnmEUiZDH0DgsD44uFyea6H7W/De1YAANVzcZdKWwmCnneMu/PYQgytJsIdsRB0vWAL4s8k1cn6xtbmNd4D1imkjwHY+n68bwS8cTdRKAxBs+9jl699aPAHa8NH+48mZHPxaPRh55bRhsGdmpj4bx6+39CfBYdSfJvI3m3gCuLPJjf1eN1V7lSdAxWjDYCcIM5K6+8zigSUDR9TkUOEZkaMSGY5lpgCVos3afJcIUyKwoca3MEYIgGYsE4PLQxyVkHGBKUAc2rrnE/Ns4hFYObj8KdP4dgKw0h0vMAWAXjlf+mTxBYhBW58zeSgxy1wAgb1pEWBDja8YxA4FABkAYnA57ajav7bwqWgbxw8l4VcLR8FEx37jJ/wijC8A6yb8VpjeDzgqN+E3wRQgkjYqvRx5BBmCxheBjTC+AOxTC4ONEAA4KrdBor9pB44fcSYPRT1Hs03I+CKwEcbXBOtNjjfSOV0R3s8cx+r6UMNRpeFRIDZtM8TkoRix36vI+AKwkcbXAOsJYICN8n6Go/JLZ14yBQinzbnl+Ys/9Rtk4x1BNLDt33uErjKN78ExQgA9UYcMarij8gPECztw/FDvFM+5UygaWY9RklMqC9zQjx/J8KX0mqiS31vQWfkgfKW+DFUWqDmq1PpaNwtuj0JbW4A25rNfA/tV6T1cM77DESvVal+ikgAa2IPnoz7UA/VLFChCXdEEmGSBNeclbJc2HWzpBUYFm848YoK9aRFgN6MESOxTHVWpO01zVIXzTLQ7RpsGNlAertb3dME552Fgly0MNoYAdaqjChTYq44qWoBQ2mbKoG2f4oyC2TmlmmzvaIIHNlifr4AdiBYgoVzuF2yQUBxVDAEqRludcvYMhmKDYFPrzxM8sErzUBDspWgBEpcuEAIojmogezFRjm0rhzYFrNqqtso0vgrYvIXBtq//Fr1SQ9BRqa1qTAEqZdsUsGp5eJFpfINemWyMjCWA4qiUCsWAo4olQMVoC4JV23ADYDeHYnnlZ+D4oYEtnGM6KlWAgKPiHj/Q5KFE7tzERH57R5AS2CX8TmO/cD5iglUFCICN5/0CjkprkKjf/vEjASYP5ZyEqm0ik42N3BeFIWh8g2AHsnNxlgpc76IKUAJL3McXcr+OVh5eYvHJSDcXao/xTurSdpn/ilaKCOnl4fXhKa6QfAh9oUU2XozGjwgZF1qshiZCWBEQ27jVTU1N5dkREBWsXh7ugUWh23CwxvUpqzwBSvHHDj1eWmQKUIl4m3i8XK/eneb/oDMTM9rupxuM+vxiSKIAPX7AxWiQ8H4QV4BKRHcVsObVUMWQtFQYWEMAD+yxuAL44T1DANcrxxYgNJdQxpfNB2v25rhgccYXgXVTqaYArrErjMb9UK6jMhskXGMXW4DwzBVuHuKABb05EizD+LpgTQHcxWML4Dkq0CBRzxQgjDbnkkV+ntQDOwyNr/cWPRjf+Eqw5CWLRIFHiKMC9w7Kr3J8AUJpK+c5Ib7w6ErP/UzjmxbXKSMBBFiGANJRIQGE4WQIUDHaJFjUm+OAZRlfARYJIMByvJ8ogYMXyBaZAlSKNgEWXlfsgGUZXwG2iP4l7wiwynRU8LpiR5XtHz92kDbnXnx8OXaeaXw7MiGXY7MEEI4K3hdtOyqWABWjzQFbbxFgWcbXAXt8lgDL8362o8ICpJZca/y6abPuriHjK8AyjW9hmBDAWrbusLyfTQ3eAbajKgxbu4G2wjA1ZuK7wfM9PLBNRGF7A1MA21FdIY45s3fWdgVtJ7LEJ7RuMI1vOvMjEU7o/JAngJUbIoaatG+VcfzYSdraM6NkwJBpfHMZMtnD9H5HMhtU/oMpQKVos3LrrLaUkGeQXIgrQEeWXOmstTtoG+T1BYV9qMxOCRDSYfRil9CWOkU97O1ArnTq9a1UKdr+T0+VtiptVdqqtFVpqz5V2qq0VWmr0lalrfpUadsJ2v4DyiOYALtYeswAAAAASUVORK5CYII=';
+// ---- Writing ----
+
+// what the reader adds to the title
+const VERSION_SUFFIX = / \((thorny|regular) version\)$/;
+
+/**
+ * A value as the reader expects it: everything after "key:" on one line,
+ * with <b>/<i> back as markdown. The reader quotes the value itself (and
+ * escapes any quotes), so colons and quotes go in as they are; only
+ * backslashes need escaping, as YAML would read them as escapes. There
+ * is no escape for the markdown itself: a literal "*" reads back as italics.
+ */
+function rgValue(html) {
+  return decodeHtmlEntities(String(html || "")
+    .replace(/<\/?(b|strong)\b[^>]*>/gi, "**")
+    .replace(/<\/?(i|em)\b[^>]*>/gi, "*")
+    .replace(/<[^>]*>/g, ""))
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(/\\/g, "\\u005C");
+}
+
+/** Clue text without the "(2 wds.)" / "(hyph.)" note the reader appends **/
+function rgClue(text, answer) {
+  const clue = rgValue(text);
+  const tags = entryToTags(answer);
+  const suffix = ` (${tags.join(', ')})`;
+  return tags.length && clue.endsWith(suffix) ? clue.slice(0, -suffix.length) : clue;
+}
+
+/**
+ * Write a Rows Garden (.rg) file.
+ *
+ * Needs the clue lists the reader makes (ROWS, LIGHT, MEDIUM, DARK). Bloom
+ * answers are written in the order of their blooms, which is how the reader
+ * places them, each with its clue: the one linked to the bloom word, or the
+ * word's own clue (thorny puzzles don't link bloom clues to their words).
+ */
+export function xw_write_rg(metadata, cells, words, clues) {
+  const list = title => clues.find(l => (l.title || "").trim().toUpperCase() === title);
+  const rowList = list("ROWS");
+  if (!rowList) {
+    throw new Error("Only Rows Garden puzzles (with a ROWS clue list) can be written as RG");
+  }
+
+  const wordMap = {};
+  words.forEach(w => { wordMap[w.id] = w; });
+  const cellAt = cellLookup(cells);
+  const answerOf = word => {
+    if (!word) return "";
+    return word.answer || (word.cells || []).map(([x, y]) => cellAt(x, y)?.solution || "").join("");
+  };
+  // where a word starts: top row first, then leftmost cell
+  const position = word => {
+    const wc = word?.cells || [];
+    if (!wc.length) return [Infinity, Infinity];
+    return [Math.min(...wc.map(c => c[1])), Math.min(...wc.map(c => c[0]))];
+  };
+  const byPosition = (arr, wordOf) => arr
+    .map((item, i) => ({ item, i, pos: position(wordOf(item)) }))
+    .sort((a, b) => a.pos[0] - b.pos[0] || a.pos[1] - b.pos[1] || a.i - b.i)
+    .map(e => e.item);
+  const entry = (indent, text, answer) => [`clue: ${rgClue(text, answer)}`, `${indent}answer: ${rgValue(answer)}`];
+
+  const lines = [
+    `author: ${rgValue(metadata.author)}`,
+    `title: ${rgValue((metadata.title || "").replace(VERSION_SUFFIX, ""))}`,
+    `copyright: ${rgValue(metadata.copyright)}`,
+    "rows:"
+  ];
+
+  // rows: group A, B1, B2, ... by letter
+  const rows = new Map();
+  rowList.clue.forEach(clue => {
+    const letter = String(clue.number || "").replace(/\d+$/, "");
+    if (!rows.has(letter)) rows.set(letter, []);
+    rows.get(letter).push(clue);
+  });
+  [...rows.keys()].sort().forEach(letter => {
+    byPosition(rows.get(letter), clue => wordMap[clue.word]).forEach((clue, j) => {
+      const [first, second] = entry("      ", clue.text, answerOf(wordMap[clue.word]));
+      lines.push(`  ${j === 0 ? "- - " : "  - "}${first}`, second);
+    });
+  });
+
+  ["LIGHT", "MEDIUM", "DARK"].forEach(title => {
+    const blooms = list(title);
+    if (!blooms) return;
+    const color = title.toLowerCase();
+    lines.push(`${color}:`);
+    // [clue text, word] for each bloom
+    let pairs = words.filter(w => w.bloom === color).map(w => {
+      const clue = blooms.clue.find(c => c.word === w.id);
+      return [clue ? clue.text : w.clue, w];
+    });
+    if (!pairs.length) pairs = blooms.clue.map(clue => [clue.text, wordMap[clue.word]]);
+    byPosition(pairs, ([, word]) => word).forEach(([text, word]) => {
+      const [first, second] = entry("    ", text, answerOf(word));
+      lines.push(`  - ${first}`, second);
+    });
+  });
+
+  return lines.join("\n") + "\n";
+}
@@ -4,61 +4,113 @@
  * MIT License https://opensource.org/licenses/MIT
  *******************/
 
-import { xwGrid } from "../grid.js";
+import { xwGrid, cellLookup } from "../grid.js";
+import { decodeHtmlEntities } from "../lib/escape.js";
 
-/**
- * Parses an .xd file from a Uint8Array.
- * Spec: https://github.com/century-arcade/xd/blob/master/doc/xd-format.md
- */
-export function xw_read_xd(inputData) {
-  if (!(inputData instanceof Uint8Array)) {
-    throw new Error("XD parser expects Uint8Array input");
-  }
+// Background color used for "shaded" special cells
+const XD_SHADED_COLOR = "#D3D3D3";
 
-  const text = new TextDecoder("utf-8").decode(inputData);
-  const lines = text.split(/\r?\n/);
+// Characters used for rebus squares in the grid, in order
+const XD_REBUS_KEYS = "1234567890@$%&*+!?=^";
 
-  // Split into sections
-  // Sections are separated by 2+ blank lines OR by ## headers
+// Grid character for an open square whose letter isn't known
+const XD_BLANK = "_";
+
+// Metadata headers that map to JSCrossword metadata fields
+const XD_HEADERS = {
+  title: "title",
+  author: "author",
+  editor: "editor",
+  copyright: "copyright",
+  date: "date",
+  notes: "description",
+  description: "description",
+};
+
+/** Split the file into sections: explicit "## Name" headers, or 2+ blank lines */
+function splitSections(lines) {
   const sections = [];
-  let currentSection = [];
+  let current = null;
   let blankLineCount = 0;
 
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].trimEnd();
-    const isExplicitHeader = line.startsWith("## ");
-    
-    // If we hit a header or 2+ blank lines, start a new section
-    if (isExplicitHeader || blankLineCount >= 2) {
-      if (currentSection.length > 0) {
-        // Remove trailing blank lines
-        while (currentSection.length > 0 && currentSection[currentSection.length - 1].trim() === "") {
-          currentSection.pop();
-        }
-        if (currentSection.length > 0) {
-          sections.push(currentSection);
-        }
-      }
-      currentSection = [];
-      blankLineCount = 0;
+  const finish = () => {
+    if (!current) return;
+    while (current.lines.length && current.lines[current.lines.length - 1].trim() === "") {
+      current.lines.pop();
     }
+    while (current.lines.length && current.lines[0].trim() === "") {
+      current.lines.shift();
+    }
+    if (current.lines.length || current.header) sections.push(current);
+    current = null;
+  };
 
+  lines.forEach(rawLine => {
+    const line = rawLine.trimEnd();
+    if (line.startsWith("## ")) {
+      finish();
+      current = { header: line.substring(3).trim().toLowerCase(), lines: [] };
+      blankLineCount = 0;
+      return;
+    }
     if (line.trim() === "") {
       blankLineCount++;
-    } else {
-      blankLineCount = 0;
+      if (current) current.lines.push(line);
+      return;
     }
-    currentSection.push(line);
+    // 2+ blank lines end an implicit section (but not an explicit one)
+    if (blankLineCount >= 2 && current && !current.header) finish();
+    blankLineCount = 0;
+    if (!current) current = { header: null, lines: [] };
+    current.lines.push(line);
+  });
+  finish();
+  return sections;
+}
+
+/** Does this section look like a grid rather than "Key: value" metadata? */
+function looksLikeGrid(lines) {
+  return lines.length > 1 && lines.every(line => !line.includes(":") && !/\s/.test(line.trim()));
+}
+
+/**
+ * Parse a clue line: "A1. Clue text ~ ANSWER annotation"
+ * Returns null if the line isn't a clue.
+ */
+function parseClueLine(line) {
+  const match = line.match(/^([AD])(\d+)\.\s*(.*)$/i);
+  if (!match) return null;
+  const dir = match[1].toUpperCase() === "A" ? "across" : "down";
+  const number = match[2];
+  let text = match[3];
+  let answer = "";
+  let annotation = "";
+  const tilde = text.lastIndexOf("~");
+  if (tilde !== -1) {
+    const rest = text.substring(tilde + 1).trim();
+    text = text.substring(0, tilde);
+    const answerMatch = rest.match(/^(\S*)\s*(.*)$/);
+    answer = answerMatch[1];
+    annotation = answerMatch[2].trim();
   }
-  if (currentSection.length > 0) {
-    while (currentSection.length > 0 && currentSection[currentSection.length - 1].trim() === "") {
-      currentSection.pop();
-    }
-    if (currentSection.length > 0) {
-      sections.push(currentSection);
-    }
+  return { dir, number, text: text.trim(), answer, annotation };
+}
+
+/**
+ * Parses an .xd file from a Uint8Array.
+ * Spec: https://github.com/century-arcade/xd/blob/master/doc/xd-format.md
+ *
+ * Sections are metadata, grid, clues and notes, in that order, separated by
+ * two blank lines (or introduced by "## Metadata", "## Grid", ... headers).
+ */
+export function xw_read_xd(inputData) {
+  if (!(inputData instanceof Uint8Array)) {
+    throw new Error("XD parser expects Uint8Array input");
   }
 
+  const text = new TextDecoder("utf-8").decode(inputData);
+  const sections = splitSections(text.split(/\r?\n/));
+
   const metadata = {
     title: "",
     author: "",
@@ -70,81 +122,61 @@ export function xw_read_xd(inputData) {
   };
 
   const rebus = {};
+  const extraHeaders = [];
+  let special = "circle";
+  let metadataLines = [];
   let gridLines = [];
-  let clueSections = [];
-
-  const parseMetadata = (lines) => {
-    lines.forEach(line => {
-      const colonIndex = line.indexOf(":");
-      if (colonIndex !== -1) {
-        const key = line.substring(0, colonIndex).trim().toLowerCase();
-        const value = line.substring(colonIndex + 1).trim();
-        if (key === "title") metadata.title = value;
-        else if (key === "author") metadata.author = value;
-        else if (key === "copyright") metadata.copyright = value;
-        else if (key === "notes" || key === "description") metadata.description = value;
-        else if (key === "rebus") {
-          const parts = value.split("=");
-          if (parts.length === 2) {
-            rebus[parts[0].trim()] = parts[1].trim().toUpperCase();
-          }
-        }
-      }
-    });
-  };
+  let clueLines = [];
+  let notesLines = [];
 
-  sections.forEach(section => {
-    // Remove leading blank lines
-    while (section.length > 0 && section[0].trim() === "") {
-      section.shift();
-    }
-    if (section.length === 0) return;
-
-    if (section[0].startsWith("##")) {
-      const header = section[0].substring(2).trim().toLowerCase();
-      const content = section.slice(1);
-      // Remove leading blank lines from content
-      while (content.length > 0 && content[0].trim() === "") {
-        content.shift();
-      }
+  // Assign sections by header, or by position
+  const hasHeaders = sections.some(s => s.header);
+  if (hasHeaders) {
+    sections.forEach(section => {
+      if (section.header === "metadata") metadataLines = section.lines;
+      else if (section.header === "grid") gridLines = section.lines;
+      else if (["clues", "across", "down"].includes(section.header)) clueLines = clueLines.concat(section.lines);
+      else if (section.header === "notes") notesLines = section.lines;
+    });
+  } else {
+    const rest = [...sections];
+    if (rest.length && !looksLikeGrid(rest[0].lines)) metadataLines = rest.shift().lines;
+    if (rest.length) gridLines = rest.shift().lines;
+    if (rest.length) clueLines = rest.shift().lines;
+    notesLines = rest.map(s => s.lines.join("\n")).join("\n\n").split("\n");
+  }
 
-      if (header === "metadata") {
-        parseMetadata(content);
-      } else if (header === "grid") {
-        gridLines = content;
-      } else if (header === "across" || header === "down" || header === "clues") {
-        clueSections.push(content);
-      }
+  metadataLines.forEach(line => {
+    const colonIndex = line.indexOf(":");
+    if (colonIndex === -1) return;
+    const rawKey = line.substring(0, colonIndex).trim();
+    const key = rawKey.toLowerCase();
+    const value = line.substring(colonIndex + 1).trim();
+    if (XD_HEADERS[key]) {
+      metadata[XD_HEADERS[key]] = value;
+    } else if (key === "rebus") {
+      // Rebus: 1=ONE 2=TWO
+      value.split(/\s+/).forEach(pair => {
+        const eq = pair.indexOf("=");
+        if (eq > 0) rebus[pair.substring(0, eq)] = pair.substring(eq + 1).toUpperCase();
+      });
+    } else if (key === "special") {
+      special = value.toLowerCase() === "shaded" ? "shaded" : "circle";
     } else {
-      // Heuristic parsing for implicit sections
-      // Check if it's a grid (mostly A-Z, #, .)
-      const isGrid = section.every(line => line.match(/^[A-Z#0-9.a-z ]+$/i)) && section.length > 1;
-      const isClues = section[0].match(/^[AD]\d+\./i);
-
-      if (isGrid && gridLines.length === 0) {
-        gridLines = section;
-      } else if (isClues) {
-        clueSections.push(section);
-      } else {
-        // Assume metadata for the first section if not otherwise identified
-        if (metadata.title === "" && metadata.author === "") {
-            parseMetadata(section);
-        }
-      }
+      extraHeaders.push([rawKey, value]);
     }
   });
+  if (extraHeaders.length) metadata.xd_headers = extraHeaders;
+
+  const notes = notesLines.join("\n").trim();
+  if (notes) metadata.description = notes;
 
   if (gridLines.length === 0) {
     throw new Error("Could not find grid section in XD file.");
   }
 
-  // Remove any trailing empty lines that might have sneaked into gridLines
-  while (gridLines.length > 0 && gridLines[gridLines.length - 1].trim() === "") {
-    gridLines.pop();
-  }
-
   metadata.height = gridLines.length;
-  metadata.width = gridLines[0] ? gridLines[0].length : 0;
+  metadata.width = Math.max(...gridLines.map(line => line.length));
 
   if (metadata.width === 0) {
     throw new Error("Grid width is zero. Invalid grid section.");
@@ -158,26 +190,33 @@ export function xw_read_xd(inputData) {
       let solution = char.toUpperCase();
       let type = null;
       let background_shape = null;
+      let background_color = null;
 
       if (char === "#" || char === ".") {
         type = "block";
         solution = null;
+      } else if (char === XD_BLANK) {
+        solution = null;
       } else if (char >= "a" && char <= "z") {
-        background_shape = "circle";
+        // lowercase letters are "special" cells
+        if (special === "shaded") background_color = XD_SHADED_COLOR;
+        else background_shape = "circle";
       }
 
       if (rebus[char]) {
         solution = rebus[char];
       }
 
-      cells.push({
+      const cell = {
         x,
         y,
         solution,
         type,
         "background-shape": background_shape,
         number: null // Will be filled by xwGrid
-      });
+      };
+      if (background_color) cell["background-color"] = background_color;
+      cells.push(cell);
     }
   }
 
@@ -193,17 +232,9 @@ export function xw_read_xd(inputData) {
     down: {}
   };
 
-  clueSections.forEach(section => {
-    section.forEach(line => {
-      // Format: A1. Clue text ~ ANSWER
-      const match = line.match(/^([AD])(\d+)\.\s*(.*?)~\s*(.*)$/i);
-      if (match) {
-        const dir = match[1].toUpperCase() === "A" ? "across" : "down";
-        const num = match[2];
-        const text = match[3].trim();
-        parsedClues[dir][num] = text;
-      }
-    });
+  clueLines.forEach(line => {
+    const parsed = parseClueLine(line);
+    if (parsed) parsedClues[parsed.dir][parsed.number] = parsed;
   });
 
   const acrossEntries = grid.acrossEntries();
@@ -216,35 +247,22 @@ export function xw_read_xd(inputData) {
   const words = [];
   let wordId = 1;
 
-  // Process Across
-  Object.keys(acrossEntries).forEach(num => {
-    const entry = acrossEntries[num];
-    const text = parsedClues.across[num] || "";
-    const id = (wordId++).toString();
-    clues[0].clue.push({
-      word: id,
-      number: num,
-      text: text
-    });
-    words.push({
-      id: id,
-      cells: entry.cells
-    });
-  });
-
-  // Process Down
-  Object.keys(downEntries).forEach(num => {
-    const entry = downEntries[num];
-    const text = parsedClues.down[num] || "";
-    const id = (wordId++).toString();
-    clues[1].clue.push({
-      word: id,
-      number: num,
-      text: text
-    });
-    words.push({
-      id: id,
-      cells: entry.cells
+  [[acrossEntries, "across", 0], [downEntries, "down", 1]].forEach(([entries, dir, idx]) => {
+    Object.keys(entries).forEach(num => {
+      const entry = entries[num];
+      const parsed = parsedClues[dir][num];
+      const id = (wordId++).toString();
+      const clue = {
+        word: id,
+        number: num,
+        text: parsed ? parsed.text : ""
+      };
+      if (parsed?.annotation) clue.annotation = parsed.annotation;
+      clues[idx].clue.push(clue);
+      words.push({
+        id: id,
+        cells: entry.cells
+      });
     });
   });
 
@@ -255,3 +273,102 @@ export function xw_read_xd(inputData) {
     clues
   };
 }
+
+/** Clue text as a single line of plain xd text **/
+function xdText(html) {
+  return decodeHtmlEntities(html || "").replace(/\s*\n\s*/g, " ").trim();
+}
+
+/**
+ * Write an .xd file.
+ *
+ * Circled cells are written as lowercase letters ("Special: circle"); if the
+ * puzzle has shaded cells but no circles they are written with "Special: shaded".
+ * Multi-letter solutions go in the "Rebus:" header, keyed by characters that
+ * aren't also one-letter answers; blank squares are written as "_".
+ */
+export function xw_write_xd(metadata, cells, words, clues) {
+  const { width, height } = metadata;
+  const cellAt = cellLookup(cells);
+
+  const hasCircles = cells.some(c => c["background-shape"] === "circle");
+  const special = hasCircles ? "circle" : (cells.some(c => c.type !== "block" && c["background-color"]) ? "shaded" : null);
+  const isSpecial = cell => (special === "circle"
+    ? cell["background-shape"] === "circle"
+    : special === "shaded" && !!cell["background-color"]);
+
+  // rebus squares need grid characters that aren't already in the solution
+  const letters = new Set(cells.map(c => String(c.solution || "").toUpperCase()).filter(s => [...s].length === 1));
+  const availableKeys = [...XD_REBUS_KEYS].filter(ch => !letters.has(ch));
+
+  // --- grid ---
+  const rebusKeys = {}; // solution -> key
+  const gridLines = [];
+  for (let y = 0; y < height; y++) {
+    let row = "";
+    for (let x = 0; x < width; x++) {
+      const cell = cellAt(x, y);
+      if (!cell || cell.type === "block" || cell.type === "void" || cell.is_void) {
+        row += "#";
+        continue;
+      }
+      const solution = (cell.solution || XD_BLANK).toUpperCase();
+      if ([...solution].length > 1) {
+        if (!rebusKeys[solution]) {
+          const n = Object.keys(rebusKeys).length;
+          if (n >= availableKeys.length) throw new Error("Too many distinct rebus squares for XD");
+          rebusKeys[solution] = availableKeys[n];
+        }
+        row += rebusKeys[solution];
+      } else {
+        row += isSpecial(cell) ? solution.toLowerCase() : solution;
+      }
+    }
+    gridLines.push(row);
+  }
+
+  // --- metadata ---
+  const metaLines = [];
+  const addHeader = (key, value) => {
+    const v = xdText(value);
+    if (v) metaLines.push(`${key}: ${v}`);
+  };
+  addHeader("Title", metadata.title);
+  addHeader("Author", metadata.author);
+  addHeader("Editor", metadata.editor);
+  addHeader("Copyright", metadata.copyright);
+  addHeader("Date", metadata.date);
+  if (Object.keys(rebusKeys).length) {
+    addHeader("Rebus", Object.entries(rebusKeys).map(([sol, key]) => `${key}=${sol}`).join(" "));
+  }
+  if (special) addHeader("Special", special);
+  (metadata.xd_headers || []).forEach(([key, value]) => addHeader(key, value));
+
+  // --- clues ---
+  const soln = (x, y) => cellAt(x, y)?.solution || "";
+  const wordCells = {};
+  words.forEach(w => { wordCells[w.id] = w.cells || []; });
+
+  const clueBlocks = [];
+  clues.forEach(clueList => {
+    const lines = [];
+    clueList.clue.forEach(clue => {
+      const thisCells = wordCells[clue.word] || [];
+      let dir = /down/i.test(clueList.title || "") ? "D" : "A";
+      if (!/across|down/i.test(clueList.title || "") && thisCells.length > 1) {
+        dir = thisCells[0][0] === thisCells[1][0] ? "D" : "A";
+      }
+      const answer = thisCells.map(([x, y]) => soln(x, y)).join("").toUpperCase();
+      let line = `${dir}${clue.number}. ${xdText(clue.text)} ~ ${answer}`;
+      if (clue.annotation) line += ` ${xdText(clue.annotation)}`;
+      lines.push(line);
+    });
+    if (lines.length) clueBlocks.push(lines.join("\n"));
+  });
+
+  const sections = [metaLines.join("\n"), gridLines.join("\n"), clueBlocks.join("\n\n")];
+  const notes = decodeHtmlEntities(metadata.description || "").trim();
+  if (notes) sections.push(notes);
+
+  return sections.join("\n\n\n") + "\n";
+}
@@ -1,19 +1,45 @@
 // grid.js
 //
-// Provides the xwGrid class for working with crossword cell arrays.
-// Used by CFP, iPUZ, JPZ readers to compute numbering and entries.
+// Provides the xwGrid class for working with crossword cell arrays, and
+// cellLookup for finding a cell by position.
+// Used by the readers to compute numbering and entries, and by the writers
+// and renderers to walk the grid.
+
+/**
+ * Index cells by position. Returns at(x, y): the cell there, or undefined.
+ * Lookups are constant-time; if two cells share a position the first wins.
+ */
+export function cellLookup(cells) {
+  const rows = [];
+  for (const cell of cells) {
+    const x = parseInt(cell.x);
+    const y = parseInt(cell.y);
+    const row = rows[y] || (rows[y] = []);
+    if (!row[x]) row[x] = cell;
+  }
+  return (x, y) => rows[y]?.[x];
+}
+
+// Neighbour offsets, and the bars between a cell and that neighbour
+export const DIRECTIONS = {
+  right: { dx: 1, dy: 0, bar: "right-bar", facingBar: "left-bar" },
+  left: { dx: -1, dy: 0, bar: "left-bar", facingBar: "right-bar" },
+  top: { dx: 0, dy: -1, bar: "top-bar", facingBar: "bottom-bar" },
+  bottom: { dx: 0, dy: 1, bar: "bottom-bar", facingBar: "top-bar" }
+};
 
 export class xwGrid {
   constructor(cells) {
     this.cells = cells;
-    this.height = Math.max(...cells.map(c => parseInt(c.y))) + 1;
-    this.width = Math.max(...cells.map(c => parseInt(c.x))) + 1;
+    this.height = cells.reduce((h, c) => Math.max(h, parseInt(c.y) + 1), -Infinity);
+    this.width = cells.reduce((w, c) => Math.max(w, parseInt(c.x) + 1), -Infinity);
+    this.lookup = cellLookup(cells);
     this.numbers = this.gridNumbering();
   }
 
   /** Return the cell object at (x, y). */
   cellAt(x, y) {
-    return this.cells.find(cell => cell.x === x && cell.y === y);
+    return this.lookup(x, y);
   }
 
   /** Return the solution letter at (x, y). */
@@ -21,25 +47,21 @@ export class xwGrid {
     return this.cellAt(x, y).solution;
   }
 
-  /** True if this cell is a block or void. */
+  /** True if this cell is a block or void (or missing). */
   isBlack(x, y) {
     const c = this.cellAt(x, y);
-    return c.type === "void" || c.type === "block";
+    return !c || c.type === "void" || c.type === "block";
   }
 
   /** Check if we have a black square or bar in a given direction. */
   hasBlack(x, y, dir) {
-    const md = {
-      right: { xcheck: this.width - 1, xoffset: 1, yoffset: 0, dir2: "left" },
-      left:  { xcheck: 0, xoffset: -1, yoffset: 0, dir2: "right" },
-      top:   { ycheck: 0, xoffset: 0, yoffset: -1, dir2: "bottom" },
-      bottom:{ ycheck: this.height - 1, xoffset: 0, yoffset: 1, dir2: "top" },
-    }[dir];
-
-    if (x === md?.xcheck || y === md?.ycheck) return true;
-    if (this.isBlack(x + (md?.xoffset || 0), y + (md?.yoffset || 0))) return true;
-    if (this.cellAt(x, y)[`${dir}-bar`]) return true;
-    if (this.cellAt(x + (md?.xoffset || 0), y + (md?.yoffset || 0))[`${md?.dir2}-bar`]) return true;
+    const { dx, dy, bar, facingBar } = DIRECTIONS[dir];
+    const nx = x + dx;
+    const ny = y + dy;
+    if (nx < 0 || ny < 0 || nx >= this.width || ny >= this.height) return true;
+    if (this.isBlack(nx, ny)) return true;
+    if (this.cellAt(x, y)[bar]) return true;
+    if (this.cellAt(nx, ny)[facingBar]) return true;
     return false;
   }
 
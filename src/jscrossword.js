@@ -1,19 +1,34 @@
 import { xw_read_cfp, xw_write_cfp } from "./formats/cfp.js";
 import { xw_read_ipuz, xw_write_ipuz } from "./formats/ipuz.js";
 import { xw_read_jpz, xw_write_jpz } from "./formats/jpz.js";
-import { xw_read_puz } from "./formats/puz.js";
-import { xw_read_rg } from "./formats/rg.js";
-import { xw_read_xd } from "./formats/xd.js";
-import { xw_read_apz } from "./formats/apz.js";
-import { jscrossword_to_pdf } from "./lib/xw_pdf.js";
-import { xwGrid } from "./grid.js";
+import { xw_read_puz, xw_write_puz, xw_read_puz_text, xw_write_puz_text } from "./formats/puz.js";
+import { xw_read_rg, xw_write_rg } from "./formats/rg.js";
+import { xw_read_xd, xw_write_xd } from "./formats/xd.js";
+import { xw_read_apz, xw_write_apz, acrostic_to_jscrossword, jscrossword_to_acrostic } from "./formats/apz.js";
+import { jscrossword_to_pdf, jscrossword_booklet } from "./lib/xw_pdf.js";
+import { jscrossword_to_svg } from "./lib/xw_svg.js";
+import { xwGrid, cellLookup } from "./grid.js";
+import { detectFormat, errorLocation, PuzzleReadError } from "./lib/detect_format.js";
+import { validate_jscrossword } from "./lib/validate.js";
+import { analyze_jscrossword } from "./lib/analyze.js";
+import { AcrosticBuilder } from "./lib/acrostic_builder.js";
+import {
+  setLetter, checkCell, checkWord, checkPuzzle, revealCell, revealWord, revealPuzzle,
+  isComplete, percentComplete, startTimer, pauseTimer, resetTimer, elapsedSeconds
+} from "./lib/solve.js";
+import {
+  lock, unlock, checkSolutionLocked, unlockCandidates, bruteForceUnlock, bruteForceUnlockSync, assertNotLocked
+} from "./lib/lock.js";
 
 import createDOMPurify from "dompurify";
 import { parseHTML } from "linkedom";
 
 import LZString from "lz-string";
 
-export default class JSCrossword {
+// name -> format descriptor; see JSCrossword.registerFormat
+const FORMATS = new Map();
+
+class JSCrossword {
   /*
    * metadata: title, author, copyright, description (notes),
    *           height, width, crossword_type
@@ -56,7 +71,8 @@ export default class JSCrossword {
   const DOMPurify = createDOMPurify(purifyWindow);
 
   // Strip all HTML from metadata (plain text only)
-  const cleanText = s => DOMPurify.sanitize(s || "", { ALLOWED_TAGS: [] });
+  // (empty strings are left alone: some DOMs turn them into "<!-->")
+  const cleanText = s => s ? DOMPurify.sanitize(s, { ALLOWED_TAGS: [] }) : "";
 
   md.title = cleanText(md.title);
   md.author = cleanText(md.author);
@@ -74,7 +90,7 @@ export default class JSCrossword {
   this.clues.forEach(clueList => {
     clueList.title = cleanText(clueList.title || "");
     clueList.clue.forEach(c => {
-      c.text = DOMPurify.sanitize(c.text || "", purifierOptions);
+      c.text = c.text ? DOMPurify.sanitize(c.text, purifierOptions) : "";
     });
   });
 }
@@ -89,6 +105,154 @@ export default class JSCrossword {
     }
   }
 
+  /**
+   * Check this puzzle for internal consistency.
+   *
+   * Returns a list of { level: "error" | "warning", code, message, location },
+   * e.g. { level: "error", code: "clue_missing_word", location: { clueList: "Across", clueIndex: 3, word: "12" } }.
+   * An empty list (or one without errors) means the puzzle is usable.
+   */
+  validate() {
+    return validate_jscrossword(this);
+  }
+
+  /**
+   * Grid analytics: symmetry, word counts and lengths, 1- and 2-letter words,
+   * blocks and cheater squares, unchecked squares and disconnected regions.
+   * See lib/analyze.js for the report's fields.
+   */
+  analyze() {
+    return analyze_jscrossword(this);
+  }
+
+  // ---- Solving ----
+  // The solver's entries are kept on the cells (letter, pencil, incorrect,
+  // revealed); see lib/solve.js. Checks and reveals throw if the puzzle is
+  // locked or its has_check / has_reveal flag is false. Anything that
+  // changes the grid clears the cached solution_array and entry_mapping.
+
+  /** Enter a letter (or rebus) at (x, y); "" clears it. Options: { pencil } **/
+  setLetter(x, y, value, options = {}) {
+    return this.clear_solution_cache(setLetter(this, x, y, value, options));
+  }
+
+  /** Check a square, a word or the whole grid; returns the wrong squares as [[x, y], ...] **/
+  checkCell(x, y) {
+    return checkCell(this, x, y);
+  }
+
+  checkWord(wordId) {
+    return checkWord(this, wordId);
+  }
+
+  checkPuzzle() {
+    return checkPuzzle(this);
+  }
+
+  /** Reveal a square, a word or the whole grid; returns the squares that changed **/
+  revealCell(x, y) {
+    return this.clear_solution_cache(revealCell(this, x, y));
+  }
+
+  revealWord(wordId) {
+    return this.clear_solution_cache(revealWord(this, wordId));
+  }
+
+  revealPuzzle() {
+    return this.clear_solution_cache(revealPuzzle(this));
+  }
+
+  /** True when every square is filled in correctly (checked by checksum while locked) **/
+  isComplete() {
+    if (this.metadata.locked && Number.isInteger(this.metadata.scrambled_cksum)) {
+      return checkSolutionLocked(this);
+    }
+    return isComplete(this);
+  }
+
+  /** Percentage of squares filled in (0-100) **/
+  percentComplete() {
+    return percentComplete(this);
+  }
+
+  /**
+   * The solving clock, kept in metadata.timer ({ elapsed, running }) and
+   * saved with the puzzle in PUZ, ipuz and JPZ files.
+   */
+  startTimer() {
+    return startTimer(this);
+  }
+
+  pauseTimer() {
+    return pauseTimer(this);
+  }
+
+  resetTimer() {
+    return resetTimer(this);
+  }
+
+  /** Seconds on the clock, including the current run **/
+  elapsedSeconds() {
+    return elapsedSeconds(this);
+  }
+
+  // ---- Locked solutions ----
+  // Across Lite-style scrambling with a four-digit key; see lib/lock.js.
+  // A locked puzzle is written to PUZ as locked.
+
+  /** Scramble the solution with key (1000-9999) **/
+  lock(key) {
+    lock(this, key);
+    return this.clear_solution_cache(this);
+  }
+
+  /** Unscramble the solution; returns false if key is wrong **/
+  unlock(key) {
+    return this.clear_solution_cache(unlock(this, key));
+  }
+
+  /**
+   * True if fill (a grid string, row by row; default: the solver's entries)
+   * is the locked solution
+   */
+  checkSolutionLocked(fill = null) {
+    return checkSolutionLocked(this, fill);
+  }
+
+  /**
+   * Search every key without blocking. Resolves to { candidates, complete }:
+   * the keys that pass the checksum, ranked by how English the solution looks
+   * ([{ key, solution, score, confidence }], best first), and whether every
+   * key was tried before the time ran out.
+   * Options: { maxTimeMs = 30000, onProgress({ tried, total, elapsedMs }),
+   *            batchSize, wordList, clueAnswers }
+   */
+  unlockCandidates(options = {}) {
+    return unlockCandidates(this, options);
+  }
+
+  /**
+   * Unlock with the best candidate, setting metadata.unlockKey and
+   * metadata.unlockConfidence. Resolves to the key, or null if it stays locked.
+   */
+  bruteForceUnlock(options = {}) {
+    return bruteForceUnlock(this, options).then(key => this.clear_solution_cache(key));
+  }
+
+  /** Forget the cached solution_array, entry_mapping and cell_lookup; returns result, for chaining **/
+  clear_solution_cache(result) {
+    this.solution_array = null;
+    this.entry_mapping = null;
+    this.cell_lookup = null;
+    return result;
+  }
+
+  /** The cell at (x, y), from an index of the cells built on first use **/
+  get_cell_lookup() {
+    if (!this.cell_lookup) this.cell_lookup = cellLookup(this.cells);
+    return this.cell_lookup;
+  }
+
   /** Create a solution array **/
   create_solution_array() {
     const { height: h, width: w } = this.metadata;
@@ -143,6 +307,17 @@ export default class JSCrossword {
 
   static readPUZ(data, options = {}) {
     const { metadata, cells, words, clues } = xw_read_puz(data, options);
+    const js = new JSCrossword(metadata, cells, words, clues);
+    if (options.lockedHandling === "bruteforce" && metadata.locked) {
+      const { maxBruteForceTimeMs: maxTimeMs, wordList, clueAnswers } = options;
+      bruteForceUnlockSync(js, { maxTimeMs, wordList, clueAnswers });
+    }
+    return js;
+  }
+
+  /** Across Lite text (.txt), v1 or v2 **/
+  static readAcrossLiteText(data, options = {}) {
+    const { metadata, cells, words, clues } = xw_read_puz_text(data, options);
     return new JSCrossword(metadata, cells, words, clues);
   }
 
@@ -176,22 +351,119 @@ export default class JSCrossword {
   }
 
   static readAPZ(data, options = {}) {
-    const { metadata, cells, words, clues } = xw_read_apz(data);
+    const { metadata, cells, words, clues } = xw_read_apz(data, options);
     return new JSCrossword(metadata, cells, words, clues);
   }
 
-  static READERS = [
-    JSCrossword.readPUZ,
-    JSCrossword.readJPZ,
-    JSCrossword.readIPUZ,
-    JSCrossword.readCFP,
-    JSCrossword.readRG,
-    JSCrossword.readXD,
-    JSCrossword.readAPZ
-  ];
+  /**
+   * Build an acrostic from { quote, answers, clues } (plus optional source,
+   * gridKey, seed, quoteWidth, quoteHeight, title, author, copyright, description,
+   * completion_message). Throws if the answers don't use exactly the quote's letters.
+   */
+  static fromAcrostic(acrostic) {
+    const { metadata, cells, words, clues } = acrostic_to_jscrossword(acrostic);
+    return new JSCrossword(metadata, cells, words, clues);
+  }
 
   /**
-   * Attempt to parse `data` with the available readers and return a JSCrossword.
+   * Start an acrostic from { quote, source, seed, title, author, ... }: add
+   * answers with addAnswer(answer, clue), watch remaining(), check() and
+   * suggestions(), then call toJSCrossword(). See lib/acrostic_builder.js.
+   */
+  static acrosticBuilder(options = {}) {
+    return new AcrosticBuilder(options, acrostic => JSCrossword.fromAcrostic(acrostic));
+  }
+
+  // ---- Format registry ----
+
+  /**
+   * Register a puzzle format (or replace one with the same name).
+   *
+   *   name:       short name, e.g. "puz"
+   *   extensions: file extensions, e.g. [".puz"]
+   *   mimeTypes:  MIME types, e.g. ["application/x-crossword"]
+   *   detect:     (data, sniffed) => boolean, does this data look like this format?
+   *               `sniffed` is the built-in guess (see detectFormat in
+   *               lib/detect_format.js), worked out once for all formats.
+   *   read:       (data, options) => JSCrossword (or { metadata, cells, words, clues })
+   *   write:      (xw, options) => string | Uint8Array
+   *
+   * `read` and `write` are each optional, but a format needs at least one.
+   * Formats registered later are detected first, so an in-house format
+   * can claim data that a built-in reader would also accept.
+   */
+  static registerFormat({ name, extensions = [], mimeTypes = [], detect = null, read = null, write = null } = {}) {
+    if (!name || typeof name !== "string") {
+      throw new Error("registerFormat: a format needs a name");
+    }
+    if (!read && !write) {
+      throw new Error(`registerFormat: format "${name}" needs a read or write function`);
+    }
+    const format = {
+      name: name.toLowerCase(),
+      extensions: extensions.map(e => (e.startsWith(".") ? e : `.${e}`).toLowerCase()),
+      mimeTypes: mimeTypes.map(m => m.toLowerCase()),
+      detect,
+      read,
+      write
+    };
+    FORMATS.delete(format.name);
+    FORMATS.set(format.name, format);
+    return format;
+  }
+
+  /** All registered formats, in registration order **/
+  static formats() {
+    return [...FORMATS.values()];
+  }
+
+  /** Look up a registered format by name, file extension or MIME type **/
+  static getFormat(key) {
+    if (!key) return null;
+    const k = String(key).toLowerCase();
+    if (FORMATS.has(k)) return FORMATS.get(k);
+    return JSCrossword.formats().find(f =>
+      f.extensions.includes(k) || f.extensions.includes(`.${k}`) || f.mimeTypes.includes(k)
+    ) || null;
+  }
+
+  /** Reader functions for every registered format **/
+  static get READERS() {
+    return JSCrossword.formats().filter(f => f.read).map(f => f.read);
+  }
+
+  /**
+   * Guess the format of puzzle data from its content.
+   * Returns the name of a registered format, or null.
+   */
+  static detectFormat(data) {
+    let sniffed = null;
+    try {
+      sniffed = detectFormat(data);
+    } catch (e) {
+      // leave it to the custom detectors
+    }
+    const found = JSCrossword.formats().reverse().find(f => {
+      try {
+        return f.read && f.detect && f.detect(data, sniffed);
+      } catch (e) {
+        return false;
+      }
+    });
+    return found ? found.name : null;
+  }
+
+  // Thrown by fromData() (a static so the browser bundle keeps a single default export)
+  static PuzzleReadError = PuzzleReadError;
+
+  /**
+   * Parse `data` and return a JSCrossword.
+   *
+   * The format is detected from the content (see detectFormat) and only that
+   * format's reader is used; if nothing is detected, every registered reader is tried.
+   * On failure a PuzzleReadError is thrown with the detected `format`, the
+   * `errors` from each reader that was tried, and the `location` of the failure.
+   * The format that was read is recorded in `metadata.source_format`.
    *
    * The `options` object is forwarded to each reader (readPUZ, readJPZ, readIPUZ, etc.)
    * so format-specific readers can take appropriate actions (for example, how to
@@ -199,17 +471,30 @@ export default class JSCrossword {
    *
    * Supported options:
    * @param {Object} options
+   * @param {string} [options.format]
+   *        Skip detection and read as this format (a registered name,
+   *        file extension or MIME type).
+   *
    * @param {"allow"|"mask"|"bruteforce"} [options.lockedHandling="allow"]
    *        How to treat locked PUZ files:
    *          - "allow"      : return parsed data as-is (may contain scrambled letters).
    *          - "mask"       : replace all solution letters with `maskChar` and set metadata.locked = true.
-   *          - "bruteforce" : attempt to recover real solutions (descrambler or solver). May time out/fail.
+   *          - "bruteforce" : try every key while reading (synchronously) and set
+   *                           metadata.unlockKey and metadata.unlockConfidence. If it times
+   *                           out or fails the puzzle stays locked (metadata.locked);
+   *                           xw.bruteForceUnlock() does the same search asynchronously.
    *
    * @param {string} [options.maskChar="X"]
    *        Character used when lockedHandling === "mask".
    *
    * @param {number} [options.maxBruteForceTimeMs=30000]
-   *        Time budget (ms) for any brute-force/solver-based unlock attempts.
+   *        Time budget (ms) for lockedHandling: "bruteforce".
+   *
+   * @param {string[]} [options.wordList]
+   *        Words that lockedHandling: "bruteforce" should favour when ranking keys.
+   *
+   * @param {Object|Function} [options.clueAnswers]
+   *        Known answers to clues, for lockedHandling: "bruteforce" (see unlockCandidates).
    *
    * Notes:
    *  - All keys in `options` are forwarded unchanged to the reader functions
@@ -220,32 +505,91 @@ export default class JSCrossword {
    *    action (if any) was taken.
    *
    * Example:
-   *   const js = JSCrossword.fromData(buffer, {
+   *   const js = JSCrossword.read(buffer, {
    *     lockedHandling: "mask",
    *     maskChar: "?",
    *   });
    */
-  static fromData(data, options = {}) {
+  static read(data, options = {}) {
+    let candidates;
+    const format = options.format ? JSCrossword.getFormat(options.format) : null;
+    if (options.format && !format?.read) {
+      throw new PuzzleReadError(`Unknown puzzle format "${options.format}".`, { format: options.format });
+    }
+    const name = format ? format.name : JSCrossword.detectFormat(data);
+    if (name) {
+      candidates = [FORMATS.get(name)];
+    } else {
+      candidates = JSCrossword.formats().filter(f => f.read);
+    }
+
     const errors = [];
-    for (const reader of JSCrossword.READERS) {
+    for (const f of candidates) {
       try {
-        const js = reader(data, options);
+        let js = f.read(data, options);
+        if (!(js instanceof JSCrossword)) {
+          js = new JSCrossword(js.metadata, js.cells, js.words, js.clues);
+        }
         js.set_check_reveal();
+        js.metadata.source_format = f.name;
         return js;
       } catch (err) {
-        //console.log(err);
+        errors.push({ format: f.name, message: err.message, location: errorLocation(err, data) });
       }
     }
-    throw new Error("Unknown puzzle format.");
+
+    if (!name) throw new PuzzleReadError("Unknown puzzle format.", { errors });
+    const { message, location } = errors[0];
+    const where = location
+      ? ` (${location.line ? `line ${location.line}, column ${location.column}` : `byte ${location.offset}`})`
+      : "";
+    throw new PuzzleReadError(`Could not read ${name.toUpperCase()} puzzle: ${message}${where}`, { format: name, errors });
+  }
+
+  /** Same as JSCrossword.read() **/
+  static fromData(data, options = {}) {
+    return JSCrossword.read(data, options);
+  }
+
+  /**
+   * Write this puzzle in a registered format (name, extension or MIME type).
+   * Returns whatever the format's writer returns: a string or a Uint8Array.
+   * Built-in writers that have to drop something (PUZ, CFP, Across Lite text)
+   * pass a { code, message } warning for it to `options.onWarning`.
+   */
+  write(format, options = {}) {
+    const f = JSCrossword.getFormat(format);
+    if (!f || !f.write) {
+      throw new Error(`No writer registered for format "${format}"`);
+    }
+    return f.write(this, options);
   }
 
   async toPDF(options = {}) {
     return await jscrossword_to_pdf(this, options); // returns jsPDF instance
   }
 
+  /**
+   * Render the grid as an SVG string, or a whole page with title and clues
+   * ({ full_page: true }). Works without a DOM.
+   */
+  toSVG(options = {}) {
+    return jscrossword_to_svg(this, options);
+  }
+
+  /**
+   * Render many puzzles (JSCrossword objects or puzzle data) into one PDF
+   * with a cover page, contents, page numbers and solutions. Returns a jsPDF instance;
+   * rejects if any puzzle can't be rendered.
+   */
+  static async booklet(puzzles, options = {}) {
+    const xws = puzzles.map(p => (p instanceof JSCrossword ? p : JSCrossword.read(p)));
+    return await jscrossword_booklet(xws, options);
+  }
+
   /**
    * Control what gets serialized when JSON.stringify(this) is called.
-   * Only include the basics; derived fields (solution_array, entry_mapping)
+   * Only include the basics; derived fields (solution_array, entry_mapping, cell_lookup)
    * are excluded since they can be regenerated.
    */
   toJSON() {
@@ -279,17 +623,96 @@ export default class JSCrossword {
 
   /**
    * Write data for downloads
+   *
+   * Only PUZ keeps a locked solution locked: the other writers throw for a
+   * locked puzzle unless `{ allowLocked: true }` is passed.
    **/
-  toJPZString() {
-    return xw_write_jpz(this.metadata, this.cells, this.words, this.clues);
+
+  /**
+   * Serialize to JPZ (Crossword Compiler XML).
+   * Pass `{ zip: true }` to get a zipped JPZ as a Uint8Array instead of a string.
+   */
+  toJPZString(options = {}) {
+    assertNotLocked(this, "JPZ", options);
+    return xw_write_jpz(this.metadata, this.cells, this.words, this.clues, options);
   }
 
-  toIpuzString() {
+  toIpuzString(options = {}) {
+    assertNotLocked(this, "ipuz", options);
     return xw_write_ipuz(this.metadata, this.cells, this.words, this.clues);
   }
 
-  toCFPString() {
-    return xw_write_cfp(this.metadata, this.cells, this.words, this.clues);
+  /**
+   * Serialize to CrossFire XML.
+   * Throws if the puzzle uses features CFP can't hold (bars, voids, colors, ...)
+   * unless `{ allowLossy: true }` is passed; the features dropped then go to
+   * `options.onWarning({ code, message })`.
+   */
+  toCFPString(options = {}) {
+    assertNotLocked(this, "CFP", options);
+    const { data, warnings } = xw_write_cfp(this.metadata, this.cells, this.words, this.clues, options);
+    if (options.onWarning) warnings.forEach(options.onWarning);
+    return data;
+  }
+
+  /**
+   * Serialize to binary Across Lite PUZ.
+   *
+   * Options:
+   *   version: "1.3" (Latin-1, default) or "2.0" (UTF-8)
+   *
+   * Returns a Uint8Array. Anything PUZ can't represent (bars, voids, colors,
+   * non-standard clue groups, ...) is dropped and passed to
+   * `options.onWarning({ code, message, cells? })`.
+   */
+  toPUZ(options = {}) {
+    const { data, warnings } = xw_write_puz(this.metadata, this.cells, this.words, this.clues, options);
+    if (options.onWarning) warnings.forEach(options.onWarning);
+    return data;
+  }
+
+  /**
+   * Serialize to Across Lite text.
+   * `{ version: "v1" | "v2" }`; v2 is used by default only when
+   * the puzzle has rebus or circled squares.
+   * Anything the format can't hold is dropped and passed to
+   * `options.onWarning({ code, message, cells? })`.
+   */
+  toAcrossLiteText(options = {}) {
+    assertNotLocked(this, "Across Lite text", options);
+    const { data, warnings } = xw_write_puz_text(this.metadata, this.cells, this.words, this.clues, options);
+    if (options.onWarning) warnings.forEach(options.onWarning);
+    return data;
+  }
+
+  /**
+   * Serialize to .xd text.
+   * Circled (or shaded) squares become lowercase letters, multi-letter
+   * squares go in the Rebus header, and clue annotations follow the answer.
+   */
+  toXDString(options = {}) {
+    assertNotLocked(this, "XD", options);
+    return xw_write_xd(this.metadata, this.cells, this.words, this.clues);
+  }
+
+  /**
+   * The acrostic behind this puzzle: { quote, source, sourceLetters, answers,
+   * clues, gridKey, quoteWidth, quoteHeight }, or null if it isn't an acrostic.
+   */
+  acrostic() {
+    return jscrossword_to_acrostic(this.metadata, this.cells, this.words, this.clues);
+  }
+
+  /** Write an APZ (acrostic) file; throws if this isn't an acrostic **/
+  toAPZString(options = {}) {
+    assertNotLocked(this, "APZ", options);
+    return xw_write_apz(this.metadata, this.cells, this.words, this.clues);
+  }
+
+  /** Write a Rows Garden (.rg) file; throws if this isn't a Rows Garden puzzle **/
+  toRGString(options = {}) {
+    assertNotLocked(this, "Rows Garden", options);
+    return xw_write_rg(this.metadata, this.cells, this.words, this.clues);
   }
 
   /* xwGrid */
@@ -302,3 +725,80 @@ export default class JSCrossword {
   }
 
 }
+
+// ---- Built-in formats ----
+
+const sniff = name => (data, sniffed = detectFormat(data)) => sniffed === name;
+
+JSCrossword.registerFormat({
+  name: "puz",
+  extensions: [".puz"],
+  mimeTypes: ["application/x-crossword"],
+  detect: sniff("puz"),
+  read: JSCrossword.readPUZ,
+  write: (xw, options) => xw.toPUZ(options)
+});
+JSCrossword.registerFormat({
+  name: "jpz",
+  extensions: [".jpz", ".xml"],
+  mimeTypes: ["application/x-jpz"],
+  detect: sniff("jpz"),
+  read: JSCrossword.readJPZ,
+  write: (xw, options) => xw.toJPZString(options)
+});
+JSCrossword.registerFormat({
+  name: "ipuz",
+  extensions: [".ipuz", ".vpuz", ".json"],
+  mimeTypes: ["application/x-ipuz", "application/json"],
+  detect: sniff("ipuz"),
+  read: JSCrossword.readIPUZ,
+  write: (xw, options) => xw.toIpuzString(options)
+});
+JSCrossword.registerFormat({
+  name: "cfp",
+  extensions: [".cfp"],
+  mimeTypes: ["application/x-crossfire"],
+  detect: sniff("cfp"),
+  read: JSCrossword.readCFP,
+  write: (xw, options) => xw.toCFPString(options)
+});
+JSCrossword.registerFormat({
+  name: "txt",
+  extensions: [".txt"],
+  mimeTypes: ["text/plain"],
+  detect: sniff("txt"),
+  read: JSCrossword.readAcrossLiteText,
+  write: (xw, options) => xw.toAcrossLiteText(options)
+});
+JSCrossword.registerFormat({
+  name: "rg",
+  extensions: [".rg", ".rgz"],
+  mimeTypes: ["application/x-rows-garden"],
+  detect: sniff("rg"),
+  read: JSCrossword.readRG,
+  write: (xw, options) => xw.toRGString(options)
+});
+JSCrossword.registerFormat({
+  name: "xd",
+  extensions: [".xd"],
+  mimeTypes: ["text/x-xd"],
+  detect: sniff("xd"),
+  read: JSCrossword.readXD,
+  write: (xw, options) => xw.toXDString(options)
+});
+JSCrossword.registerFormat({
+  name: "apz",
+  extensions: [".apz"],
+  mimeTypes: ["application/x-apz"],
+  detect: sniff("apz"),
+  read: JSCrossword.readAPZ,
+  write: (xw, options) => xw.toAPZString(options)
+});
+JSCrossword.registerFormat({
+  name: "svg",
+  extensions: [".svg"],
+  mimeTypes: ["image/svg+xml"],
+  write: (xw, options) => xw.toSVG(options)
+});
+
+export default JSCrossword;
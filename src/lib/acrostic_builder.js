@@ -0,0 +1,164 @@
+/**
+ * acrostic_builder.js
+ *
+ * Helps construct an acrostic: keeps count of the quote letters the answers
+ * haven't used yet, checks that the answers' first letters spell the source,
+ * and builds the puzzle (with a grid key from generateGridKey) when it's done.
+ */
+import { generateGridKey } from "../formats/apz.js";
+
+// letters and digits only, as they go in the grid
+const gridLetters = s => String(s || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+
+/** letter -> count **/
+function letterCounts(s) {
+  const counts = {};
+  for (const ch of gridLetters(s)) counts[ch] = (counts[ch] || 0) + 1;
+  return counts;
+}
+
+export class AcrosticBuilder {
+  /**
+   * options: { quote, source, seed, title, author, copyright, description, completion_message }
+   * build is called with the finished acrostic and returns the puzzle
+   * (JSCrossword.acrosticBuilder passes JSCrossword.fromAcrostic).
+   */
+  constructor(options = {}, build = null) {
+    const { quote = "", source = "", seed = 1, ...metadata } = options;
+    if (!gridLetters(quote)) throw new Error("An acrostic needs a quote");
+    this.quote = quote;
+    this.source = source;
+    this.seed = seed;
+    this.metadata = metadata;
+    this.entries = [];  // [{ answer, clue }]
+    this.build = build;
+  }
+
+  /** First letters the answers must have, in order **/
+  get sourceLetters() {
+    return gridLetters(this.source);
+  }
+
+  get answers() {
+    return this.entries.map(e => e.answer);
+  }
+
+  addAnswer(answer, clue = "") {
+    this.entries.push({ answer: gridLetters(answer), clue });
+    return this;
+  }
+
+  setAnswer(index, answer, clue = this.entries[index]?.clue ?? "") {
+    if (index < 0 || index >= this.entries.length) throw new Error(`No answer ${index}`);
+    this.entries[index] = { answer: gridLetters(answer), clue };
+    return this;
+  }
+
+  removeAnswer(index) {
+    this.entries.splice(index, 1);
+    return this;
+  }
+
+  /**
+   * Quote letters the answers haven't used yet: letter -> count.
+   * A negative count means the answers use that letter too often.
+   */
+  remaining() {
+    const counts = letterCounts(this.quote);
+    this.answers.forEach(answer => {
+      for (const ch of answer) counts[ch] = (counts[ch] || 0) - 1;
+    });
+    Object.keys(counts).forEach(ch => { if (counts[ch] === 0) delete counts[ch]; });
+    return counts;
+  }
+
+  /** The letter the next answer should start with, or null when the source is spelled out **/
+  nextInitial() {
+    return this.sourceLetters[this.entries.length] || null;
+  }
+
+  /**
+   * Problems that keep the acrostic from being finished, like validate():
+   * [{ level, code, message, location }] with location { answer: index } where it applies.
+   */
+  check() {
+    const issues = [];
+    const add = (level, code, message, location = null) => {
+      const issue = { level, code, message };
+      if (location) issue.location = location;
+      issues.push(issue);
+    };
+    const letters = this.sourceLetters;
+
+    this.entries.forEach(({ answer, clue }, i) => {
+      if (!answer) {
+        add("error", "empty_answer", `Answer ${i + 1} is empty`, { answer: i });
+      } else if (letters[i] && answer[0] !== letters[i]) {
+        add("error", "initial_mismatch", `${answer} should start with ${letters[i]}`, { answer: i });
+      }
+      if (!String(clue || "").trim()) add("warning", "missing_clue", `${answer || `Answer ${i + 1}`} has no clue`, { answer: i });
+    });
+    if (!letters) {
+      add("warning", "no_source", "No source to check the answers' first letters against");
+    } else if (this.entries.length < letters.length) {
+      add("error", "answers_missing", `${letters.length - this.entries.length} more answer(s) needed, starting with ${letters.slice(this.entries.length)}`);
+    } else if (this.entries.length > letters.length) {
+      add("error", "too_many_answers", `${this.entries.length} answers but the source has ${letters.length} letters`);
+    }
+
+    const remaining = this.remaining();
+    Object.entries(remaining).sort().forEach(([ch, n]) => {
+      if (n < 0) add("error", "letter_overused", `The answers use ${-n} more ${ch} than the quote has`);
+    });
+    const left = Object.entries(remaining).filter(([, n]) => n > 0).reduce((sum, [, n]) => sum + n, 0);
+    if (left && this.entries.length >= letters.length) {
+      add("error", "letters_left", `${left} quote letter(s) are still unused`);
+    }
+    return issues;
+  }
+
+  /**
+   * Letter balance fixes: for each overused letter, the answers that use it
+   * (other than as their first letter) and the unused letters it could become.
+   * [{ letter, count, answers: [index, ...], replaceWith: ["S", "T", ...] }]
+   */
+  suggestions() {
+    const remaining = this.remaining();
+    const unused = Object.keys(remaining).filter(ch => remaining[ch] > 0).sort();
+    return Object.keys(remaining).filter(ch => remaining[ch] < 0).sort().map(ch => ({
+      letter: ch,
+      count: -remaining[ch],
+      answers: this.entries
+        .map((e, i) => (e.answer.slice(1).includes(ch) ? i : -1))
+        .filter(i => i >= 0),
+      replaceWith: unused
+    }));
+  }
+
+  isComplete() {
+    return !this.check().some(issue => issue.level === "error");
+  }
+
+  /** The finished acrostic, as JSCrossword.fromAcrostic() takes it; throws if it isn't finished **/
+  toAcrostic() {
+    const errors = this.check().filter(issue => issue.level === "error");
+    if (errors.length) {
+      throw new Error(`Acrostic isn't finished: ${errors.map(e => e.message).join("; ")}`);
+    }
+    const answers = this.answers;
+    return {
+      ...this.metadata,
+      quote: this.quote,
+      source: this.source,
+      answers,
+      clues: this.entries.map(e => e.clue),
+      gridKey: generateGridKey(this.quote, answers, { seed: this.seed })
+    };
+  }
+
+  /** The finished puzzle; throws if it isn't finished **/
+  toJSCrossword() {
+    if (!this.build) throw new Error("AcrosticBuilder needs a build function to make a puzzle");
+    return this.build(this.toAcrostic());
+  }
+}
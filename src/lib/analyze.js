@@ -0,0 +1,180 @@
+/**
+ * analyze.js
+ *
+ * Grid analytics for editors: symmetry, word lengths, short words, blocks
+ * and cheater squares, unchecked squares and disconnected regions.
+ */
+import { xwGrid, DIRECTIONS } from "../grid.js";
+import { isFillable } from "./solve.js";
+
+// Symmetries: where each square goes, and where its bars go.
+// The last three only apply to square grids.
+const SYMMETRIES = {
+  rotational: { at: (x, y, w, h) => [w - 1 - x, h - 1 - y], bars: { top: "bottom", bottom: "top", left: "right", right: "left" } },
+  leftRight: { at: (x, y, w) => [w - 1 - x, y], bars: { top: "top", bottom: "bottom", left: "right", right: "left" } },
+  topBottom: { at: (x, y, w, h) => [x, h - 1 - y], bars: { top: "bottom", bottom: "top", left: "left", right: "right" } },
+  quarterTurn: { square: true, at: (x, y, w, h) => [h - 1 - y, x], bars: { top: "right", right: "bottom", bottom: "left", left: "top" } },
+  diagonal: { square: true, at: (x, y) => [y, x], bars: { top: "left", left: "top", bottom: "right", right: "bottom" } },
+  antiDiagonal: { square: true, at: (x, y, w, h) => [h - 1 - y, w - 1 - x], bars: { top: "right", right: "top", bottom: "left", left: "bottom" } }
+};
+
+/**
+ * Analyze the grid of a JSCrossword. Returns
+ *   {
+ *     width, height,
+ *     squares,                  // squares to fill in
+ *     blocks, blockPercent,     // blocks, and blocks as a % of the grid
+ *     voids,
+ *     symmetry: { rotational, leftRight, topBottom, quarterTurn, diagonal, antiDiagonal },
+ *     words: { count, averageLength, lengths: { length: count }, short: [{ id, length, cells }] },
+ *     cheaters: [[x, y], ...],  // blocks that don't change the word count
+ *     unchecked: [[x, y], ...], // squares in fewer than two words
+ *     regions: { count, sizes } // groups of connected squares
+ *   }
+ * Words are the puzzle's own words, or the grid's across and down entries
+ * (from xwGrid) if it has none. Bars count as walls throughout.
+ */
+export function analyze_jscrossword(xw) {
+  const { metadata = {}, cells = [] } = xw;
+  const width = metadata.width || 0;
+  const height = metadata.height || 0;
+  const grid = new xwGrid(cells);
+  const cellAt = (x, y) => grid.cellAt(x, y);
+
+  const inGrid = (x, y) => x >= 0 && y >= 0 && x < width && y < height;
+  const isWhite = (x, y) => inGrid(x, y) && isFillable(cellAt(x, y));
+  /** A bar between (x, y) and its neighbour in dir (on either square) **/
+  const hasBar = (x, y, dir) => {
+    const { dx, dy, bar, facingBar } = DIRECTIONS[dir];
+    return !!(cellAt(x, y)?.[bar] || cellAt(x + dx, y + dy)?.[facingBar]);
+  };
+  /** Anything between the square (x, y) and its neighbour: what xwGrid counts, or no square to fill in **/
+  const isWall = (x, y, dir) => {
+    const { dx, dy } = DIRECTIONS[dir];
+    return grid.hasBlack(x, y, dir) || !isWhite(x + dx, y + dy);
+  };
+
+  // --- squares ---
+  let squares = 0, blocks = 0, voids = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const cell = cellAt(x, y);
+      if (isWhite(x, y)) squares++;
+      else if (!cell || cell.is_void || cell.type === "void") voids++;
+      else if (cell.type === "block") blocks++;
+    }
+  }
+
+  // --- symmetry: blocks, voids and bars all have to match ---
+  const shape = (x, y) => {
+    const cell = cellAt(x, y);
+    if (isWhite(x, y)) return "white";
+    return !cell || cell.is_void || cell.type === "void" ? "void" : "block";
+  };
+  const symmetry = {};
+  Object.entries(SYMMETRIES).forEach(([name, { square, at, bars }]) => {
+    if (!squares || (square && width !== height)) {
+      symmetry[name] = false;
+      return;
+    }
+    let symmetric = true;
+    for (let y = 0; y < height && symmetric; y++) {
+      for (let x = 0; x < width && symmetric; x++) {
+        const [x2, y2] = at(x, y, width, height);
+        if (shape(x, y) !== shape(x2, y2)) symmetric = false;
+        else if (Object.keys(bars).some(dir => hasBar(x, y, dir) !== hasBar(x2, y2, bars[dir]))) symmetric = false;
+      }
+    }
+    symmetry[name] = symmetric;
+  });
+
+  // --- words ---
+  let words = (xw.words || []).filter(w => (w.cells || []).length);
+  if (!words.length) {
+    words = [...Object.values(grid.acrossEntries()), ...Object.values(grid.downEntries())]
+      .map((entry, i) => ({ id: String(i + 1), cells: entry.cells }));
+  }
+  const lengths = {};
+  words.forEach(w => { lengths[w.cells.length] = (lengths[w.cells.length] || 0) + 1; });
+  const totalLength = words.reduce((n, w) => n + w.cells.length, 0);
+  const short = words.filter(w => w.cells.length <= 2)
+    .map(w => ({ id: String(w.id), length: w.cells.length, cells: w.cells }));
+
+  // --- unchecked squares: in fewer than two words ---
+  const wordCount = new Map();
+  words.forEach(w => w.cells.forEach(([x, y]) => {
+    wordCount.set(y * width + x, (wordCount.get(y * width + x) || 0) + 1);
+  }));
+  const unchecked = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (isWhite(x, y) && (wordCount.get(y * width + x) || 0) < 2) unchecked.push([x, y]);
+    }
+  }
+
+  // --- cheaters: blocks whose removal wouldn't change the number of words ---
+  const runLength = (x, y, dir) => {
+    const { dx, dy } = DIRECTIONS[dir];
+    let n = 0;
+    for (let [cx, cy] = [x + dx, y + dy]; isWhite(cx, cy); cx += dx, cy += dy) {
+      n++;
+      if (isWall(cx, cy, dir)) break;
+    }
+    return n;
+  };
+  // change in the number of words one way if the block at (x, y) were a square
+  const isWord = n => (n >= 2 ? 1 : 0);
+  const wordChange = (before, after) => isWord(before + after + 1) - isWord(before) - isWord(after);
+  const cheaters = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (cellAt(x, y)?.type !== "block" || cellAt(x, y).is_void) continue;
+      const across = wordChange(runLength(x, y, "left"), runLength(x, y, "right"));
+      const down = wordChange(runLength(x, y, "top"), runLength(x, y, "bottom"));
+      if (across + down === 0) cheaters.push([x, y]);
+    }
+  }
+
+  // --- regions: squares connected without crossing a block or bar ---
+  const seen = new Set();
+  const sizes = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!isWhite(x, y) || seen.has(y * width + x)) continue;
+      let size = 0;
+      const stack = [[x, y]];
+      seen.add(y * width + x);
+      while (stack.length) {
+        const [cx, cy] = stack.pop();
+        size++;
+        Object.entries(DIRECTIONS).forEach(([dir, { dx, dy }]) => {
+          const nx = cx + dx, ny = cy + dy;
+          if (!isWall(cx, cy, dir) && !seen.has(ny * width + nx)) {
+            seen.add(ny * width + nx);
+            stack.push([nx, ny]);
+          }
+        });
+      }
+      sizes.push(size);
+    }
+  }
+
+  return {
+    width,
+    height,
+    squares,
+    blocks,
+    blockPercent: width * height ? Math.round(1000 * blocks / (width * height)) / 10 : 0,
+    voids,
+    symmetry,
+    words: {
+      count: words.length,
+      averageLength: words.length ? Math.round(100 * totalLength / words.length) / 100 : 0,
+      lengths,
+      short
+    },
+    cheaters,
+    unchecked,
+    regions: { count: sizes.length, sizes: sizes.sort((a, b) => b - a) }
+  };
+}
@@ -0,0 +1,112 @@
+/**
+ * detect_format.js
+ *
+ * Identify a puzzle's file format from its bytes, so that fromData() can
+ * hand it to the one reader that understands it.
+ */
+import { unzipSync } from "fflate";
+
+/**
+ * Error thrown when puzzle data can't be read.
+ *
+ *   format:   the detected format (null if nothing matched)
+ *   errors:   [{ format, message, location }] for each reader that was tried
+ *   location: where the detected format's reader failed, if known
+ *             ({ offset } and/or { line, column })
+ */
+export class PuzzleReadError extends Error {
+  constructor(message, { format = null, errors = [] } = {}) {
+    super(message);
+    this.name = "PuzzleReadError";
+    this.format = format;
+    this.errors = errors;
+    this.location = format && errors.length ? errors[0].location : null;
+  }
+}
+
+/** Look for an ASCII string anywhere in a byte array **/
+function hasBytes(bytes, needle) {
+  outer: for (let i = 0; i + needle.length <= bytes.length; i++) {
+    for (let j = 0; j < needle.length; j++) {
+      if (bytes[i + j] !== needle.charCodeAt(j)) continue outer;
+    }
+    return true;
+  }
+  return false;
+}
+
+/** Guess the format of (unzipped) text content **/
+function detectTextFormat(text) {
+  const head = text.replace(/^\uFEFF/, "").trimStart();
+
+  if (head.startsWith("{")) {
+    // ipuz (and vpuz, which the ipuz reader handles)
+    if (/"(version|dimensions|puzzle|solution-string)"\s*:/.test(head)) return "ipuz";
+    return null;
+  }
+  if (head.startsWith("<")) {
+    if (/<crossword-compiler|<rectangular-puzzle/.test(head)) return "jpz";
+    if (/<CROSSFIRE[\s>]/.test(head)) return "cfp";
+    if (/^<ACROSS PUZZLE( V2)?>/i.test(head)) return "txt";
+    if (/<puzzle[\s>]/.test(head)) return "apz";
+    return null;
+  }
+  // Rows Garden is YAML with a top-level "rows:" list
+  if (/^rows\s*:/m.test(head)) return "rg";
+  // xd: "## Metadata"-style sections, or "Key: value" headers and "A1. clue ~ ANSWER" lines
+  if (/^##\s*(Metadata|Grid|Clues)\s*$/im.test(head)) return "xd";
+  if (/^[A-Za-z][\w -]*:/.test(head) && /^[AD]\d+\.\s.*~/m.test(head)) return "xd";
+  return null;
+}
+
+/**
+ * Detect the format of puzzle data.
+ *
+ * Accepts a Uint8Array, ArrayBuffer, string or (ipuz) object and returns
+ * one of "puz", "jpz", "ipuz", "cfp", "txt", "xd", "rg", "apz", or null.
+ */
+export function detectFormat(data) {
+  if (typeof data === "string") return detectTextFormat(data);
+  if (data instanceof ArrayBuffer) data = new Uint8Array(data);
+  if (!(data instanceof Uint8Array)) {
+    return data && typeof data === "object" && (data.version || data.dimensions) ? "ipuz" : null;
+  }
+
+  // zipped JPZ or RG: look at the first file inside
+  if (data[0] === 0x50 && data[1] === 0x4b) {
+    try {
+      const files = unzipSync(data);
+      const first = Object.keys(files)[0];
+      return first ? detectTextFormat(new TextDecoder("utf-8").decode(files[first])) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  if (hasBytes(data, "ACROSS&DOWN")) return "puz";
+
+  return detectTextFormat(new TextDecoder("utf-8").decode(data));
+}
+
+/**
+ * Where a reader failed, if the error says.
+ * Readers may set `err.location`; JSON errors give a character position.
+ */
+export function errorLocation(err, data) {
+  if (err && err.location) return err.location;
+  const message = String(err && err.message || "");
+
+  let m = message.match(/line\s*(\d+)\s*column\s*(\d+)/i);
+  if (m) return { line: Number(m[1]), column: Number(m[2]) };
+
+  m = message.match(/at position (\d+)/);
+  if (m) {
+    const offset = Number(m[1]);
+    let text = typeof data === "string" ? data : "";
+    if (data instanceof ArrayBuffer) data = new Uint8Array(data);
+    if (data instanceof Uint8Array) text = new TextDecoder("utf-8").decode(data);
+    const before = text.slice(0, offset).split("\n");
+    return { offset, line: before.length, column: before[before.length - 1].length + 1 };
+  }
+  return null;
+}
@@ -1,6 +1,6 @@
 // lib/escape.js
 // -----------------------------------------------------------------------------
-// Minimal HTML decoding helper for JSCrossword
+// Minimal HTML decoding/encoding helpers for JSCrossword
 // -----------------------------------------------------------------------------
 
 import { parseHTML } from "linkedom";
@@ -30,3 +30,57 @@ export function unescapeHtmlClue(safe = "") {
   el.innerHTML = safe;
   return el.textContent;
 }
+
+/**
+ * Escape a plain string for use in XML text or attribute values
+ * (used when writing formats like JPZ or CFP).
+ */
+export function escapeXml(s = "") {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+const NAMED_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: "\u00a0",
+};
+
+/**
+ * Decode the entities DOMPurify emits when serializing sanitized strings.
+ * Unlike unescapeHtmlClue() this needs no DOM, so it behaves the same in
+ * the browser and in Node. Unknown named entities are left alone.
+ */
+export function decodeHtmlEntities(s = "") {
+  return String(s ?? "").replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, ent) => {
+    if (ent[0] === "#") {
+      const cp = ent[1].toLowerCase() === "x" ? parseInt(ent.slice(2), 16) : parseInt(ent.slice(1), 10);
+      return cp <= 0x10ffff ? String.fromCodePoint(cp) : m;
+    }
+    return NAMED_ENTITIES[ent.toLowerCase()] ?? m;
+  });
+}
+
+// The formatting tags that survive sanitize() in clue text
+const CLUE_TAG_RX = /(<\/?(?:i|b|sup|sub|span)(?:\s[^>]*)?\/?>)/gi;
+
+/**
+ * Convert sanitized clue HTML into well-formed XML content.
+ *
+ * Formatting tags (<i>, <b>, <sup>, <sub>, <span>) are kept as markup;
+ * the text between them is decoded and re-escaped for XML.
+ */
+export function htmlClueToXml(html = "") {
+  if (!html) return "";
+  return html
+    .split(CLUE_TAG_RX)
+    .map((part, i) => (i % 2 ? part : escapeXml(decodeHtmlEntities(part))))
+    .join("");
+}
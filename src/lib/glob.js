@@ -0,0 +1,79 @@
+/**
+ * glob.js
+ *
+ * Minimal file globbing for the CLI (Node only): `*`, `?`, `[abc]` and `**`.
+ */
+import fs from "fs";
+import path from "path";
+
+const GLOB_CHARS = /[*?[]/;
+
+export function hasGlob(pattern) {
+  return GLOB_CHARS.test(pattern);
+}
+
+/** Regex for a single path segment **/
+function segmentRegex(segment) {
+  let rx = "";
+  for (let i = 0; i < segment.length; i++) {
+    const c = segment[i];
+    if (c === "*") rx += "[^/]*";
+    else if (c === "?") rx += "[^/]";
+    else if (c === "[") {
+      const end = segment.indexOf("]", i + 1);
+      if (end === -1) {
+        rx += "\\[";
+      } else {
+        rx += `[${segment.slice(i + 1, end).replace(/^!/, "^").replace(/\\/g, "\\\\")}]`;
+        i = end;
+      }
+    } else rx += c.replace(/[.+^${}()|\\]/g, "\\$&");
+  }
+  return new RegExp(`^${rx}$`);
+}
+
+function listDir(dir) {
+  try {
+    return fs.readdirSync(dir, { withFileTypes: true });
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Expand a glob pattern into a sorted list of matching files.
+ * Hidden files only match when the pattern segment starts with ".".
+ */
+export function glob(pattern) {
+  const normalized = pattern.split(path.sep).join("/");
+  const absolute = normalized.startsWith("/");
+  const segments = normalized.split("/").filter(s => s && s !== ".");
+  const results = new Set();
+
+  const walk = (dir, i) => {
+    if (i === segments.length) {
+      if (fs.existsSync(dir) && fs.statSync(dir).isFile()) results.add(dir);
+      return;
+    }
+    const segment = segments[i];
+    const join = name => (dir === "." && !absolute ? name : path.join(dir, name));
+    if (segment === "**") {
+      walk(dir, i + 1);
+      listDir(dir)
+        .filter(e => e.isDirectory() && !e.name.startsWith("."))
+        .forEach(e => walk(join(e.name), i));
+      return;
+    }
+    if (!hasGlob(segment)) {
+      walk(join(segment), i + 1);
+      return;
+    }
+    const rx = segmentRegex(segment);
+    listDir(dir)
+      .filter(e => rx.test(e.name) && (segment.startsWith(".") || !e.name.startsWith(".")))
+      .forEach(e => walk(join(e.name), i + 1));
+  };
+
+  walk(absolute ? "/" : ".", 0);
+  return [...results].sort();
+}
@@ -0,0 +1,116 @@
+/**
+ * letter_model.js
+ *
+ * A letter bigram model of English words, for telling a real crossword
+ * solution from gibberish (e.g. when unscrambling a locked PUZ file).
+ * Scores are log2 probabilities, so higher (closer to 0) is more word-like.
+ */
+
+// Each row is the letter before ("^" = start of word, then a-z), each
+// column the letter after (a-z, then "$" = end of word). Entries are
+// -2 * log2 P(after | before) in base 36, from the letter pairs of about
+// 4,000 distinct English words.
+const ROWS = "^abcdefghijklmnopqrstuvwxyz";
+const COLS = "abcdefghijklmnopqrstuvwxyz$";
+const TABLE = [
+  "897899aa9de98ba8g868bdajfgq",
+  "kb89heaf9hc696jal686bcdecf9",
+  "5afd6hhk7dh6hk7ek8ad6hkkck9",
+  "6mcg6jj69m88mh5im9d79jjmcm9",
+  "8jgc4iei6hjbge8jmbafaffjcm3",
+  "9e97bdehejh9a7fbg669hcebdk5",
+  "6khh78hh5hk8kk5hk8ba9hkhbk8",
+  "9gll6ic98llaeb8gl7ag9lllfl3",
+  "5hhg4hlg6lldcf6fhaeaalhlcl6",
+  "ab7a9bboioe8947bj987halfjcb",
+  "5ffc6ccf7cffff5cff6f8fffcf9",
+  "9ffe4cdf6fecea9fic7bcffidi4",
+  "7gfa5ehk6hf7dh6fkiab9ehn7n6",
+  "5beh4iii6lhg9g67lfbhahihcl7",
+  "9g887c5h9lcefd9ilh76cdhleh5",
+  "cbb9ddcgcfd985a9l6998a9fef9",
+  "6mmg5jja8jh7fj68m6b99hjmcm8",
+  "eeeeeeeeeeeeeeeeeeee1eeeee7",
+  "6gcb4eci6jcdab7dob89beioao6",
+  "9lah6fo97oddff9ahi969lfodo3",
+  "7hcg5ho85ljcgi8jo89aboeoah5",
+  "9aab8dahamg896f9m666mmmfhfc",
+  "6jjg2jeg5jjgjj9jjgjjcjjjgjb",
+  "6jef5je86jfcj86fe88ejjfjfj6",
+  "9g6g6ggg7gggggc6ggg5cgggbg5",
+  "bdec9efhakhbbbb9kc9behfkkh1",
+  "8ggg3ccg5gg8gc9ggcbgbgcga77"
+];
+
+const BITS = TABLE.map(row => Array.from(row, ch => -parseInt(ch, 36) / 2));
+
+/**
+ * log2 probability of an entry. Characters other than letters (rebus
+ * digits and symbols) aren't scored.
+ */
+export function entryScore(entry) {
+  const s = "^" + String(entry).toLowerCase() + "$";
+  let score = 0;
+  for (let i = 0; i < s.length - 1; i++) {
+    const row = ROWS.indexOf(s[i]);
+    const col = COLS.indexOf(s[i + 1]);
+    if (row >= 0 && col >= 0) score += BITS[row][col];
+  }
+  return score;
+}
+
+/**
+ * The across and down entries (runs of two or more squares) in a grid
+ * string, as [{ cells: [index, ...], text }]
+ */
+export function gridEntries(grid, width, height, isBlack = ch => ch === "." || ch === ":") {
+  const letters = Array.from(grid);
+  const entries = [];
+  const addRun = run => {
+    if (run.length > 1) entries.push({ cells: run, text: run.map(i => letters[i]).join("") });
+  };
+  for (let y = 0; y < height; y++) {
+    let run = [];
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if (isBlack(letters[i])) { addRun(run); run = []; } else run.push(i);
+    }
+    addRun(run);
+  }
+  for (let x = 0; x < width; x++) {
+    let run = [];
+    for (let y = 0; y < height; y++) {
+      const i = y * width + x;
+      if (isBlack(letters[i])) { addRun(run); run = []; } else run.push(i);
+    }
+    addRun(run);
+  }
+  return entries;
+}
+
+// Bonus (in bits) for an entry found in a supplied word list
+export const WORD_LIST_BONUS = 10;
+
+/**
+ * Score a solution grid: the sum of its entries' scores, plus
+ * WORD_LIST_BONUS for each entry in options.wordList (an array or Set).
+ */
+export function gridScore(grid, width, height, options = {}) {
+  const words = options.wordList ? new Set(Array.from(options.wordList, w => String(w).toUpperCase())) : null;
+  return gridEntries(grid, width, height).reduce((score, { text }) => {
+    return score + entryScore(text) + (words?.has(text.toUpperCase()) ? WORD_LIST_BONUS : 0);
+  }, 0);
+}
+
+/**
+ * Sort scored candidates ({ key, score, ... }) best first (ties by key) and
+ * give each a confidence: its share of the total probability, 0-1.
+ */
+export function rankCandidates(candidates) {
+  const ranked = [...candidates].sort((a, b) => b.score - a.score || a.key - b.key);
+  if (!ranked.length) return ranked;
+  const top = ranked[0].score;
+  const total = ranked.reduce((sum, c) => sum + 2 ** (c.score - top), 0);
+  ranked.forEach(c => { c.confidence = 2 ** (c.score - top) / total; });
+  return ranked;
+}
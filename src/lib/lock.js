@@ -0,0 +1,245 @@
+/**
+ * lock.js
+ *
+ * Locked (scrambled) solutions on a JSCrossword, as Across Lite does them:
+ * the solution letters are scrambled with a four-digit key and only a
+ * checksum of the real letters is kept (metadata.scrambled_cksum), so a
+ * solver can check a finished grid without seeing the answers.
+ */
+import {
+  scrambleSolution, unscrambleSolution, scrambledCksum,
+  unlockAttempts, MIN_UNLOCK_KEY, MAX_UNLOCK_KEY
+} from "../formats/puz.js";
+import { isFillable } from "./solve.js";
+import { gridScore, rankCandidates } from "./letter_model.js";
+
+const BLACK = ".";
+
+/** Cells in grid order, or null for squares that aren't filled in **/
+function gridCells(xw) {
+  const { width, height } = xw.metadata;
+  const grid = new Array(width * height).fill(null);
+  xw.cells.forEach(c => {
+    if (isFillable(c) && c.x < width && c.y < height) grid[c.y * width + c.x] = c;
+  });
+  return grid;
+}
+
+/** The first letter of each solution, as a PUZ-style grid string **/
+function solutionGrid(xw) {
+  return gridCells(xw).map(c => (c ? (Array.from(String(c.solution || "").toUpperCase())[0] || "X") : BLACK)).join("");
+}
+
+/** Put a grid string back into the solutions (rebus squares keep the rest of their answer) **/
+function setSolutionGrid(xw, grid) {
+  const letters = Array.from(grid);
+  gridCells(xw).forEach((c, i) => {
+    if (c) c.solution = letters[i] + Array.from(String(c.solution || "")).slice(1).join("");
+  });
+}
+
+function checkKey(key) {
+  const n = Number(key);
+  if (!Number.isInteger(n) || n < MIN_UNLOCK_KEY || n > MAX_UNLOCK_KEY) {
+    throw new Error(`Invalid key ${key}: expected a four-digit number`);
+  }
+  return n;
+}
+
+function assertLocked(xw) {
+  if (!xw.metadata.locked) throw new Error("The solution isn't locked");
+  if (!Number.isInteger(xw.metadata.scrambled_cksum)) {
+    throw new Error("The solution is locked but has no checksum to unlock it with");
+  }
+}
+
+/**
+ * Only PUZ can mark a solution as locked. The other writers call this first,
+ * so they don't pass off the scrambled letters as the answers, unless
+ * options.allowLocked is set.
+ */
+export function assertNotLocked(xw, format, options = {}) {
+  if (xw.metadata.locked && !options.allowLocked) {
+    throw new Error(`The solution is locked and ${format} can't mark it as such; unlock it first, or pass { allowLocked: true } to write the scrambled letters`);
+  }
+}
+
+/** Scramble the solution with key (1000-9999) **/
+export function lock(xw, key) {
+  if (xw.metadata.locked) throw new Error("The solution is already locked");
+  key = checkKey(key);
+  const { width, height } = xw.metadata;
+  const grid = solutionGrid(xw);
+  xw.metadata.scrambled_cksum = scrambledCksum(grid, width, height, BLACK);
+  setSolutionGrid(xw, scrambleSolution(grid, width, height, key, BLACK));
+  xw.metadata.locked = true;
+}
+
+/** Unscramble with key; returns false (and changes nothing) if it's the wrong key **/
+export function unlock(xw, key) {
+  if (!xw.metadata.locked) return true;
+  assertLocked(xw);
+  key = checkKey(key);
+  const { width, height } = xw.metadata;
+  const grid = unscrambleSolution(solutionGrid(xw), width, height, key, BLACK);
+  if (scrambledCksum(grid, width, height, BLACK) !== xw.metadata.scrambled_cksum) return false;
+  setSolutionGrid(xw, grid);
+  delete xw.metadata.locked;
+  delete xw.metadata.scrambled_cksum;
+  return true;
+}
+
+/**
+ * True if fill is the solution of a locked puzzle, by its checksum.
+ * fill is a grid string (one letter per square, row by row) and defaults
+ * to the solver's entries.
+ */
+export function checkSolutionLocked(xw, fill = null) {
+  assertLocked(xw);
+  const { width, height } = xw.metadata;
+  const cells = gridCells(xw);
+  const letters = fill === null
+    ? cells.map(c => (c ? Array.from(String(c.letter || "").toUpperCase())[0] || "" : BLACK))
+    : Array.from(String(fill).toUpperCase());
+  if (letters.length !== cells.length) return false;
+  const grid = cells.map((c, i) => (c ? letters[i] : BLACK));
+  if (grid.some(ch => !ch || ch === "-")) return false;
+  return scrambledCksum(grid.join(""), width, height, BLACK) === xw.metadata.scrambled_cksum;
+}
+
+// let other work run between batches of keys
+const nextTick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Below this confidence the checksum has let through rival keys, and the
+// clue answers (if given) decide between them
+const CLUE_FALLBACK_CONFIDENCE = 0.99;
+// Bonus (in bits) for an entry that matches a known answer to its clue
+const CLUE_ANSWER_BONUS = 20;
+
+/** Known answers for each word: [{ cells: [grid index, ...], answers: Set }] **/
+function clueAnswerSets(xw, clueAnswers) {
+  const { width } = xw.metadata;
+  const clueText = {};
+  xw.clues.forEach(list => (list.clue || []).forEach(c => { clueText[c.word] = c.text; }));
+  return xw.words.map(word => {
+    const cells = (word.cells || []).map(([x, y]) => y * width + x);
+    const text = clueText[word.id];
+    if (text === undefined) return null;
+    let answers = typeof clueAnswers === "function" ? clueAnswers(text, cells.length) : clueAnswers[text];
+    if (!answers) return null;
+    answers = new Set([].concat(answers).map(a => String(a).toUpperCase().replace(/[^A-Z0-9]/g, "")));
+    return { cells, answers };
+  }).filter(Boolean);
+}
+
+/**
+ * The key search behind unlockCandidates() and unlockCandidatesSync(): tries
+ * keys a batch at a time, yielding after each batch, and returns
+ * { ranked, complete }, where complete is false if the time ran out.
+ */
+function* searchKeys(xw, options) {
+  assertLocked(xw);
+  const { maxTimeMs = 30000, onProgress = null, batchSize = 250, wordList = null, clueAnswers = null } = options;
+  const { width, height } = xw.metadata;
+  const total = MAX_UNLOCK_KEY - MIN_UNLOCK_KEY + 1;
+  const start = Date.now();
+  let tried = 0;
+  const found = [];
+
+  for (const { key, solution } of unlockAttempts(solutionGrid(xw), width, height, xw.metadata.scrambled_cksum, BLACK)) {
+    tried++;
+    if (solution) found.push({ key, solution, score: gridScore(solution, width, height, { wordList }) });
+    if (tried % batchSize === 0) {
+      onProgress?.({ tried, total, elapsedMs: Date.now() - start });
+      if (Date.now() - start > maxTimeMs) break;
+      yield;
+    }
+  }
+  onProgress?.({ tried, total, elapsedMs: Date.now() - start });
+
+  let ranked = rankCandidates(found);
+  if (clueAnswers && ranked.length > 1 && ranked[0].confidence < CLUE_FALLBACK_CONFIDENCE) {
+    const known = clueAnswerSets(xw, clueAnswers);
+    ranked.forEach(c => {
+      const letters = Array.from(c.solution);
+      known.forEach(({ cells, answers }) => {
+        if (answers.has(cells.map(i => letters[i]).join(""))) c.score += CLUE_ANSWER_BONUS;
+      });
+    });
+    ranked = rankCandidates(ranked);
+  }
+  return { ranked, complete: tried === total };
+}
+
+/** Run searchKeys to the end without stopping between batches **/
+function searchKeysSync(xw, options) {
+  const search = searchKeys(xw, options);
+  let step = search.next();
+  while (!step.done) step = search.next();
+  return step.value;
+}
+
+/** Run searchKeys, letting other work run between batches **/
+async function searchKeysAsync(xw, options) {
+  const search = searchKeys(xw, options);
+  let step = search.next();
+  while (!step.done) {
+    await nextTick();
+    step = search.next();
+  }
+  return step.value;
+}
+
+/**
+ * Every key that matches the checksum, ranked by how much the solution looks
+ * like English words, trying keys a batch at a time so it doesn't block.
+ * Resolves to { candidates, complete }: candidates is
+ * [{ key, solution, score, confidence }], best first, where solution is a
+ * grid string (one letter per square, row by row); complete is false if the
+ * time ran out before every key was tried, so an empty or short list may
+ * be missing the right key.
+ *
+ * Options:
+ *   maxTimeMs:   time budget (default 30s)
+ *   onProgress:  called after each batch with { tried, total, elapsedMs }
+ *   batchSize:   keys tried between yields (default 250)
+ *   wordList:    words (an array or Set) to favour
+ *   clueAnswers: known answers, to break ties when several keys pass the
+ *                checksum: { clueText: answer or [answers] }, or a function
+ *                (clueText, length) => answer(s)
+ */
+export async function unlockCandidates(xw, options = {}) {
+  const { ranked, complete } = await searchKeysAsync(xw, options);
+  return { candidates: ranked, complete };
+}
+
+/** unlockCandidates(), without yielding: for reading a file **/
+export function unlockCandidatesSync(xw, options = {}) {
+  const { ranked, complete } = searchKeysSync(xw, options);
+  return { candidates: ranked, complete };
+}
+
+/** Unlock with the best candidate of a finished search, and record it **/
+function unlockWithBest(xw, { ranked, complete }) {
+  const [best] = ranked;
+  if (!best || !complete) return null;
+  unlock(xw, best.key);
+  xw.metadata.unlockKey = best.key;
+  xw.metadata.unlockConfidence = best.confidence;
+  return best.key;
+}
+
+/**
+ * Unlock with the best of unlockCandidates(options), recording the key in
+ * metadata.unlockKey and how sure the ranking is in metadata.unlockConfidence.
+ * Resolves to the key, or null (leaving the puzzle locked) if no key was
+ * found or the time budget ran out before every key was tried.
+ */
+export async function bruteForceUnlock(xw, options = {}) {
+  return unlockWithBest(xw, await searchKeysAsync(xw, options));
+}
+
+/** bruteForceUnlock(), without yielding: for reading a file **/
+export function bruteForceUnlockSync(xw, options = {}) {
+  return unlockWithBest(xw, searchKeysSync(xw, options));
+}
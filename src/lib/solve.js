@@ -0,0 +1,153 @@
+/**
+ * solve.js
+ *
+ * Solve state on a JSCrossword: filling in squares, checking and revealing
+ * them, and progress. The state lives on the cells:
+ *   letter:  what the solver has entered
+ *   pencil:  true if it was entered in pencil
+ *   incorrect / previously_incorrect / revealed: left by checks and reveals
+ * and the clock on metadata.timer: { elapsed (seconds), running }.
+ */
+
+// Per-cell marks that formats save along with the letters
+export const SOLVE_MARKS = ["incorrect", "previously_incorrect", "revealed", "pencil"];
+
+/** True if the solver fills in this cell **/
+export function isFillable(cell) {
+  return !!cell && !cell.is_void && !cell.clue && !["block", "void", "clue"].includes(cell.type);
+}
+
+// Cells are found through the puzzle's cached index (see get_cell_lookup)
+function cellAt(xw, x, y) {
+  const cell = xw.get_cell_lookup()(x, y);
+  if (!isFillable(cell)) throw new Error(`(${x}, ${y}) isn't a square to fill in`);
+  return cell;
+}
+
+function wordCells(xw, wordId) {
+  const word = xw.words.find(w => String(w.id) === String(wordId));
+  if (!word) throw new Error(`No word with id ${wordId}`);
+  const lookup = xw.get_cell_lookup();
+  return (word.cells || []).map(([x, y]) => lookup(x, y)).filter(isFillable);
+}
+
+const normalize = s => String(s ?? "").trim().toUpperCase();
+const isFilled = cell => normalize(cell.letter) !== "";
+const isCorrect = cell => normalize(cell.letter) === normalize(cell.solution);
+
+/** Checks and reveals need a real solution, and permission **/
+function assertAllowed(xw, action) {
+  if (xw.metadata.locked) {
+    throw new Error(`Can't ${action}: the solution is locked`);
+  }
+  const flag = action === "check" ? "has_check" : "has_reveal";
+  if (xw.metadata[flag] === false) {
+    throw new Error(`This puzzle doesn't allow you to ${action} answers`);
+  }
+}
+
+/**
+ * Enter value at (x, y); an empty value clears the square.
+ * Revealed squares keep their letter. Returns the cell.
+ *
+ * Options:
+ *   pencil: mark the entry as a pencilled-in guess
+ */
+export function setLetter(xw, x, y, value, options = {}) {
+  const cell = cellAt(xw, x, y);
+  if (cell.revealed) return cell;
+  const letter = normalize(value) || null;
+  if (cell.incorrect && letter !== normalize(cell.letter)) {
+    // Across Lite keeps a mark on squares that were wrong once
+    cell.incorrect = false;
+    cell.previously_incorrect = true;
+  }
+  cell.letter = letter;
+  cell.pencil = !!(letter && options.pencil);
+  return cell;
+}
+
+/** Mark wrong entries among cells; returns them as [[x, y], ...] **/
+function check(xw, cells) {
+  assertAllowed(xw, "check");
+  const wrong = cells.filter(c => isFilled(c) && !isCorrect(c));
+  wrong.forEach(c => { c.incorrect = true; });
+  return wrong.map(c => [c.x, c.y]);
+}
+
+/** Fill in the solution for cells that aren't right; returns them as [[x, y], ...] **/
+function reveal(xw, cells) {
+  assertAllowed(xw, "reveal");
+  const changed = cells.filter(c => !isCorrect(c));
+  changed.forEach(c => {
+    c.letter = c.solution;
+    c.pencil = false;
+    c.incorrect = false;
+    c.revealed = true;
+  });
+  return changed.map(c => [c.x, c.y]);
+}
+
+export const checkCell = (xw, x, y) => check(xw, [cellAt(xw, x, y)]);
+export const checkWord = (xw, wordId) => check(xw, wordCells(xw, wordId));
+export const checkPuzzle = xw => check(xw, xw.cells.filter(isFillable));
+
+export const revealCell = (xw, x, y) => reveal(xw, [cellAt(xw, x, y)]);
+export const revealWord = (xw, wordId) => reveal(xw, wordCells(xw, wordId));
+export const revealPuzzle = xw => reveal(xw, xw.cells.filter(isFillable));
+
+/** True when every square is filled in correctly (always false while locked) **/
+export function isComplete(xw) {
+  if (xw.metadata.locked) return false;
+  return xw.cells.filter(isFillable).every(isCorrect);
+}
+
+/** Percentage (0-100) of squares filled in, right or wrong **/
+export function percentComplete(xw) {
+  const cells = xw.cells.filter(isFillable);
+  if (!cells.length) return 0;
+  return Math.round(100 * cells.filter(isFilled).length / cells.length);
+}
+
+// ---- Timer ----
+// While running, timer.started (ms) says when the current run began.
+
+/** A timer as read from a file; a running one carries on from now **/
+export function readTimer(elapsed, running) {
+  const timer = { elapsed: Math.max(0, Number(elapsed) || 0), running: !!running };
+  if (timer.running) timer.started = Date.now();
+  return timer;
+}
+
+/** Whole seconds on a timer **/
+export function timerSeconds(timer, now = Date.now()) {
+  if (!timer) return 0;
+  const current = timer.running && timer.started ? (now - timer.started) / 1000 : 0;
+  return Math.floor((timer.elapsed || 0) + current);
+}
+
+export function startTimer(xw, now = Date.now()) {
+  const timer = xw.metadata.timer || (xw.metadata.timer = { elapsed: 0, running: false });
+  if (!timer.running || !timer.started) {
+    timer.running = true;
+    timer.started = now;
+  }
+  return timer;
+}
+
+export function pauseTimer(xw, now = Date.now()) {
+  const timer = xw.metadata.timer;
+  if (timer?.running) {
+    timer.elapsed = (timer.elapsed || 0) + (timer.started ? (now - timer.started) / 1000 : 0);
+    timer.running = false;
+    delete timer.started;
+  }
+  return timer || null;
+}
+
+export function resetTimer(xw) {
+  xw.metadata.timer = { elapsed: 0, running: false };
+  return xw.metadata.timer;
+}
+
+export const elapsedSeconds = (xw, now = Date.now()) => timerSeconds(xw.metadata.timer, now);
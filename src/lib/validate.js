@@ -0,0 +1,135 @@
+/**
+ * validate.js
+ *
+ * Consistency checks for a parsed JSCrossword.
+ */
+import { xwGrid } from "../grid.js";
+
+// Puzzle types whose words are straight runs numbered the usual way
+const GRID_TYPES = ["crossword", "diagramless"];
+
+/**
+ * Check a JSCrossword for internal consistency.
+ *
+ * Returns a list of issues { level, code, message, location }, where level is
+ * "error" or "warning" and location (if any) is some of
+ *   { cells: [[x, y], ...], word: id, clueList: title, clueIndex: i }
+ */
+export function validate_jscrossword(xw) {
+  const issues = [];
+  const add = (level, code, message, location = null) => {
+    const issue = { level, code, message };
+    if (location) issue.location = location;
+    issues.push(issue);
+  };
+  const error = (...args) => add("error", ...args);
+  const warning = (...args) => add("warning", ...args);
+
+  const { metadata = {}, cells = [], words = [], clues = [] } = xw;
+  const { width, height } = metadata;
+  const isGridType = GRID_TYPES.includes(metadata.crossword_type || "crossword") && !metadata.image;
+
+  // --- metadata ---
+  if (!(metadata.title || "").trim()) warning("empty_title", "Puzzle has no title");
+  if (!(metadata.author || "").trim()) warning("empty_author", "Puzzle has no author");
+
+  // Image-only puzzles (vpuz) are drawn from metadata.image and have no real grid
+  if (metadata.image && cells.length <= 1) return issues;
+
+  // --- cells ---
+  const validSize = Number.isInteger(width) && Number.isInteger(height) && width > 0 && height > 0;
+  if (!validSize) {
+    error("invalid_size", `Invalid grid size ${width}x${height}`);
+  } else if (cells.length !== width * height) {
+    error("size_mismatch", `Grid is ${width}x${height} but has ${cells.length} cells`);
+  }
+
+  const cellMap = new Map();
+  cells.forEach(c => {
+    const key = `${c.x},${c.y}`;
+    if (cellMap.has(key)) {
+      error("duplicate_cell", `More than one cell at (${c.x}, ${c.y})`, { cells: [[c.x, c.y]] });
+    } else {
+      cellMap.set(key, c);
+    }
+    if (validSize && (c.x < 0 || c.y < 0 || c.x >= width || c.y >= height)) {
+      error("cell_out_of_range", `Cell (${c.x}, ${c.y}) is outside the ${width}x${height} grid`, { cells: [[c.x, c.y]] });
+    }
+  });
+
+  const isLetterCell = c => !c.is_void && !c.clue && !["block", "void", "clue"].includes(c.type);
+  const missing = cells.filter(c => isLetterCell(c) && !c.solution).map(c => [c.x, c.y]);
+  if (missing.length) {
+    error("missing_solution", `${missing.length} cell(s) have no solution`, { cells: missing });
+  }
+
+  // --- words ---
+  const wordIds = new Set();
+  words.forEach(w => {
+    const id = String(w.id);
+    if (wordIds.has(id)) error("duplicate_word", `More than one word with id ${id}`, { word: id });
+    wordIds.add(id);
+
+    const wordCells = w.cells || [];
+    if (!wordCells.length) {
+      error("empty_word", `Word ${id} has no cells`, { word: id });
+      return;
+    }
+    const outside = wordCells.filter(([x, y]) => !cellMap.has(`${x},${y}`));
+    if (outside.length) {
+      error("word_cell_out_of_range", `Word ${id} uses cells that aren't in the grid`, { word: id, cells: outside });
+    }
+    if (isGridType) {
+      const gap = wordCells.findIndex(([x, y], i) => {
+        if (i === 0) return false;
+        const [px, py] = wordCells[i - 1];
+        return Math.abs(x - px) + Math.abs(y - py) !== 1;
+      });
+      if (gap > 0) {
+        warning("word_not_contiguous", `Word ${id} jumps from (${wordCells[gap - 1]}) to (${wordCells[gap]})`,
+          { word: id, cells: [wordCells[gap - 1], wordCells[gap]] });
+      }
+    }
+  });
+
+  // --- clues ---
+  const clued = new Set();
+  clues.forEach(list => {
+    (list.clue || []).forEach((c, i) => {
+      const location = { clueList: list.title, clueIndex: i };
+      if (c.word === undefined || c.word === null || c.word === "") {
+        if (!list.fake) warning("clue_without_word", `Clue ${c.number ?? i + 1} in ${list.title} has no word`, location);
+        return;
+      }
+      if (!wordIds.has(String(c.word))) {
+        error("clue_missing_word", `Clue ${c.number ?? i + 1} in ${list.title} refers to missing word ${c.word}`,
+          { ...location, word: String(c.word) });
+        return;
+      }
+      clued.add(String(c.word));
+    });
+  });
+  // fake clue lists aren't linked to their words, so those words have no clue
+  const hasFakeList = clues.some(list => list.fake);
+  words.forEach(w => {
+    if (!clued.has(String(w.id)) && !hasFakeList) warning("word_without_clue", `Word ${w.id} has no clue`, { word: String(w.id) });
+  });
+
+  // --- numbering (only when the grid is complete enough to number) ---
+  const gridComplete = validSize && cellMap.size === width * height &&
+    !issues.some(i => ["size_mismatch", "cell_out_of_range"].includes(i.code));
+  if (isGridType && gridComplete) {
+    const numbers = new xwGrid(cells).gridNumbering();
+    const wrong = cells.filter(c => {
+      if (!isLetterCell(c)) return false;
+      const expected = numbers[c.y][c.x] > 0 ? String(numbers[c.y][c.x]) : "";
+      return String(c.number ?? "") !== expected;
+    }).map(c => [c.x, c.y]);
+    if (wrong.length) {
+      warning("numbering_mismatch", `${wrong.length} cell(s) are numbered differently from the standard numbering`,
+        { cells: wrong });
+    }
+  }
+
+  return issues;
+}
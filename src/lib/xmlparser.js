@@ -24,7 +24,18 @@ export { DOMParserImpl };
  */
 export function parseXml(xmlString) {
   const parser = new DOMParserImpl();
-  return parser.parseFromString(xmlString, "application/xml");
+  const doc = parser.parseFromString(xmlString, "application/xml");
+
+  // Browsers report malformed XML as a <parsererror> document instead of throwing
+  const parserError = doc.getElementsByTagName("parsererror")[0];
+  if (parserError) {
+    const message = parserError.textContent.trim().split("\n")[0];
+    const err = new Error(`Invalid XML: ${message}`);
+    const m = parserError.textContent.match(/line(?: number)?\s*(\d+)(?:,|\s+at)?\s*column\s*(\d+)/i);
+    if (m) err.location = { line: Number(m[1]), column: Number(m[2]) };
+    throw err;
+  }
+  return doc;
 }
 
 /**
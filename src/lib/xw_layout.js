@@ -0,0 +1,110 @@
+/**
+ * xw_layout.js
+ *
+ * Layout decisions shared by the PDF and SVG renderers: page sizes,
+ * grid line and bar widths, block shading and text sizes within a cell.
+ */
+
+// Named page sizes, in points (portrait)
+export const PAGE_SIZES = {
+  letter: [612, 792],
+  legal: [612, 1008],
+  tabloid: [792, 1224],
+  a3: [842, 1191],
+  a4: [595, 842],
+  a5: [420, 595],
+  b4: [709, 1001],
+  b5: [499, 709]
+};
+
+// Layout defaults are tuned for Letter
+export const LETTER_SIZE = PAGE_SIZES.letter;
+
+// Grid lines and bars, in points
+export const GRID_LINE_WIDTH = 0.7;
+export const GRID_BAR_WIDTH = 2.5;
+
+// Background for "clue" cells (e.g. arrowword clue squares)
+export const CLUE_CELL_COLOR = '#CCCCCC';
+
+// Smallest font size for a cell number
+const MIN_NUMBER_SIZE = 4;
+
+/**
+ * Page dimensions [width, height] in points for the page_size option:
+ * a name from PAGE_SIZES or a custom [width, height] in points
+ **/
+export function pageSize(page_size = 'letter') {
+  if (Array.isArray(page_size)) {
+    const [w, h] = page_size.map(Number);
+    if (!(w > 0 && h > 0)) {
+      throw new Error(`Invalid page size [${page_size}]: expected [width, height] in points`);
+    }
+    return [w, h];
+  }
+  const size = PAGE_SIZES[String(page_size).toLowerCase()];
+  if (!size) {
+    throw new Error(`Unknown page size "${page_size}" (expected one of ${Object.keys(PAGE_SIZES).join(', ')} or [width, height])`);
+  }
+  return size;
+}
+
+/**
+ * Gray level (0 = black, 1 = white) for blocks and grid lines:
+ * mid-gray, or nearly black when there are very few blocks
+ **/
+export function gridGray(xw) {
+  const { width, height } = xw.metadata;
+  const num_black_squares = xw.cells.filter(c => c.type === 'block').length;
+  return num_black_squares / (height * width) < 0.05 ? 0.1 : 0.5;
+}
+
+/**
+ * Font sizes and positions for the text in a cell of the given size.
+ * Longer (rebus) entries get a smaller letter size.
+ **/
+export function cellTextMetrics(cell_size, letter = '') {
+  return {
+    number_size: Math.max(cell_size / 3.5, MIN_NUMBER_SIZE),
+    number_offset: cell_size / 20,
+    letter_size: cell_size / (1.5 + 0.5 * (letter.length - 1)),
+    // baseline of the letter, as a fraction of the cell height
+    letter_pct_down: 4 / 5
+  };
+}
+
+// Cell size bounds (on Letter) and the clue size the layout search aims for
+export const MAX_CELL_SIZE = 30;
+export const MIN_CELL_SIZE = 15;
+export const IDEAL_CLUE_PT = 12.5;
+
+/**
+ * The grid area a page layout aims for: grid cells of a comfortable size,
+ * but between a quarter and 40% of the page
+ **/
+export function idealGridArea(xw, options, doc_width, doc_height) {
+  const ideal_cell_size = (options.max_cell_size + options.min_cell_size) / 2.5;
+  let ideal_grid_area = ideal_cell_size * ideal_cell_size * xw.metadata.height * xw.metadata.width;
+  if (ideal_grid_area < doc_width * doc_height * 0.25) {
+    ideal_grid_area = doc_width * doc_height * 0.25;
+  } else if (ideal_grid_area > doc_width * doc_height * 0.4) {
+    ideal_grid_area = doc_width * doc_height * 0.4;
+  }
+  return ideal_grid_area;
+}
+
+/**
+ * Score a candidate page layout (lower is better) by how far the grid area
+ * and clue size are from ideal, with a small penalty for more columns
+ **/
+export function layoutScore(grid_area, clue_pt, num_columns, ideal_grid_area) {
+  const cluePtDiff = (clue_pt - IDEAL_CLUE_PT) / IDEAL_CLUE_PT;
+  // Asymmetric penalty: Font size being too big is preferable to being too small.
+  // We scale the penalty down by 50% for positive deviations.
+  const cluePtPenalty = cluePtDiff > 0 ? 0.5 * (cluePtDiff ** 2) : cluePtDiff ** 2;
+  let score = ((grid_area - ideal_grid_area) / ideal_grid_area) ** 2 + cluePtPenalty;
+  if (num_columns) {
+    score += num_columns / 500;
+  }
+  return score;
+}
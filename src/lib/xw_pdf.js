@@ -2,6 +2,11 @@ import jsPDF from "jspdf/dist/jspdf.es.min.js";
 import twemoji from "twemoji";
 import { DOMParserImpl } from "../lib/xmlparser.js";
 import { symbolImages } from "./symbol_images.js";
+import { cellLookup } from "../grid.js";
+import {
+  LETTER_SIZE, GRID_LINE_WIDTH, GRID_BAR_WIDTH, CLUE_CELL_COLOR, MAX_CELL_SIZE, MIN_CELL_SIZE, IDEAL_CLUE_PT,
+  pageSize, gridGray, cellTextMetrics, idealGridArea, layoutScore
+} from "./xw_layout.js";
 
 // tell if we're in browser or node
 const isBrowser = (typeof window !== "undefined" && typeof document !== "undefined");
@@ -12,6 +17,17 @@ const DEFAULT_FONT_TYPE = 'helvetica';
 // default character to print when we don't have a number
 const DEFAULT_NUM = '•'
 
+// answer_key: a solution page after the puzzle, a document with only the
+// solution, or a small upside-down grid in the corner
+const ANSWER_KEY_MODES = ['page', 'only', 'corner'];
+// Largest cell size for the upside-down corner answer key
+const ANSWER_KEY_MAX_CELL = 8;
+
+// jsPDF font styles, and the keys of the `fonts` option that supply them
+const FONT_STYLES = { normal: 'regular', bold: 'bold', italic: 'italic', bolditalic: 'bolditalic' };
+// Family name for fonts from the `fonts` option, unless font_type gives one
+const EMBEDDED_FONT_FAMILY = 'EmbeddedFont';
+
 const emojiImageCache = new Map();
 const emojiRx = /\p{Extended_Pictographic}(?:\p{Emoji_Modifier})?/u;
 
@@ -65,8 +81,71 @@ function parseClueMarkup(clue) {
   return parsed;
 }
 
+/** Base64 for a font given as bytes, or as a base64 string or data URL **/
+function fontBase64(data) {
+  if (typeof data === 'string') return data.replace(/^data:[^,]*,/, '');
+  const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Turn options.fonts ({ regular, bold, italic, bolditalic }: TTF bytes or base64)
+ * into options.embedded_fonts, one base64 string per jsPDF style.
+ * Missing styles use the regular font (bold-italic falls back to bold first).
+ **/
+function prepare_fonts(options) {
+  if (!options.fonts || options.embedded_fonts) return;
+  const regular = options.fonts.regular || options.fonts.normal;
+  if (!regular) {
+    throw new Error('The fonts option needs at least a regular font');
+  }
+  if (!options.font_type) {
+    options.font_type = EMBEDDED_FONT_FAMILY;
+  }
+  options.embedded_fonts = {};
+  for (const [style, key] of Object.entries(FONT_STYLES)) {
+    const data = options.fonts[key] || (style === 'bolditalic' && options.fonts.bold) || regular;
+    options.embedded_fonts[style] = fontBase64(data);
+  }
+}
+
+/**
+ * A new jsPDF document with the embedded fonts (if any) registered.
+ * jsPDF subsets Identity-H fonts, so only the glyphs we use end up in the file.
+ **/
+function new_doc(options, orientation = options.orientation) {
+  const doc = new jsPDF(orientation, 'pt', options.page_format);
+  if (options.embedded_fonts) {
+    for (const [style, data] of Object.entries(options.embedded_fonts)) {
+      const file = `${options.font_type}-${style}.ttf`;
+      doc.addFileToVFS(file, data);
+      doc.addFont(file, options.font_type, style, 'Identity-H');
+    }
+  }
+  return doc;
+}
+
+/** Does doc's current font have a glyph for ch? (Always false for the core PDF fonts) **/
+function fontHasGlyph(doc, ch) {
+  const metadata = doc.getFont().metadata;
+  if (!metadata || typeof metadata.characterToGlyph !== 'function') return false;
+  for (const c of ch) {
+    if (!metadata.characterToGlyph(c.codePointAt(0))) return false;
+  }
+  return true;
+}
+
+/** Emoji and symbols are drawn as images, unless the font can draw them **/
+function needsImage(doc, ch) {
+  return (emojiRx.test(ch) || !!symbolImages[ch]) && !fontHasGlyph(doc, ch);
+}
+
 /** Helper function to sanitize Unicode for jsPDF-safe output **/
-function foldReplacing(str, fallback = '*') {
+function foldReplacing(str, fallback = '*', doc = null) {
   // Quick helpers
   const isAsciiOrLatin1 = (cp) => (cp <= 0x7F) || (cp >= 0x00A0 && cp <= 0x00FF);
 
@@ -123,6 +202,8 @@ function foldReplacing(str, fallback = '*') {
 
   return Array.from(str).map(c => {
     if (!!symbolImages[c] || (typeof emojiRx !== 'undefined' && emojiRx.test(c))) return c; // preserve emoji and custom symbols
+    // an embedded font can draw it as is
+    if (doc && fontHasGlyph(doc, c)) return c;
 
     // 1) Direct replacements first
     if (replacements[c]) return replacements[c];
@@ -237,16 +318,16 @@ const printCharacters = (doc, textObject, startY, startX, fontSize, font_type =
   if (!textObject.length) return;
 
   if (typeof textObject === 'string') {
-    const myText = foldReplacing(textObject);
+    const myText = foldReplacing(textObject, '*', doc);
     doc.text(startX, startY, myText);
     return;
   }
 
   textObject.forEach(row => {
-    const char = foldReplacing(row.char);
+    const char = foldReplacing(row.char, '*', doc);
     const is_bold = row.is_bold;
     const is_italic = row.is_italic;
-    const is_emoji = row.is_emoji;
+    const is_emoji = row.is_emoji && needsImage(doc, row.char);
 
     if (is_emoji) {
       const emojiData = emojiImageCache.get(char) || symbolImages[char];
@@ -293,7 +374,8 @@ function split_text_to_size_bi(
   // --- Quick checks ---
   const containsBold = clue.toUpperCase().includes("<B");
   const containsItalic = clue.toUpperCase().includes("<I");
-  const containsEmoji = emojiRx.test(clean_clue) || Array.from(clean_clue).some(c => !!symbolImages[c]);
+  const containsEmoji = (emojiRx.test(clean_clue) || Array.from(clean_clue).some(c => !!symbolImages[c])) &&
+    splitGraphemes(clean_clue).some(c => needsImage(doc, c));
 
   // --- Fast path: no markup, no emoji, no hyphens
   if (!containsBold && !containsItalic && !containsEmoji && !clean_clue.includes("-") ) {
@@ -309,7 +391,7 @@ function split_text_to_size_bi(
         char,
         is_bold: false,
         is_italic: false,
-        is_emoji: emojiRx.test(char) || !!symbolImages[char]
+        is_emoji: needsImage(doc, char)
       }))
     );
     if (has_header) lines = [header_line].concat(lines);
@@ -346,14 +428,14 @@ function split_text_to_size_bi(
 
   for (let i = 0; i < split_clue.length;) {
     const c = split_clue[i];
-    if (c.is_emoji) {
+    if (c.is_emoji && needsImage(doc, c.char)) {
       measured_chunks.push(c.char);
       chunk_map.push([i]);
       i++;
     } else {
       let acc = "";
       const indices = [];
-      while (i < split_clue.length && !split_clue[i].is_emoji) {
+      while (i < split_clue.length && !(split_clue[i].is_emoji && needsImage(doc, split_clue[i].char))) {
         acc += split_clue[i].char;
         indices.push(i);
         i++;
@@ -429,8 +511,8 @@ function draw_crossword_grid(doc, xw, options) {
     y0: 20,
     cell_size: 24,
     gray: null,
-    line_width: 0.7,
-    bar_width: 2.5
+    line_width: GRID_LINE_WIDTH,
+    bar_width: GRID_BAR_WIDTH
   };
 
   for (var key in DEFAULT_OPTIONS) {
@@ -472,21 +554,18 @@ function draw_crossword_grid(doc, xw, options) {
         } : null;
       }
 
-      var MIN_NUMBER_SIZE = 4;
-
       var filled_string = (filled ? 'F' : 'S');
-      var number_offset = cell_size / 20;
-      var number_size = cell_size / 3.5 < MIN_NUMBER_SIZE ? MIN_NUMBER_SIZE : cell_size / 3.5;
-      //var letter_size = cell_size/1.5;
-      var letter_length = letter.length;
-      var letter_size = cell_size / (1.5 + 0.5 * (letter_length - 1));
-      var letter_pct_down = 4 / 5;
+      var metrics = cellTextMetrics(cell_size, letter);
+      var number_offset = metrics.number_offset;
+      var number_size = metrics.number_size;
+      var letter_size = metrics.letter_size;
+      var letter_pct_down = metrics.letter_pct_down;
 
       // for "clue" cells we set the background and text color
       doc.setTextColor(0, 0, 0);
       if (cell.clue) {
         //doc.setTextColor(255, 255, 255);
-        cell['background-color'] = '#CCCCCC';
+        cell['background-color'] = CLUE_CELL_COLOR;
       }
 
       if (cell['background-color']) {
@@ -521,6 +600,12 @@ function draw_crossword_grid(doc, xw, options) {
       // letters
       doc.setFont(options.font_type, 'normal');
       doc.setFontSize(letter_size);
+      // shrink long rebus entries to fit the square
+      var letter_width = letter ? doc.getTextWidth(letter) : 0;
+      if (letter_width > cell_size * 0.9) {
+        letter_size *= cell_size * 0.9 / letter_width;
+        doc.setFontSize(letter_size);
+      }
       doc.text(x1 + cell_size / 2, y1 + cell_size * letter_pct_down, letter, null, null, 'center');
 
       // circles
@@ -588,7 +673,7 @@ function draw_crossword_grid(doc, xw, options) {
     var circle = c['background-shape'] == 'circle';
     // draw the square
     // for diagramless puzzles don't put anything but the square
-    if (xw.metadata.crossword_type == 'diagramless') {
+    if (xw.metadata.crossword_type == 'diagramless' && !options.grid_letters) {
       number = '';
       letter = '';
       filled = false;
@@ -605,96 +690,254 @@ function draw_crossword_grid(doc, xw, options) {
   });
 }
 
+/** Map of word id -> answer, read from the grid **/
+function word_answers(xw) {
+  const cellAt = cellLookup(xw.cells);
+  const answers = new Map();
+  xw.words.forEach(w => {
+    const answer = w.cells && w.cells.length
+      ? w.cells.map(([x, y]) => cellAt(x, y)?.solution || '').join('')
+      : (w.answer || '');
+    answers.set(String(w.id), answer.toUpperCase());
+  });
+  return answers;
+}
+
 /**
- * Helper function to make a grid with clues
+ * Draw a small, upside-down solution grid (the newspaper-style answer key)
+ * with its top-left corner at (x0, y0)
  **/
-function doc_with_clues(xw, options, doc_width, doc_height, clue_arrays, num_arrays, gridProps, columnsPreSet = false) {
-  const cluePtMin = options.min_clue_pt;
-  const cluePtMax = options.max_clue_pt;
-  const guessCluePt = (cluePtMin + cluePtMax) / 2.0;
+function draw_upside_down_grid(doc, xw, x0, y0, cell_size, options) {
+  const { width, height } = xw.metadata;
+  doc.setLineWidth(Math.min(options.line_width, cell_size / 20));
+  doc.setDrawColor(0);
+  doc.setFont(options.font_type, 'normal');
+  xw.cells.forEach(c => {
+    if (c.is_void || (c.type === 'block' && c['background-color'] === '#FFFFFF')) {
+      return;
+    }
+    // rotating the grid 180 degrees puts (x, y) at (width-1-x, height-1-y)
+    const x = x0 + (width - 1 - c.x) * cell_size;
+    const y = y0 + (height - 1 - c.y) * cell_size;
+    if (c.type === 'block') {
+      doc.setFillColor(options.gray.toString());
+      doc.rect(x, y, cell_size, cell_size, 'FD');
+      return;
+    }
+    doc.rect(x, y, cell_size, cell_size);
+    const letter = (c.solution || '').toUpperCase();
+    if (!letter) return;
+    let letter_size = cell_size * 0.75;
+    doc.setFontSize(letter_size);
+    const letter_width = doc.getTextWidth(letter);
+    if (letter_width > cell_size * 0.9) {
+      letter_size *= cell_size * 0.9 / letter_width;
+      doc.setFontSize(letter_size);
+    }
+    // upside-down text runs leftward from its anchor and hangs below the baseline
+    doc.text(letter, x + (cell_size + doc.getTextWidth(letter)) / 2, y + cell_size / 2 - letter_size * 0.35, { angle: 180 });
+  });
+  doc.setLineWidth(options.line_width);
+}
+
+/**
+ * Add a solution page to doc: title, filled grid and (if options.answer_list)
+ * the answer to each clue. Starts a new page unless newPage is false.
+ **/
+function add_answer_key_page(doc, xw, options, doc_width, doc_height, newPage = true) {
+  if (newPage) {
+    doc.addPage(options.page_format, options.orientation);
+  }
+  const margin = options.margin;
+  const sep = options.vertical_separator;
+  const usable_width = doc_width - 2 * margin;
+
+  // title, shrunk to fit on one line
+  const title = `Solution: ${safeHtmlText(xw.metadata.title)}`;
+  let title_pt = options.max_title_pt;
+  doc.setFont(options.font_type, 'bold');
+  doc.setFontSize(title_pt);
+  while (title_pt > 6 && doc.getTextWidth(title) > usable_width) {
+    title_pt -= 0.5;
+    doc.setFontSize(title_pt);
+  }
+  const title_ypos = margin + options.max_title_pt;
+  doc.text(margin, title_ypos, title);
+  const top = title_ypos + sep;
+  doc.line(margin, top, doc_width - margin, top);
+
+  // author and copyright at the foot of the page
+  const footer_ypos = doc_height - margin;
+  doc.setFont(options.font_type, 'normal');
+  doc.setFontSize(options.max_title_pt);
+  doc.text(margin, footer_ypos, safeHtmlText(xw.metadata.author));
+  doc.text(doc_width - margin, footer_ypos, safeHtmlText(xw.metadata.copyright), null, null, 'right');
+  const bottom = footer_ypos - options.max_title_pt - sep;
+  doc.line(margin, bottom, doc_width - margin, bottom);
+
+  const answers = word_answers(xw);
+  const showGrid = !xw.metadata.image;
+  const showList = options.answer_list || !showGrid;
+
+  // the grid gets everything, or a little over half the page if there's a list
+  let list_top = top + sep;
+  if (showGrid) {
+    const grid_space = (bottom - top - 2 * sep) * (showList ? 0.55 : 1);
+    const cell_size = Math.min(usable_width / xw.metadata.width, grid_space / xw.metadata.height, options.max_cell_size);
+    const grid_width = cell_size * xw.metadata.width;
+    const grid_height = cell_size * xw.metadata.height;
+    draw_crossword_grid(doc, xw, {
+      grid_letters: true,
+      grid_numbers: true,
+      x0: (doc_width - grid_width) / 2,
+      y0: top + sep,
+      cell_size: cell_size,
+      gray: options.gray,
+      font_type: options.font_type
+    });
+    list_top = top + 2 * sep + grid_height;
+  }
+  if (!showList) return;
+
+  // answers: clue number and answer, in columns, continuing on new pages as needed
+  const list_pt = options.min_clue_pt;
+  const line_height = list_pt * 1.3;
+  const num_columns = Math.max(1, Math.min(options.max_columns, Math.floor(usable_width / (list_pt * 14))));
+  const col_width = (usable_width - (num_columns - 1) * options.column_padding) / num_columns;
+  doc.setFontSize(list_pt);
+  let column = 0;
+  let ypos = list_top + list_pt;
+  const nextLine = () => {
+    ypos += line_height;
+    if (ypos <= bottom - sep) return;
+    column += 1;
+    if (column >= num_columns) {
+      doc.addPage(options.page_format, options.orientation);
+      column = 0;
+      list_top = margin;
+    }
+    ypos = list_top + list_pt;
+  };
+  xw.clues.forEach((list, k) => {
+    if (k > 0) nextLine();
+    const xpos = () => margin + column * (col_width + options.column_padding);
+    doc.setFont(options.font_type, 'bold');
+    doc.text(xpos(), ypos, safeHtmlText(list.title));
+    list.clue.forEach(clue => {
+      const answer = answers.get(String(clue.word));
+      if (!answer) return;
+      nextLine();
+      const num = clue.number || DEFAULT_NUM;
+      doc.setFont(options.font_type, 'bold');
+      doc.text(xpos(), ypos, num);
+      doc.setFont(options.font_type, 'normal');
+      const num_width = doc.getTextWidth('999 ');
+      doc.text(xpos() + num_width, ypos, doc.splitTextToSize(answer, col_width - num_width)[0]);
+    });
+  });
+}
 
+/**
+ * Write the clues onto the current page of doc at testPt, flowing them
+ * through the columns beside and above the grid
+ **/
+function draw_clues(doc, xw, options, doc_height, clue_arrays, num_arrays, gridProps, testPt, columnsPreSet = false) {
   var max_title_author_pt = options.max_title_pt;
   const col_width = gridProps.col_width;
   const grid_ypos = gridProps.grid_ypos;
   const has_top_header_row = (options.header1 || options.header2) ? 1 : 0;
 
-  const layoutWithCluePt = (testPt) => {
-    const doc = new jsPDF(options.orientation, 'pt', 'letter');
-    const clue_padding = testPt / options.clue_padding_denominator;
-    doc.setFontSize(testPt);
-    doc.setLineWidth(options.line_width);
-
-    const max_clue_num_length = xw.clues.map(x => x.clue).flat().map(x => x.number).map(x => x.length).reduce((a, b) => Math.max(a, b), 0);
-    const num_margin = doc.getTextWidth('9'.repeat(max_clue_num_length));
-    let num_xpos = options.margin + num_margin;
-    const line_margin = 1.5 * doc.getTextWidth(' ');
-    let line_xpos = num_xpos + line_margin;
-    const top_line_ypos = options.margin +
-      has_top_header_row * (max_title_author_pt + options.vertical_separator) +
-      max_title_author_pt +
-      options.vertical_separator * 2 +
-      testPt + clue_padding;
-    let line_ypos = top_line_ypos;
-    let my_column = 0;
-
-    for (let k = 0; k < clue_arrays.length; k++) {
-      const clues = clue_arrays[k];
-      const nums = num_arrays[k];
-      for (let i = 0; i < clues.length; i++) {
-        const clue = clues[i];
-        const num = nums[i];
-
-        const max_line_ypos = my_column < options.num_full_columns
-          ? doc_height - options.margin - options.max_title_pt - 2 * options.vertical_separator
-          : grid_ypos - options.grid_padding;
-
-        const lines = split_text_to_size_bi(clue, col_width - (num_margin + line_margin), doc, i == 0, options.font_type);
-
-        if (line_ypos + (lines.length - 1) * (testPt + clue_padding) > max_line_ypos) {
-          my_column += 1;
-          num_xpos = options.margin + num_margin + my_column * (col_width + options.column_padding);
-          line_xpos = num_xpos + line_margin;
-          line_ypos = top_line_ypos;
-          if (clue === '') {
-            continue;
-          }
+  const clue_padding = testPt / options.clue_padding_denominator;
+  doc.setFontSize(testPt);
+  doc.setLineWidth(options.line_width);
+
+  const max_clue_num_length = xw.clues.map(x => x.clue).flat().map(x => x.number).map(x => x.length).reduce((a, b) => Math.max(a, b), 0);
+  const num_margin = doc.getTextWidth('9'.repeat(max_clue_num_length));
+  let num_xpos = options.margin + num_margin;
+  const line_margin = 1.5 * doc.getTextWidth(' ');
+  let line_xpos = num_xpos + line_margin;
+  const top_line_ypos = options.margin +
+    has_top_header_row * (max_title_author_pt + options.vertical_separator) +
+    max_title_author_pt +
+    options.vertical_separator * 2 +
+    testPt + clue_padding;
+  let line_ypos = top_line_ypos;
+  let my_column = 0;
+
+  for (let k = 0; k < clue_arrays.length; k++) {
+    const clues = clue_arrays[k];
+    const nums = num_arrays[k];
+    for (let i = 0; i < clues.length; i++) {
+      const clue = clues[i];
+      const num = nums[i];
+
+      let max_line_ypos = my_column < options.num_full_columns
+        ? doc_height - options.margin - options.max_title_pt - 2 * options.vertical_separator
+        : grid_ypos - options.grid_padding;
+      // the first column makes room for a corner answer key
+      if (my_column === 0 && gridProps.answer_key_height) {
+        max_line_ypos -= gridProps.answer_key_height + options.vertical_separator;
+      }
+
+      const lines = split_text_to_size_bi(clue, col_width - (num_margin + line_margin), doc, i == 0, options.font_type);
+
+      if (line_ypos + (lines.length - 1) * (testPt + clue_padding) > max_line_ypos) {
+        my_column += 1;
+        num_xpos = options.margin + num_margin + my_column * (col_width + options.column_padding);
+        line_xpos = num_xpos + line_margin;
+        line_ypos = top_line_ypos;
+        if (clue === '') {
+          continue;
         }
+      }
 
-        for (let j = 0; j < lines.length; j++) {
-          const line = lines[j];
-          if (i == 0 && j == 0) {
+      for (let j = 0; j < lines.length; j++) {
+        const line = lines[j];
+        if (i == 0 && j == 0) {
+          doc.setFont(options.font_type, 'bold');
+          printCharacters(doc, line, line_ypos, line_xpos, testPt, options.font_type);
+          doc.setFont(options.font_type, 'normal');
+          line_ypos += clue_padding;
+        } else {
+          if (j == 0 || (i == 0 && j == 1)) {
             doc.setFont(options.font_type, 'bold');
-            printCharacters(doc, line, line_ypos, line_xpos, testPt, options.font_type);
-            doc.setFont(options.font_type, 'normal');
-            line_ypos += clue_padding;
-          } else {
-            if (j == 0 || (i == 0 && j == 1)) {
-              doc.setFont(options.font_type, 'bold');
-              doc.text(num_xpos, line_ypos, num, null, null, "right");
-              doc.setFont(options.font_type, 'normal');
-            }
+            doc.text(num_xpos, line_ypos, num, null, null, "right");
             doc.setFont(options.font_type, 'normal');
-            printCharacters(doc, line, line_ypos, line_xpos, testPt, options.font_type);
           }
-          line_ypos += testPt + clue_padding;
+          doc.setFont(options.font_type, 'normal');
+          printCharacters(doc, line, line_ypos, line_xpos, testPt, options.font_type);
         }
-        line_ypos += clue_padding;
+        line_ypos += testPt + clue_padding;
       }
+      line_ypos += clue_padding;
     }
+  }
 
-    const too_small = testPt < options.min_clue_pt && options.num_pages < 2 && !columnsPreSet;
-    const overflow = my_column > options.num_columns - 1;
-    let reason = null;
-    if (too_small) reason = 'clue pt below minimum';
-    else if (overflow) reason = 'column overflow';
-    else reason = 'success';
-
-    return {
-      doc,
-      clue_pt: (!too_small && !overflow) ? testPt : null,
-      success: !too_small && !overflow,
-      reason
-    };
+  const too_small = testPt < options.min_clue_pt && options.num_pages < 2 && !columnsPreSet;
+  const overflow = my_column > options.num_columns - 1;
+  let reason = null;
+  if (too_small) reason = 'clue pt below minimum';
+  else if (overflow) reason = 'column overflow';
+  else reason = 'success';
+
+  return {
+    clue_pt: (!too_small && !overflow) ? testPt : null,
+    success: !too_small && !overflow,
+    reason
+  };
+}
+
+/**
+ * Helper function to make a grid with clues
+ **/
+function doc_with_clues(xw, options, doc_width, doc_height, clue_arrays, num_arrays, gridProps, columnsPreSet = false) {
+  const cluePtMin = options.min_clue_pt;
+  const cluePtMax = options.max_clue_pt;
+  const guessCluePt = (cluePtMin + cluePtMax) / 2.0;
+
+  const layoutWithCluePt = (testPt) => {
+    const doc = new_doc(options);
+    return { doc, pt: testPt, ...draw_clues(doc, xw, options, doc_height, clue_arrays, num_arrays, gridProps, testPt, columnsPreSet) };
   };
 
   let bestResult = null;
@@ -764,6 +1007,12 @@ function grid_props(xw, options, doc_width, doc_height) {
     }
   }
 
+  // Room for an upside-down answer key at the foot of the first column
+  var answer_key_cell = 0;
+  if (options.answer_key === 'corner' && options.num_full_columns > 0 && options.num_pages == 1 && !xw.metadata.image) {
+    answer_key_cell = Math.min(col_width / xw.metadata.width, ANSWER_KEY_MAX_CELL);
+  }
+
   // We don't show the notepad if there isn't one
   if (!xw.metadata.description) {
     options.show_notepad = false;
@@ -799,7 +1048,7 @@ function grid_props(xw, options, doc_width, doc_height) {
   // Determine how much space to set aside for the notepad
   var notepad_height = 0;
   if (options.show_notepad) {
-    var doc1 = new jsPDF(options.orientation, 'pt', 'letter');
+    var doc1 = new_doc(options);
     const notepad_width = grid_width - 20;
     doc1.setFontSize(options.notepad_min_pt);
     var num_notepad_lines = doc1.splitTextToSize(xw.metadata.description, notepad_width).length;
@@ -832,7 +1081,9 @@ function grid_props(xw, options, doc_width, doc_height) {
     cell_size: cell_size,
     notepad_lines: notepad_lines,
     notepad_xpos: notepad_xpos,
-    notepad_ypos: notepad_ypos
+    notepad_ypos: notepad_ypos,
+    answer_key_cell: answer_key_cell,
+    answer_key_height: answer_key_cell * xw.metadata.height
   }
   return myObj;
 }
@@ -881,7 +1132,22 @@ export async function jscrossword_to_pdf(xw, options = {}) {
 
 /** Create a PDF (requires jsPDF) **/
 async function jscrossword_to_pdf2(xw, options = {}) {
+  // Page size; a custom size wider than it is tall means landscape
+  var [PAGE_WIDTH, PAGE_HEIGHT] = pageSize(options.page_size);
+  if (PAGE_WIDTH > PAGE_HEIGHT) {
+    options.orientation = 'landscape';
+  }
+  var PAGE_SHORT = Math.min(PAGE_WIDTH, PAGE_HEIGHT);
+  var PAGE_LONG = Math.max(PAGE_WIDTH, PAGE_HEIGHT);
+  // how much bigger (or smaller) than Letter the page is
+  var PAGE_SCALE = Math.min(PAGE_SHORT / LETTER_SIZE[0], PAGE_LONG / LETTER_SIZE[1]);
+  var max_columns = Math.max(2, Math.round(5 * PAGE_SHORT / LETTER_SIZE[0]));
+
+  // Embedded TTFs, if any, become the font_type family
+  prepare_fonts(options);
+
   var DEFAULT_OPTIONS = {
+    page_size: 'letter',
     margin: 40,
     title_pt: null,
     copyright_pt: null,
@@ -897,22 +1163,27 @@ async function jscrossword_to_pdf2(xw, options = {}) {
     outfile: null,
     vertical_separator: 10,
     show_notepad: false,
-    line_width: 0.7,
+    line_width: GRID_LINE_WIDTH,
     notepad_max_pt: 12,
     notepad_min_pt: 8,
     orientation: 'portrait',
     header1: '',
     header2: '',
     header3: '',
-    max_cell_size: 30,
-    min_cell_size: 15,
+    max_cell_size: MAX_CELL_SIZE * PAGE_SCALE,
+    min_cell_size: MIN_CELL_SIZE * PAGE_SCALE,
     max_title_pt: 12,
-    max_columns: 5,
+    max_columns: max_columns,
     min_columns: 2,
-    min_grid_size: 240,
+    min_grid_size: 240 * PAGE_SCALE,
     clue_padding_denominator: 3,
     font_type: DEFAULT_FONT_TYPE,
-    print: false
+    fonts: null,
+    target_doc: null,
+    answer_key: null,
+    answer_list: false,
+    print: false,
+    onWarning: null
   };
 
   var clue_length = xw.clues.map(x => x.clue).flat().map(x => x.text).join('').length;
@@ -933,13 +1204,14 @@ async function jscrossword_to_pdf2(xw, options = {}) {
     options.copyright_pt = MAX_TITLE_PT;
   }
 
-  var PTS_PER_IN = 72;
-  var DOC_WIDTH = 8.5 * PTS_PER_IN;
-  var DOC_HEIGHT = 11 * PTS_PER_IN;
+  var DOC_WIDTH = PAGE_SHORT;
+  var DOC_HEIGHT = PAGE_LONG;
+  // jsPDF turns this around for landscape
+  options.page_format = [PAGE_SHORT, PAGE_LONG];
   // wide puzzles get printed in landscape
   if (options.orientation == 'landscape' || xw.metadata.width >= 30) {
-    DOC_WIDTH = 11 * PTS_PER_IN;
-    DOC_HEIGHT = 8.5 * PTS_PER_IN;
+    DOC_WIDTH = PAGE_LONG;
+    DOC_HEIGHT = PAGE_SHORT;
     options.orientation = 'landscape';
   } else {
     options.orientation = 'portrait';
@@ -962,14 +1234,22 @@ async function jscrossword_to_pdf2(xw, options = {}) {
 
   // If options.gray is NULL, we determine it
   if (options.gray === null) {
-    options.gray = 0.5; // default
-    // If there are very few black squares, we can make darker
-    var num_black_squares = xw.cells.map(x => x.type).reduce(function(accum, cur) {
-      return accum + (cur === 'block' ? 1 : 0);
-    }, 0);
-    if (num_black_squares / (xw_height * xw_width) < 0.05) {
-      options.gray = 0.1;
-    }
+    options.gray = gridGray(xw);
+  }
+
+  if (options.answer_key && !ANSWER_KEY_MODES.includes(options.answer_key)) {
+    throw new Error(`Unknown answer_key "${options.answer_key}" (expected one of ${ANSWER_KEY_MODES.join(', ')})`);
+  }
+  // the answer list goes on the solution page, so asking for it adds one
+  if (options.answer_list && !options.answer_key) {
+    options.answer_key = 'page';
+  }
+
+  // Just the solution
+  if (options.answer_key === 'only') {
+    doc = options.target_doc || new_doc(options);
+    add_answer_key_page(doc, xw, options, DOC_WIDTH, DOC_HEIGHT, !!options.target_doc);
+    return doc;
   }
 
   // If options.num_columns is null, we determine it ourselves
@@ -978,7 +1258,7 @@ async function jscrossword_to_pdf2(xw, options = {}) {
   if (options.num_columns === null || options.num_full_columns === null) {
     // special logic for two pages
     if (options.num_pages == 2 || !xw.clues.length) {
-      var numCols = Math.min(Math.ceil(clue_length / 800), 5);
+      var numCols = Math.min(Math.ceil(clue_length / (800 * PAGE_SCALE)), options.max_columns);
       options.num_columns = numCols;
       options.num_full_columns = numCols;
       possibleColumns.push({
@@ -988,6 +1268,8 @@ async function jscrossword_to_pdf2(xw, options = {}) {
     } else {
       for (var nc = options.min_columns; nc <= options.max_columns; nc++) {
         for (var fc = 0; fc <= nc - 1; fc++) {
+          // a corner answer key sits under the first full column
+          if (options.answer_key === 'corner' && fc === 0) continue;
           // make the grid and check the cell size
           options.num_columns = nc;
           options.num_full_columns = fc;
@@ -1054,15 +1336,9 @@ async function jscrossword_to_pdf2(xw, options = {}) {
   // Loop through and write to PDF if we find a good fit
   // Find an appropriate font size
   // don't do this if there are no clues
-  doc = new jsPDF(options.orientation, 'pt', 'letter');
-  const ideal_clue_pt = 12.5;
-  const ideal_cell_size = (options.max_cell_size + options.min_cell_size) / 2.5;
-  let ideal_grid_area = ideal_cell_size * ideal_cell_size * xw_height * xw_width;
-  if (ideal_grid_area < DOC_WIDTH * DOC_HEIGHT * 0.25) {
-    ideal_grid_area = DOC_WIDTH * DOC_HEIGHT * 0.25;
-  } else if (ideal_grid_area > DOC_WIDTH * DOC_HEIGHT * 0.4) {
-    ideal_grid_area = DOC_WIDTH * DOC_HEIGHT * 0.4;
-  }
+  doc = new_doc(options);
+  const ideal_clue_pt = IDEAL_CLUE_PT;
+  const ideal_grid_area = idealGridArea(xw, options, DOC_WIDTH, DOC_HEIGHT);
   const maxClueChars = Math.max(1, clue_length);
   let selectedDoc = null;
   let bestVal = Infinity;
@@ -1099,14 +1375,7 @@ async function jscrossword_to_pdf2(xw, options = {}) {
           );
         }
         const actualGridArea = gridProps.grid_width * gridProps.grid_height;
-        const cluePtDiff = (docObj.clue_pt - ideal_clue_pt) / ideal_clue_pt;
-        // Asymmetric penalty: Font size being too big is preferable to being too small.
-        // We scale the penalty down by 50% for positive deviations.
-        const cluePtPenalty = cluePtDiff > 0 ? 0.5 * (cluePtDiff ** 2) : cluePtDiff ** 2;
-        let actualVal = ((actualGridArea - ideal_grid_area) / ideal_grid_area) ** 2 + cluePtPenalty;
-        if (pc.num_columns) {
-          actualVal += pc.num_columns / 500;
-        }
+        const actualVal = layoutScore(actualGridArea, docObj.clue_pt, pc.num_columns, ideal_grid_area);
         if (actualVal < bestVal) {
           bestVal = actualVal;
           selectedDoc = {
@@ -1135,7 +1404,7 @@ async function jscrossword_to_pdf2(xw, options = {}) {
 
   // If there are no possibilities here go to two pages
   if (!selectedDoc) {
-    var numCols = Math.min(Math.ceil(clue_length / 800), 5);
+    var numCols = Math.min(Math.ceil(clue_length / (800 * PAGE_SCALE)), options.max_columns);
     options.num_columns = numCols;
     options.num_full_columns = numCols;
     options.num_pages = 2;
@@ -1156,7 +1425,18 @@ async function jscrossword_to_pdf2(xw, options = {}) {
     };
   }
 
-  doc = selectedDoc.docObj.doc;
+  if (options.target_doc) {
+    // Booklets: lay the clues out again on a new page of the shared document
+    doc = options.target_doc;
+    doc.addPage(options.page_format, options.orientation);
+    if (selectedDoc.columns.num_columns) {
+      options.num_columns = selectedDoc.columns.num_columns;
+      options.num_full_columns = selectedDoc.columns.num_full_columns;
+    }
+    draw_clues(doc, xw, options, DOC_HEIGHT, clue_arrays, num_arrays, selectedDoc.gridProps, selectedDoc.docObj.pt, columnsPreSet);
+  } else {
+    doc = selectedDoc.docObj.doc;
+  }
   var gridProps = selectedDoc.gridProps;
   var grid_xpos = gridProps.grid_xpos
   var grid_ypos = gridProps.grid_ypos;
@@ -1287,7 +1567,7 @@ async function jscrossword_to_pdf2(xw, options = {}) {
   } else {
     // we do page 2 first because we switch the pages later
     renderHeaders(2);
-    doc.addPage();
+    doc.addPage(options.page_format, options.orientation);
     renderHeaders(1);
   }
 
@@ -1300,13 +1580,226 @@ async function jscrossword_to_pdf2(xw, options = {}) {
     y0: grid_ypos,
     cell_size: grid_width / xw_width,
     gray: options.gray,
+    font_type: options.font_type,
     image: xw.metadata.image
   };
   draw_crossword_grid(doc, xw, grid_options);
 
+  /* Draw the answer key */
+  if (options.answer_key === 'corner') {
+    if (gridProps.answer_key_cell) {
+      var answer_key_ypos = DOC_HEIGHT - margin - options.max_title_pt - 2 * options.vertical_separator - gridProps.answer_key_height;
+      draw_upside_down_grid(doc, xw, margin, answer_key_ypos, gridProps.answer_key_cell, options);
+    } else {
+      if (options.onWarning) {
+        options.onWarning({ code: 'answer_key', message: 'No room for a corner answer key in this layout; adding a solution page instead.' });
+      }
+    }
+  }
+
   if (options.num_pages == 2) {
-    doc.movePage(2, 1);
+    doc.movePage(doc.getNumberOfPages(), doc.getNumberOfPages() - 1);
+  }
+
+  if (options.answer_key === 'page' || (options.answer_key === 'corner' && !gridProps.answer_key_cell)) {
+    add_answer_key_page(doc, xw, options, DOC_WIDTH, DOC_HEIGHT);
+  }
+
+  return doc;
+}
+
+/** Text shrunk (from max_pt) until it fits in width; returns the font size **/
+function fit_text_size(doc, text, width, max_pt, min_pt = 6) {
+  let pt = max_pt;
+  doc.setFontSize(pt);
+  while (pt > min_pt && doc.getTextWidth(text) > width) {
+    pt -= 0.5;
+    doc.setFontSize(pt);
+  }
+  return pt;
+}
+
+/** Solution grids, several to a page, under a "Solutions" heading **/
+function add_solutions_section(doc, entries, per_page, options) {
+  const cols = per_page >= 4 ? 2 : 1;
+  const rows = Math.ceil(per_page / cols);
+  const gap = 20;
+  const label_pt = 10;
+  entries.forEach((entry, i) => {
+    const slot = i % per_page;
+    if (slot === 0) {
+      doc.addPage(options.page_format, 'portrait');
+    }
+    const page_width = doc.internal.pageSize.getWidth();
+    const page_height = doc.internal.pageSize.getHeight();
+    let top = options.margin;
+    if (i === 0) {
+      doc.setFont(options.font_type, 'bold');
+      doc.setFontSize(options.max_title_pt * 1.5);
+      doc.text(options.margin, options.margin + options.max_title_pt * 1.5, 'Solutions');
+    }
+    // every page leaves room for the heading, so the slots line up
+    top += options.max_title_pt * 1.5 + gap;
+    const slot_width = (page_width - 2 * options.margin - (cols - 1) * gap) / cols;
+    const slot_height = (page_height - top - options.margin - (rows - 1) * gap) / rows;
+    const x = options.margin + (slot % cols) * (slot_width + gap);
+    const y = top + Math.floor(slot / cols) * (slot_height + gap);
+
+    const { xw, number } = entry;
+    const label = `${number}. ${safeHtmlText(xw.metadata.title).trim()}`;
+    doc.setFont(options.font_type, 'bold');
+    fit_text_size(doc, label, slot_width, label_pt);
+    doc.text(x, y + label_pt, label);
+
+    const space = slot_height - label_pt - 5;
+    const cell_size = Math.min(slot_width / xw.metadata.width, space / xw.metadata.height, entry.options.max_cell_size);
+    draw_crossword_grid(doc, xw, {
+      grid_letters: true,
+      grid_numbers: true,
+      x0: x + (slot_width - cell_size * xw.metadata.width) / 2,
+      y0: y + label_pt + 5,
+      cell_size: cell_size,
+      gray: entry.options.gray,
+      font_type: options.font_type
+    });
+  });
+}
+
+/**
+ * Render several puzzles into a single PDF: a cover page, a table of
+ * contents, each puzzle, and a solutions section at the end.
+ *
+ * Booklet options (all other options are passed to each puzzle as in jscrossword_to_pdf):
+ *   title, subtitle:     cover page text
+ *   headers:             per-puzzle { header1, header2, header3 }, as an array or a
+ *                        function (xw, index) => ({ ... }); header1-3 apply to every puzzle otherwise
+ *   contents:            include a table of contents (default true)
+ *   solutions:           include the solutions section (default true)
+ *   solutions_per_page:  1, 2, 4 or 6 solution grids to a page (default 4)
+ *   page_numbers:        number the pages after the cover (default true)
+ *
+ * Rejects if any of the puzzles can't be rendered.
+ **/
+export async function jscrossword_booklet(puzzles, options = {}) {
+  const {
+    title = 'Crossword Puzzles',
+    subtitle = '',
+    headers = null,
+    contents = true,
+    solutions = true,
+    solutions_per_page = 4,
+    page_numbers = true,
+    ...puzzle_options
+  } = options;
+  if (!puzzles.length) {
+    throw new Error('A booklet needs at least one puzzle');
+  }
+
+  prepare_fonts(puzzle_options);
+  const [page_w, page_h] = pageSize(puzzle_options.page_size);
+  const page_format = [Math.min(page_w, page_h), Math.max(page_w, page_h)];
+  const booklet_options = {
+    page_format: page_format,
+    margin: puzzle_options.margin ?? 40,
+    max_title_pt: puzzle_options.max_title_pt ?? 12,
+    font_type: puzzle_options.font_type || DEFAULT_FONT_TYPE,
+    embedded_fonts: puzzle_options.embedded_fonts
+  };
+  const { margin, font_type } = booklet_options;
+  const doc = new_doc(booklet_options, 'portrait');
+  const [width, height] = page_format;
+
+  /* Cover page */
+  doc.setFont(font_type, 'bold');
+  const title_pt = fit_text_size(doc, title, width - 2 * margin, 36, 12);
+  doc.text(width / 2, height / 3, title, null, null, 'center');
+  if (subtitle) {
+    doc.setFont(font_type, 'normal');
+    fit_text_size(doc, subtitle, width - 2 * margin, 18, 8);
+    doc.text(width / 2, height / 3 + title_pt + 10, subtitle, null, null, 'center');
   }
 
+  /* Leave pages for the table of contents; we fill them in at the end */
+  const toc_pt = 12;
+  const toc_line = toc_pt * 1.6;
+  const toc_top = margin + 2 * toc_pt + 20;
+  const toc_lines_per_page = Math.max(1, Math.floor((height - toc_top - margin) / toc_line));
+  const toc_count = puzzles.length + (solutions ? 1 : 0);
+  const toc_pages = contents ? Math.ceil(toc_count / toc_lines_per_page) : 0;
+  for (let i = 0; i < toc_pages; i++) {
+    doc.addPage(page_format, 'portrait');
+  }
+
+  /* The puzzles */
+  const entries = [];
+  for (let i = 0; i < puzzles.length; i++) {
+    const xw = puzzles[i];
+    const puzzle_headers = typeof headers === 'function' ? headers(xw, i) : (headers && headers[i]);
+    const these_options = { ...puzzle_options, ...(puzzle_headers || {}), target_doc: doc };
+    // solutions go at the back, except for newspaper-style corner keys
+    if (these_options.answer_key !== 'corner') {
+      these_options.answer_key = null;
+      these_options.answer_list = false;
+    }
+    const first_page = doc.getNumberOfPages() + 1;
+    const result = await jscrossword_to_pdf(xw, these_options);
+    if (!result) {
+      throw new Error(`Could not render puzzle ${i + 1} (${safeHtmlText(xw.metadata.title).trim()}) for the booklet`);
+    }
+    entries.push({ xw, number: entries.length + 1, page: first_page, options: these_options });
+  }
+
+  /* Solutions */
+  let solutions_page = null;
+  if (solutions && entries.length) {
+    solutions_page = doc.getNumberOfPages() + 1;
+    const gridded = entries.filter(e => !e.xw.metadata.image);
+    add_solutions_section(doc, gridded, [1, 2, 4, 6].includes(solutions_per_page) ? solutions_per_page : 4, booklet_options);
+    // image puzzles have no grid to fill in, so they get a page listing their answers
+    entries.filter(e => e.xw.metadata.image).forEach(e => {
+      const landscape = e.options.orientation === 'landscape';
+      add_answer_key_page(doc, e.xw, { ...e.options, answer_list: true }, landscape ? height : width, landscape ? width : height, true);
+    });
+  }
+
+  /* Table of contents */
+  if (contents) {
+    const toc = entries.map(e => ({
+      label: `${e.number}. ${safeHtmlText(e.xw.metadata.title).trim()}` +
+        (e.xw.metadata.author ? ` (${safeHtmlText(e.xw.metadata.author).trim()})` : ''),
+      page: e.page
+    }));
+    if (solutions_page) {
+      toc.push({ label: 'Solutions', page: solutions_page });
+    }
+    toc.forEach((entry, i) => {
+      const page = 2 + Math.floor(i / toc_lines_per_page);
+      doc.setPage(page);
+      if (i % toc_lines_per_page === 0 && page === 2) {
+        doc.setFont(font_type, 'bold');
+        doc.setFontSize(toc_pt * 2);
+        doc.text(margin, margin + toc_pt * 2, 'Contents');
+      }
+      const ypos = toc_top + (i % toc_lines_per_page) * toc_line;
+      doc.setFont(font_type, 'normal');
+      doc.setFontSize(toc_pt);
+      const page_label = String(entry.page);
+      const label_width = width - 2 * margin - doc.getTextWidth(page_label) - 20;
+      doc.text(margin, ypos, doc.splitTextToSize(entry.label, label_width)[0]);
+      doc.text(width - margin, ypos, page_label, null, null, 'right');
+    });
+  }
+
+  /* Page numbers */
+  if (page_numbers) {
+    const num_pages = doc.getNumberOfPages();
+    for (let i = 2; i <= num_pages; i++) {
+      doc.setPage(i);
+      doc.setFont(font_type, 'normal');
+      doc.setFontSize(9);
+      doc.text(doc.internal.pageSize.getWidth() / 2, doc.internal.pageSize.getHeight() - margin / 2, String(i), null, null, 'center');
+    }
+  }
+  doc.setPage(doc.getNumberOfPages());
   return doc;
 }
@@ -0,0 +1,414 @@
+/**
+ * xw_svg.js
+ *
+ * Render a puzzle as SVG: the grid alone, or a full page with title and
+ * clue columns. Builds the markup as a string, so it needs no DOM.
+ * Sizes, shading and the page layout follow the PDF renderer (xw_layout.js).
+ */
+import jsPDF from "jspdf/dist/jspdf.es.min.js";
+import { decodeHtmlEntities, escapeXml } from "./escape.js";
+import {
+  LETTER_SIZE, GRID_LINE_WIDTH, GRID_BAR_WIDTH, CLUE_CELL_COLOR, MAX_CELL_SIZE, MIN_CELL_SIZE,
+  pageSize, gridGray, cellTextMetrics, idealGridArea, layoutScore
+} from "./xw_layout.js";
+
+const DEFAULT_FONT_FAMILY = "Helvetica, Arial, sans-serif";
+
+// default character to print when a clue has no number
+const DEFAULT_NUM = "•";
+
+// jsPDF only for its Helvetica metrics, so line breaks match the PDFs
+let measureDoc = null;
+
+/** Width in points of text set in Helvetica **/
+function textWidth(text, pt, bold = false) {
+  if (!measureDoc) measureDoc = new jsPDF("portrait", "pt", "letter");
+  measureDoc.setFont("helvetica", bold ? "bold" : "normal");
+  // Helvetica has no metrics beyond Latin-1; guess at those characters
+  const other = [...text].filter(c => c.codePointAt(0) > 0xff).length;
+  return (measureDoc.getStringUnitWidth(text) + 0.6 * other) * pt;
+}
+
+/** Round to two decimal places, to keep the markup short **/
+const r2 = n => Math.round(n * 100) / 100;
+
+/** A gray level (0 = black, 1 = white) as an SVG color **/
+function grayColor(gray) {
+  const v = Math.round(Number(gray) * 255);
+  return `rgb(${v},${v},${v})`;
+}
+
+/** Attribute string from an object, skipping null/undefined values **/
+function attrs(obj) {
+  return Object.entries(obj)
+    .filter(([, v]) => v !== null && v !== undefined)
+    .map(([k, v]) => ` ${k}="${escapeXml(typeof v === "number" ? r2(v) : v)}"`)
+    .join("");
+}
+
+/** Plain text of a clue or title, without markup **/
+function plainText(html) {
+  return decodeHtmlEntities(String(html || "").replace(/<[^>]*>/g, "")).trim();
+}
+
+/**
+ * Split clue HTML into words, each { text, bold, italic }.
+ * Only <b>/<strong> and <i>/<em> survive; other tags are dropped.
+ */
+function clueWords(html) {
+  const words = [];
+  let bold = 0;
+  let italic = 0;
+  String(html || "").split(/(<[^>]*>)/).forEach(part => {
+    const tag = part.match(/^<\s*(\/?)\s*(b|strong|i|em)\b[^>]*>$/i);
+    if (tag) {
+      const delta = tag[1] ? -1 : 1;
+      if (/^(b|strong)$/i.test(tag[2])) bold = Math.max(0, bold + delta);
+      else italic = Math.max(0, italic + delta);
+      return;
+    }
+    if (part.startsWith("<")) return;
+    decodeHtmlEntities(part).split(/\s+/).filter(Boolean).forEach(text => {
+      words.push({ text, bold: bold > 0, italic: italic > 0 });
+    });
+  });
+  return words;
+}
+
+/** Wrap words into lines no wider than width **/
+function wrapWords(words, width, pt) {
+  const space = textWidth(" ", pt);
+  const lines = [];
+  let line = [];
+  let lineWidth = 0;
+  words.forEach(word => {
+    const w = textWidth(word.text, pt, word.bold);
+    if (line.length && lineWidth + space + w > width) {
+      lines.push(line);
+      line = [];
+      lineWidth = 0;
+    }
+    lineWidth += (line.length ? space : 0) + w;
+    line.push(word);
+  });
+  if (line.length) lines.push(line);
+  return lines;
+}
+
+/** A <text> element for a line of styled words **/
+function textLine(x, y, pt, words, extra = {}) {
+  const spans = words.map((word, i) => {
+    const text = escapeXml((i ? " " : "") + word.text);
+    if (!word.bold && !word.italic) return text;
+    return `<tspan${attrs({
+      "font-weight": word.bold ? "bold" : null,
+      "font-style": word.italic ? "italic" : null
+    })}>${text}</tspan>`;
+  }).join("");
+  return `<text${attrs({ x, y, "font-size": pt, ...extra })}>${spans}</text>`;
+}
+
+/**
+ * SVG elements for the grid with its top-left corner at (x0, y0).
+ * Follows draw_crossword_grid in xw_pdf.js.
+ */
+function gridElements(xw, options, x0, y0, cell_size) {
+  const parts = [];
+  const stroke = grayColor(options.gray);
+
+  // A picture puzzle is just its picture
+  if (xw.metadata.image) {
+    parts.push(`<image${attrs({
+      x: x0, y: y0,
+      width: xw.metadata.width * cell_size, height: xw.metadata.height * cell_size,
+      href: xw.metadata.image, preserveAspectRatio: "none"
+    })}/>`);
+    return parts;
+  }
+
+  const diagramless = xw.metadata.crossword_type === "diagramless";
+  const showSolution = options.solution && !xw.metadata.image;
+  xw.cells.forEach(c => {
+    if (c.is_void || (c.type === "block" && c["background-color"] === "#FFFFFF")) return;
+    const x = x0 + c.x * cell_size;
+    const y = y0 + c.y * cell_size;
+    const block = c.type === "block" && (!diagramless || showSolution);
+
+    let fill = "#FFFFFF";
+    if (c.clue) fill = CLUE_CELL_COLOR;
+    else if (c["background-color"]) fill = c["background-color"];
+    else if (block) fill = stroke;
+    parts.push(`<rect${attrs({ x, y, width: cell_size, height: cell_size, fill, stroke })}/>`);
+
+    if (c.image) {
+      parts.push(`<image${attrs({ x, y, width: cell_size, height: cell_size, href: c.image, preserveAspectRatio: "none" })}/>`);
+    }
+    if (block) return;
+
+    let letter = showSolution ? (c.solution || "") : "";
+    letter = letter || c.letter || "";
+    let number = c.number || "";
+    if (diagramless && !showSolution) {
+      letter = "";
+      number = "";
+    }
+    const m = cellTextMetrics(cell_size, letter);
+
+    if (number) {
+      parts.push(`<text${attrs({ x: x + m.number_offset, y: y + m.number_size, "font-size": m.number_size })}>${escapeXml(number)}</text>`);
+    }
+    if (c.top_right_number) {
+      parts.push(`<text${attrs({
+        x: x + cell_size - m.number_offset, y: y + m.number_size, "font-size": m.number_size, "text-anchor": "end"
+      })}>${escapeXml(c.top_right_number)}</text>`);
+    }
+    if (letter) {
+      // shrink long rebus entries to fit the square
+      let letter_size = m.letter_size;
+      const w = textWidth(letter, letter_size);
+      if (w > cell_size * 0.9) letter_size *= cell_size * 0.9 / w;
+      parts.push(`<text${attrs({
+        x: x + cell_size / 2, y: y + cell_size * m.letter_pct_down, "font-size": letter_size, "text-anchor": "middle"
+      })}>${escapeXml(letter)}</text>`);
+    }
+    if (c["background-shape"] === "circle") {
+      parts.push(`<circle${attrs({ cx: x + cell_size / 2, cy: y + cell_size / 2, r: cell_size / 2, fill: "none", stroke })}/>`);
+    }
+  });
+
+  // Bars go on top of everything
+  xw.cells.forEach(c => {
+    const x = x0 + c.x * cell_size;
+    const y = y0 + c.y * cell_size;
+    const bars = {
+      "top-bar": [x, y, x + cell_size, y],
+      "left-bar": [x, y, x, y + cell_size],
+      "right-bar": [x + cell_size, y, x + cell_size, y + cell_size],
+      "bottom-bar": [x, y + cell_size, x + cell_size, y + cell_size]
+    };
+    Object.entries(bars).forEach(([key, [x1, y1, x2, y2]]) => {
+      if (c[key]) parts.push(`<line${attrs({ x1, y1, x2, y2, stroke, "stroke-width": options.bar_width })}/>`);
+    });
+  });
+  return parts;
+}
+
+/** Wrap an SVG document around some elements **/
+function svgDocument(width, height, options, body) {
+  return `<svg${attrs({
+    xmlns: "http://www.w3.org/2000/svg",
+    width, height,
+    viewBox: `0 0 ${r2(width)} ${r2(height)}`,
+    "font-family": options.font_family,
+    "stroke-width": options.line_width
+  })}>\n${body.join("\n")}\n</svg>\n`;
+}
+
+/** The clue lists as { number, words } entries, with each list's title first **/
+function clueEntries(xw) {
+  return xw.clues.map(list => ({
+    title: plainText(list.title),
+    clues: list.clue
+      .filter(clue => clue.number || xw.metadata.crossword_type !== "acrostic")
+      .map(clue => ({ number: clue.number || DEFAULT_NUM, words: clueWords(clue.text) }))
+  }));
+}
+
+/**
+ * Flow the clues into columns at clue size pt.
+ * columns: [{ x, top, bottom }]; returns the text elements, or null if they don't fit.
+ */
+function flowClues(lists, columns, col_width, pt) {
+  const padding = pt / 3;
+  const num_width = textWidth("999", pt, true);
+  const text_x = num_width + 1.5 * textWidth(" ", pt);
+  const parts = [];
+  let col = 0;
+  let y = columns[0].top + pt;
+
+  // place a block of lines, moving to the next column if it doesn't fit
+  const place = (count) => {
+    const height = (count - 1) * (pt + padding);
+    if (y + height > columns[col].bottom) {
+      col += 1;
+      if (col >= columns.length) return false;
+      y = columns[col].top + pt;
+    }
+    return true;
+  };
+
+  for (let k = 0; k < lists.length; k++) {
+    const { title, clues } = lists[k];
+    if (k > 0) y += pt + padding;
+    for (let i = 0; i < clues.length; i++) {
+      const lines = wrapWords(clues[i].words, col_width - text_x, pt);
+      // keep a list's title with its first clue
+      const count = lines.length + (i === 0 ? 1 : 0);
+      if (!place(Math.max(count, 1))) return null;
+      const x = columns[col].x;
+      if (i === 0) {
+        parts.push(textLine(x, y, pt, [{ text: title, bold: true }]));
+        y += pt + padding;
+      }
+      parts.push(`<text${attrs({ x: x + num_width, y, "font-size": pt, "font-weight": "bold", "text-anchor": "end" })}>${escapeXml(clues[i].number)}</text>`);
+      (lines.length ? lines : [[]]).forEach(line => {
+        parts.push(textLine(x + text_x, y, pt, line));
+        y += pt + padding;
+      });
+      y += padding;
+    }
+  }
+  return parts;
+}
+
+/** Full page: title, clues in columns and the grid at the bottom right **/
+function pageSVG(xw, options) {
+  let [page_w, page_h] = pageSize(options.page_size);
+  const short = Math.min(page_w, page_h);
+  const long = Math.max(page_w, page_h);
+  // wide puzzles get printed in landscape
+  const landscape = page_w > page_h || options.orientation === "landscape" || xw.metadata.width >= 30;
+  [page_w, page_h] = landscape ? [long, short] : [short, long];
+  const scale = Math.min(short / LETTER_SIZE[0], long / LETTER_SIZE[1]);
+  const opts = {
+    max_cell_size: MAX_CELL_SIZE * scale,
+    min_cell_size: MIN_CELL_SIZE * scale,
+    max_columns: Math.max(2, Math.round(5 * short / LETTER_SIZE[0])),
+    min_columns: 2,
+    ...options
+  };
+  const { margin, column_padding, vertical_separator: sep, max_title_pt: title_pt } = opts;
+
+  const body = [`<rect${attrs({ x: 0, y: 0, width: page_w, height: page_h, fill: "#FFFFFF", stroke: "none" })}/>`];
+
+  // Title above a rule; author and copyright below one
+  const title_y = margin + title_pt;
+  body.push(textLine(margin, title_y, title_pt, [{ text: plainText(xw.metadata.title), bold: true }]));
+  const top = title_y + sep;
+  const footer_y = page_h - margin;
+  const bottom = footer_y - title_pt - sep;
+  body.push(`<line${attrs({ x1: margin, y1: top, x2: page_w - margin, y2: top, stroke: "#000000" })}/>`);
+  body.push(`<line${attrs({ x1: margin, y1: bottom, x2: page_w - margin, y2: bottom, stroke: "#000000" })}/>`);
+  body.push(textLine(margin, footer_y, title_pt, [{ text: plainText(xw.metadata.author) }]));
+  body.push(`<text${attrs({ x: page_w - margin, y: footer_y, "font-size": title_pt, "text-anchor": "end" })}>${escapeXml(plainText(xw.metadata.copyright))}</text>`);
+
+  const lists = clueEntries(xw);
+  const { width, height } = xw.metadata;
+  const ideal_grid_area = idealGridArea(xw, opts, page_w, page_h);
+
+  // Try each column arrangement: num_columns in all, the first num_full_columns
+  // of them running the full height beside the grid
+  let best = null;
+  for (let nc = opts.min_columns; nc <= opts.max_columns; nc++) {
+    for (let fc = 0; fc < nc; fc++) {
+      const col_width = (page_w - 2 * margin - (nc - 1) * column_padding) / nc;
+      let grid_width = page_w - 2 * margin - fc * (col_width + column_padding);
+      if (fc === 0) {
+        // a grid under all the columns shouldn't take more than about half the page
+        const grid_height = page_h * (lists.length < 10 ? 4 / 9 : 2 / 3);
+        grid_width = Math.min(grid_height / height * width, page_w - 2 * margin);
+      }
+      const cell_size = Math.min(grid_width / width, opts.max_cell_size);
+      if (cell_size < opts.min_cell_size) continue;
+      const grid_w = cell_size * width;
+      const grid_h = cell_size * height;
+      const grid_x = fc === 0 ? (page_w - grid_w) / 2 : page_w - margin - grid_w;
+      const grid_y = bottom - sep - grid_h;
+      if (grid_y < top + sep) continue;
+
+      const columns = Array.from({ length: nc }, (_, i) => ({
+        x: margin + i * (col_width + column_padding),
+        top: top + sep,
+        bottom: i < fc ? bottom - sep : grid_y - opts.grid_padding
+      }));
+
+      // the largest clue size that fits, as in the PDF's search
+      let low = opts.min_clue_pt;
+      let high = opts.max_clue_pt;
+      let guess = (low + high) / 2;
+      let fit = null;
+      for (let i = 0; i < 5; i++) {
+        const parts = flowClues(lists, columns, col_width, guess);
+        if (parts) {
+          if (!fit || guess > fit.pt) fit = { pt: guess, parts };
+          low = guess;
+        } else {
+          high = guess;
+        }
+        guess = (low + high) / 2;
+      }
+      if (!fit) continue;
+
+      const score = layoutScore(grid_w * grid_h, fit.pt, nc, ideal_grid_area);
+      if (!best || score < best.score) {
+        best = { score, clues: fit.parts, grid_x, grid_y, cell_size };
+      }
+    }
+  }
+
+  if (!best) {
+    // Nothing fits on one page: the smallest clues beside a smaller grid, and let them run over
+    if (opts.onWarning) opts.onWarning({ code: "clues_cut_off", message: "The clues don't fit on one page; some will be cut off." });
+    const nc = opts.max_columns;
+    const col_width = (page_w - 2 * margin - (nc - 1) * column_padding) / nc;
+    const cell_size = Math.min(col_width / width, opts.min_cell_size);
+    const grid_y = bottom - sep - cell_size * height;
+    const columns = Array.from({ length: nc }, (_, i) => ({
+      x: margin + i * (col_width + column_padding),
+      top: top + sep,
+      bottom: i < nc - 1 ? Infinity : grid_y - opts.grid_padding
+    }));
+    best = {
+      clues: flowClues(lists, columns, col_width, opts.min_clue_pt) || [],
+      grid_x: page_w - margin - cell_size * width,
+      grid_y,
+      cell_size
+    };
+  }
+
+  body.push(...best.clues);
+  body.push(...gridElements(xw, opts, best.grid_x, best.grid_y, best.cell_size));
+  return svgDocument(page_w, page_h, opts, body);
+}
+
+/**
+ * Render a JSCrossword as an SVG string.
+ *
+ * Options:
+ *   full_page:   a whole page with title and clues (default: just the grid)
+ *   solution:    fill in the solution letters
+ *   cell_size:   grid only; size of a square in points (default 30)
+ *   gray:        gray level of blocks and lines (default: from block density, as in the PDFs)
+ *   page_size, orientation, margin, max_clue_pt, min_clue_pt, ...: full page, as in toPDF()
+ *   onWarning:   full page; called with { code, message } if some clues are cut off
+ */
+export function jscrossword_to_svg(xw, options = {}) {
+  const opts = {
+    full_page: false,
+    solution: false,
+    cell_size: MAX_CELL_SIZE,
+    gray: null,
+    line_width: GRID_LINE_WIDTH,
+    bar_width: GRID_BAR_WIDTH,
+    font_family: DEFAULT_FONT_FAMILY,
+    page_size: "letter",
+    orientation: "portrait",
+    margin: 40,
+    column_padding: 10,
+    vertical_separator: 10,
+    grid_padding: 5,
+    max_title_pt: 12,
+    max_clue_pt: 14,
+    min_clue_pt: 8,
+    onWarning: null,
+    ...options
+  };
+  if (opts.gray === null) opts.gray = gridGray(xw);
+
+  if (opts.full_page) return pageSVG(xw, opts);
+
+  // leave room for the outer lines and bars
+  const pad = opts.bar_width / 2;
+  const body = gridElements(xw, opts, pad, pad, opts.cell_size);
+  return svgDocument(xw.metadata.width * opts.cell_size + 2 * pad, xw.metadata.height * opts.cell_size + 2 * pad, opts, body);
+}